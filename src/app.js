@@ -10,13 +10,23 @@ import logger from './utils/logger.js';
 import redisClient from './config/redis.js';
 import { errorHandler, notFoundHandler } from './middlewares/errorHandler.js';
 import { requestLogger } from './middlewares/requestLogger.js';
+import { httpMetrics } from './middlewares/metrics.js';
+import { captureRawBody } from './middlewares/requestSignature.js';
 
 // Import routes
 import gpsRoutes from './controllers/gpsController.js';
 import healthRoutes from './controllers/healthController.js';
+import osmandRoutes from './controllers/osmandController.js';
+import geofenceRoutes from './controllers/geofenceController.js';
+import webhookRoutes from './controllers/webhookController.js';
+import adminRoutes from './controllers/adminController.js';
 
 // Import new modular service
 import GpsProcessingService from './services/GpsProcessingService.js';
+import { startIngestionServers, stopIngestionServers } from './ingestion/index.js';
+import WebSocketGateway from './ingestion/websocket/WebSocketGateway.js';
+import LiveStreamHub from './core/streaming/LiveStreamHub.js';
+import MetricsCollector from './core/metrics/MetricsCollector.js';
 
 // Initialize express app
 const app = express();
@@ -30,12 +40,15 @@ app.use(cors());
 app.use(compression());
 
 // Body parsing
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request logging
 app.use(requestLogger);
 
+// HTTP metrics (latency and status by route template)
+app.use(httpMetrics);
+
 // Global rate limiting (fallback)
 const globalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -48,7 +61,11 @@ const globalLimiter = rateLimit({
 app.use(globalLimiter);
 
 // Routes
+app.use('/api/gps/geofences', geofenceRoutes);
 app.use('/api/gps', gpsRoutes);
+app.use('/api/osmand', osmandRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/health', healthRoutes);
 app.use('/metrics', healthRoutes);
 
@@ -62,7 +79,8 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       metrics: '/metrics',
-      api: '/api/mobile'
+      api: '/api/mobile',
+      osmand: '/api/osmand'
     }
   });
 });
@@ -75,6 +93,8 @@ app.use(errorHandler);
 async function initializeServices() {
   try {
     await GpsProcessingService.initialize();
+    await startIngestionServers();
+    await MetricsCollector.start();
     logger.info('All services initialized successfully');
   } catch (error) {
     logger.error('Failed to initialize services', {
@@ -90,7 +110,13 @@ async function gracefulShutdown(signal) {
   logger.info(`${signal} received, shutting down gracefully`);
   
   try {
-    // Shutdown GPS Processing Service first
+    // Stop accepting device connections first
+    await WebSocketGateway.close();
+    LiveStreamHub.close();
+    await stopIngestionServers();
+    await MetricsCollector.stop();
+
+    // Shutdown GPS Processing Service
     await GpsProcessingService.shutdown();
     
     // Then close Redis connection
@@ -114,7 +140,7 @@ const PORT = config.server?.port || config.port || 3000;
 const HOST = config.server?.host || config.host || '0.0.0.0';
 
 // Start server and initialize services
-app.listen(PORT, HOST, async () => {
+const server = app.listen(PORT, HOST, async () => {
   console.log(`Escuchando en ${HOST}:${PORT}`);
   logger.info(`GPS Receiver Service running on port ${PORT}`, {
     port: PORT,
@@ -130,4 +156,7 @@ app.listen(PORT, HOST, async () => {
   await initializeServices();
 });
 
+// WebSocket ingestion channel shares the HTTP server
+WebSocketGateway.attach(server);
+
 export default app;
\ No newline at end of file
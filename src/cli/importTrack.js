@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import logger from '../utils/logger.js';
+import GpsProcessingService from '../services/GpsProcessingService.js';
+
+const USAGE = 'Usage: npm run import:track -- --device <deviceId> [--format gpx|kml|geojson] <file> [file...]';
+
+/**
+ * Importa archivos de track al histórico de un dispositivo desde la línea de comandos
+ * Usa el mismo camino que POST /api/gps/import (processBatch con validación de backfill)
+ */
+async function main() {
+  const { values, positionals } = parseArgs({
+    options: {
+      device: { type: 'string', short: 'd' },
+      format: { type: 'string', short: 'f' },
+      help: { type: 'boolean', short: 'h' }
+    },
+    allowPositionals: true
+  });
+
+  if (values.help || !values.device || positionals.length === 0) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  let failed = 0;
+  // El archivo se puede volver a importar: no hace falta spool (y no debe adoptar el del servidor)
+  await GpsProcessingService.initialize({ spool: false });
+
+  try {
+    for (const file of positionals) {
+      try {
+        const content = await fs.readFile(file, 'utf8');
+        const summary = await GpsProcessingService.importTrack(content, {
+          deviceId: values.device,
+          format: values.format || path.extname(file).slice(1)
+        });
+
+        console.log(`${file}: ${summary.processed} imported, ${summary.duplicates} duplicates, ` +
+          `${summary.skipped} skipped, ${summary.rejected} rejected (${summary.format})`);
+      } catch (error) {
+        failed++;
+        console.error(`${file}: ${error.message}`);
+        if (error.details?.rejectedPoints?.length) {
+          console.error(JSON.stringify(error.details.rejectedPoints.slice(0, 5), null, 2));
+        }
+      }
+    }
+  } finally {
+    // Envía el lote histórico pendiente a la cola antes de salir
+    await GpsProcessingService.shutdown();
+  }
+
+  return failed > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    logger.error('Track import failed', { error: error.message, stack: error.stack });
+    process.exit(1);
+  });
@@ -79,12 +79,31 @@ export default {
     ttl: parseInt(process.env.TTL_EXPIRATION) || 3600,
   },
 
+  // Spool local de posiciones aceptadas hasta que su lote histórico se encola
+  spool: {
+    enabled: process.env.SPOOL_ENABLED !== 'false',
+    dir: process.env.SPOOL_DIR || './data/spool',
+    fsync: process.env.SPOOL_FSYNC === 'true', // fsync por posición: resiste cortes de energía, más lento
+    leaseTimeout: parseInt(process.env.SPOOL_LEASE_TIMEOUT) || 60000, // Sin renovar el lease, otra réplica adopta los segmentos
+  },
+
+  // Lotes históricos guardados en disco mientras Redis/BullMQ no aceptan trabajos
+  overflow: {
+    enabled: process.env.OVERFLOW_ENABLED !== 'false',
+    dir: process.env.OVERFLOW_DIR || './data/overflow',
+    maxBytes: parseInt(process.env.OVERFLOW_MAX_BYTES) || 536870912, // 512 MB; al superarlo se descartan los más antiguos
+    enqueueTimeout: parseInt(process.env.OVERFLOW_ENQUEUE_TIMEOUT) || 5000, // Espera máxima al encolar un lote
+  },
+
   // Configuración de detección de duplicados
   duplicate: {
     enabled: process.env.DUPLICATE_DETECTION === 'true' || true,
     timeThreshold: parseInt(process.env.DUPLICATE_TIME_THRESHOLD) || 1000, // 1 segundo
     coordinateThreshold: parseFloat(process.env.DUPLICATE_COORDINATE_THRESHOLD) || 0.0001, // ~10 metros
-    maxCacheSize: parseInt(process.env.CACHE_DATA) || 1000
+    maxCacheSize: parseInt(process.env.CACHE_DATA) || 1000,
+    store: process.env.DUPLICATE_STORE || 'memory', // memory (por réplica) o redis (compartido entre réplicas)
+    ttl: parseInt(process.env.DUPLICATE_TTL) || 300000, // Vigencia de la huella en Redis (5 minutos)
+    storeTimeout: parseInt(process.env.DUPLICATE_STORE_TIMEOUT) || 250, // Espera máxima antes de usar solo memoria
   },
 
   // Configuración de limpieza automática
@@ -96,11 +115,117 @@ export default {
     maxFailedJobs: parseInt(process.env.MAX_FAILED_JOBS) || 50,
   },
 
+  // Configuración del historial por dispositivo (sorted set por timestamp)
+  history: {
+    deviceEnabled: process.env.DEVICE_HISTORY_ENABLED !== 'false',
+    retention: parseInt(process.env.DEVICE_HISTORY_RETENTION) || 2592000000, // 30 días
+    defaultLimit: parseInt(process.env.DEVICE_HISTORY_DEFAULT_LIMIT) || 100,
+    maxLimit: parseInt(process.env.DEVICE_HISTORY_MAX_LIMIT) || 1000,
+  },
+
+  // Configuración del índice GEO de últimas posiciones
+  geo: {
+    enabled: process.env.GEO_INDEX_ENABLED !== 'false',
+    key: process.env.GEO_INDEX_KEY || 'gps:geo:latest',
+    maxRadiusKm: parseFloat(process.env.GEO_MAX_RADIUS_KM) || 100,
+    defaultLimit: parseInt(process.env.GEO_DEFAULT_LIMIT) || 100,
+    maxLimit: parseInt(process.env.GEO_MAX_LIMIT) || 1000,
+    nearbyOverfetch: parseInt(process.env.GEO_NEARBY_OVERFETCH) || 4, // Candidatos por resultado con maxAge o group
+    maxNearbyScan: parseInt(process.env.GEO_MAX_NEARBY_SCAN) || 10000, // Máximo de candidatos por consulta
+  },
+
+  // Configuración de geocercas
+  geofences: {
+    enabled: process.env.GEOFENCES_ENABLED !== 'false',
+    reloadInterval: parseInt(process.env.GEOFENCES_RELOAD_INTERVAL) || 30000, // Recarga de definiciones desde Redis
+    maxTrackedDevices: parseInt(process.env.GEOFENCES_MAX_TRACKED_DEVICES) || 10000,
+    maxQueuedEvaluations: parseInt(process.env.GEOFENCES_MAX_QUEUED_EVALUATIONS) || 100, // Por dispositivo; el resto se descarta
+  },
+
+  // Configuración del streaming en tiempo real (SSE, GET /api/gps/stream/live)
+  liveStream: {
+    enabled: process.env.LIVE_STREAM_ENABLED !== 'false',
+    source: process.env.LIVE_STREAM_SOURCE || 'processed', // processed (inmediato) o saved (tras guardar en Redis)
+    bufferSize: parseInt(process.env.LIVE_STREAM_BUFFER_SIZE) || 1000, // Eventos disponibles para Last-Event-ID
+    heartbeatInterval: parseInt(process.env.LIVE_STREAM_HEARTBEAT_INTERVAL) || 15000,
+    maxClients: parseInt(process.env.LIVE_STREAM_MAX_CLIENTS) || 500,
+    retry: parseInt(process.env.LIVE_STREAM_RETRY) || 3000, // Espera de reconexión sugerida al cliente
+  },
+
+  // Puente de eventos entre instancias (Redis Pub/Sub)
+  eventBridge: {
+    enabled: process.env.EVENT_BRIDGE_ENABLED === 'true',
+    instanceId: process.env.INSTANCE_ID, // Por defecto hostname-pid
+    channelPrefix: process.env.EVENT_BRIDGE_CHANNEL_PREFIX || 'gps:events:',
+    events: (process.env.EVENT_BRIDGE_EVENTS || 'position.processed,geofence.enter,geofence.exit')
+      .split(',').map(event => event.trim()).filter(Boolean),
+  },
+
+  // Webhooks salientes (entrega por la cola gps-webhook-delivery)
+  webhooks: {
+    enabled: process.env.WEBHOOKS_ENABLED !== 'false',
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000, // Por intento
+    attempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    backoffDelay: parseInt(process.env.WEBHOOK_BACKOFF_DELAY) || 5000, // Base del backoff exponencial
+    concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY) || 10,
+    reloadInterval: parseInt(process.env.WEBHOOK_RELOAD_INTERVAL) || 30000,
+    maxLogEntries: parseInt(process.env.WEBHOOK_MAX_LOG_ENTRIES) || 100, // Intentos guardados por suscripción
+    maxDeadLetters: parseInt(process.env.WEBHOOK_MAX_DEAD_LETTERS) || 1000,
+    allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true', // Permite URLs a loopback y redes privadas
+  },
+
+  // Detección de dispositivos sin reportar (device.offline / device.online)
+  deviceActivity: {
+    enabled: process.env.DEVICE_ACTIVITY_ENABLED !== 'false',
+    offlineThreshold: parseInt(process.env.DEVICE_OFFLINE_THRESHOLD) || 300000, // 5 minutos sin posiciones
+    checkInterval: parseInt(process.env.DEVICE_ACTIVITY_CHECK_INTERVAL) || 60000,
+    flushInterval: parseInt(process.env.DEVICE_ACTIVITY_FLUSH_INTERVAL) || 5000,
+    retention: parseInt(process.env.DEVICE_ACTIVITY_RETENTION) || 604800000, // 7 días
+  },
+
+  // Control de admisión: /position y /batch responden 503 mientras se supere algún umbral
+  admission: {
+    enabled: process.env.ADMISSION_ENABLED !== 'false',
+    maxQueueWaiting: parseInt(process.env.ADMISSION_MAX_QUEUE_WAITING) || 5000, // Lotes pendientes por cola
+    maxBufferedPositions: parseInt(process.env.ADMISSION_MAX_BUFFERED_POSITIONS) || 20000, // Lote histórico en memoria
+    maxEventLoopLag: parseInt(process.env.ADMISSION_MAX_EVENT_LOOP_LAG) || 200, // ms (p99)
+    checkInterval: parseInt(process.env.ADMISSION_CHECK_INTERVAL) || 1000,
+    retryAfter: parseInt(process.env.ADMISSION_RETRY_AFTER) || 5, // Segundos
+    resumeRatio: parseFloat(process.env.ADMISSION_RESUME_RATIO) || 0.8, // Se vuelve a aceptar por debajo de umbral × ratio
+  },
+
+  // API de administración (/api/admin): tokens "nombre:token" separados por coma; el nombre queda en la auditoría
+  admin: {
+    tokens: (process.env.ADMIN_TOKENS || '').split(',').map(entry => entry.trim()).filter(Boolean),
+    auditMaxEntries: parseInt(process.env.ADMIN_AUDIT_MAX_ENTRIES) || 10000,
+  },
+
+  // API keys por dispositivo para /position y /batch (se gestionan en /api/admin/devices/:deviceId/keys)
+  deviceAuth: {
+    enabled: process.env.DEVICE_AUTH_ENABLED === 'true',
+    pepper: process.env.DEVICE_KEY_PEPPER || '', // Secreto del servidor con el que se calculan los hashes de las claves
+    rotationOverlap: parseInt(process.env.DEVICE_KEY_ROTATION_OVERLAP) || 86400000, // 24 h de validez de la clave anterior al rotar
+    cacheTtl: parseInt(process.env.DEVICE_AUTH_CACHE_TTL) || 60000,
+    staleTtl: parseInt(process.env.DEVICE_AUTH_STALE_TTL) || 300000, // Antigüedad máxima del cache usable con Redis caído
+    cacheSize: parseInt(process.env.DEVICE_AUTH_CACHE_SIZE) || 10000,
+    timeout: parseInt(process.env.DEVICE_AUTH_TIMEOUT) || 250, // ms por consulta a Redis
+  },
+
+  // Firma HMAC de /position y /batch para trackers sin TLS (secretos en /api/admin/devices/:deviceId/signing-secret)
+  requestSigning: {
+    enabled: process.env.REQUEST_SIGNING_ENABLED === 'true',
+    required: process.env.REQUEST_SIGNING_REQUIRED === 'true', // Rechaza toda petición sin firma, no solo la de dispositivos con secreto
+    maxSkew: parseInt(process.env.REQUEST_SIGNING_MAX_SKEW) || 300, // Segundos de diferencia aceptados con el reloj del dispositivo
+  },
+
   // Configuración de métricas y monitoreo
   metrics: {
-    enabled: process.env.METRICS_ENABLED === 'true' || true,
+    enabled: process.env.METRICS_ENABLED !== 'false',
+    host: process.env.METRICS_HOST || '0.0.0.0',
     port: parseInt(process.env.METRICS_PORT) || 9090,
     path: process.env.METRICS_PATH || '/metrics',
+    maxDeviceSeries: parseInt(process.env.METRICS_MAX_DEVICE_SERIES) || 10000, // Series de gps_device_last_seen_timestamp
+    collectTimeout: parseInt(process.env.METRICS_COLLECT_TIMEOUT) || 2000, // Lecturas de Redis por scrape
   },
 
   // Configuración de rate limiting
@@ -129,6 +254,20 @@ export default {
     }
   },
 
+  // Configuración de la carga masiva NDJSON (POST /api/gps/stream)
+  stream: {
+    chunkSize: parseInt(process.env.STREAM_CHUNK_SIZE) || 500, // Posiciones por bloque enviado al procesador
+    maxLines: parseInt(process.env.STREAM_MAX_LINES) || 100000,
+    maxLineLength: parseInt(process.env.STREAM_MAX_LINE_LENGTH) || 16384,
+    maxReportedLines: parseInt(process.env.STREAM_MAX_REPORTED_LINES) || 1000, // Líneas listadas en el resumen
+  },
+
+  // Configuración de importación de archivos de track (GPX/KML/GeoJSON)
+  import: {
+    maxAge: parseInt(process.env.IMPORT_MAX_AGE) || 31536000000, // 365 días
+    maxFileSize: process.env.IMPORT_MAX_FILE_SIZE || '20mb',
+  },
+
   // Configuración de ambiente
   environment: process.env.NODE_ENV || 'development',
   
@@ -140,6 +279,57 @@ export default {
     timeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT) || 5000,
   },
 
+  // Configuración de servidores de ingesta por protocolo de dispositivo
+  ingestion: {
+    gt06: {
+      enabled: process.env.GT06_ENABLED === 'true',
+      host: process.env.GT06_HOST || '0.0.0.0',
+      port: parseInt(process.env.GT06_PORT) || 5023,
+      idleTimeout: parseInt(process.env.GT06_IDLE_TIMEOUT) || 300000, // 5 minutos
+    },
+    teltonika: {
+      enabled: process.env.TELTONIKA_ENABLED === 'true',
+      udpEnabled: process.env.TELTONIKA_UDP_ENABLED === 'true',
+      host: process.env.TELTONIKA_HOST || '0.0.0.0',
+      port: parseInt(process.env.TELTONIKA_PORT) || 5027, // Mismo puerto para TCP y UDP
+      idleTimeout: parseInt(process.env.TELTONIKA_IDLE_TIMEOUT) || 300000,
+    },
+    nmea: {
+      enabled: process.env.NMEA_TCP_ENABLED === 'true',
+      host: process.env.NMEA_TCP_HOST || '0.0.0.0',
+      port: parseInt(process.env.NMEA_TCP_PORT) || 5030,
+      idleTimeout: parseInt(process.env.NMEA_TCP_IDLE_TIMEOUT) || 300000,
+    },
+    mqtt: {
+      enabled: process.env.MQTT_ENABLED === 'true',
+      url: process.env.MQTT_URL || 'mqtt://localhost:1883',
+      username: process.env.MQTT_USERNAME || undefined,
+      password: process.env.MQTT_PASSWORD || undefined,
+      clientId: process.env.MQTT_CLIENT_ID || `gps-receiver-${process.pid}`,
+      // Filtros separados por coma; el primer '+' es el ID del dispositivo
+      topics: (process.env.MQTT_TOPICS || 'fleet/+/position').split(',').map(topic => topic.trim()).filter(Boolean),
+      qos: parseInt(process.env.MQTT_QOS ?? '1', 10),
+      cleanSession: process.env.MQTT_CLEAN_SESSION === 'true',
+      reconnectPeriod: parseInt(process.env.MQTT_RECONNECT_PERIOD) || 5000,
+      connectTimeout: parseInt(process.env.MQTT_CONNECT_TIMEOUT) || 30000,
+    },
+  },
+
+  // Configuración del canal WebSocket de ingesta
+  websocket: {
+    enabled: process.env.WS_ENABLED === 'true',
+    path: process.env.WS_PATH || '/api/gps/ws',
+    authToken: process.env.WS_AUTH_TOKEN || undefined,
+    maxPayload: parseInt(process.env.WS_MAX_PAYLOAD) || 65536, // 64KB por frame
+    heartbeatInterval: parseInt(process.env.WS_HEARTBEAT_INTERVAL) || 30000,
+    maxPendingFrames: parseInt(process.env.WS_MAX_PENDING_FRAMES) || 100, // Frames sin ACK antes de dejar de leer
+  },
+
+  // Configuración del endpoint compatible con OsmAnd / Traccar Client
+  osmand: {
+    speedUnit: process.env.OSMAND_SPEED_UNIT || 'knots', // 'knots' o 'kmh'
+  },
+
   metadata: process.env.CREATE_METADATA === 'true',
 
   backup: process.env.SAVE_COMPRESSED_BACKUP === 'true',
@@ -54,4 +54,207 @@ export const batchGpsPositionsSchema = Joi.object({
       'array.max': 'Maximum 100 positions allowed per batch',
       'any.required': 'Positions array is required'
     })
-});
\ No newline at end of file
+});
+
+export const nearbyQuerySchema = Joi.object({
+  lat: Joi.number()
+    .min(-85.05112878)
+    .max(85.05112878)
+    .required()
+    .messages({
+      'any.required': 'Latitude is required',
+      'number.base': 'Latitude must be a number',
+      'number.min': 'Latitude must be between -85.05112878 and 85.05112878 degrees',
+      'number.max': 'Latitude must be between -85.05112878 and 85.05112878 degrees'
+    }),
+
+  lng: Joi.number()
+    .min(-180)
+    .max(180)
+    .required()
+    .messages({
+      'any.required': 'Longitude is required',
+      'number.base': 'Longitude must be a number',
+      'number.min': 'Longitude must be between -180 and 180 degrees',
+      'number.max': 'Longitude must be between -180 and 180 degrees'
+    }),
+
+  radius: Joi.number()
+    .positive()
+    .required()
+    .messages({
+      'any.required': 'Radius is required',
+      'number.base': 'Radius must be a number',
+      'number.positive': 'Radius must be greater than 0'
+    }),
+
+  unit: Joi.string()
+    .valid('m', 'km', 'mi', 'ft')
+    .default('km')
+    .messages({
+      'any.only': 'Unit must be one of m, km, mi, ft'
+    }),
+
+  maxAge: Joi.number()
+    .integer()
+    .positive()
+    .messages({
+      'number.base': 'maxAge must be a number of seconds',
+      'number.positive': 'maxAge must be greater than 0'
+    }),
+
+  group: Joi.string()
+    .max(100),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .messages({
+      'number.min': 'Limit must be at least 1'
+    })
+});
+
+export const deviceSearchSchema = Joi.object({
+  bbox: Joi.array()
+    .ordered(
+      Joi.number().min(-180).max(180).required(),
+      Joi.number().min(-90).max(90).required(),
+      Joi.number().min(-180).max(180).required(),
+      Joi.number().min(-90).max(90).required()
+    )
+    .messages({
+      'array.base': 'bbox must be an array [minLng, minLat, maxLng, maxLat]',
+      'array.includesRequiredUnknowns': 'bbox must be an array [minLng, minLat, maxLng, maxLat]'
+    }),
+
+  polygon: Joi.object({
+    type: Joi.string().valid('Polygon', 'MultiPolygon', 'Feature').required()
+  })
+    .unknown(true)
+    .messages({
+      'object.base': 'polygon must be a GeoJSON Polygon or MultiPolygon'
+    }),
+
+  maxAge: Joi.number()
+    .integer()
+    .positive()
+    .messages({
+      'number.base': 'maxAge must be a number of seconds',
+      'number.positive': 'maxAge must be greater than 0'
+    }),
+
+  group: Joi.string()
+    .max(100),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .messages({
+      'number.min': 'Limit must be at least 1'
+    }),
+
+  cursor: Joi.string()
+    .max(512)
+})
+  .xor('bbox', 'polygon')
+  .messages({
+    'object.missing': 'Either bbox or polygon is required',
+    'object.xor': 'Provide either bbox or polygon, not both'
+  });
+
+export const geofenceSchema = Joi.object({
+  name: Joi.string()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'any.required': 'Geofence name is required'
+    }),
+
+  type: Joi.string()
+    .valid('circle', 'polygon')
+    .required()
+    .messages({
+      'any.required': 'Geofence type is required',
+      'any.only': 'Geofence type must be circle or polygon'
+    }),
+
+  center: Joi.object({
+    lat: Joi.number().min(-90).max(90).required(),
+    lng: Joi.number().min(-180).max(180).required()
+  }).when('type', { is: 'circle', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'any.required': 'Circle geofences require a center with lat and lng'
+    }),
+
+  radius: Joi.number()
+    .positive()
+    .max(100000)
+    .when('type', { is: 'circle', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'any.required': 'Circle geofences require a radius in meters',
+      'number.max': 'Radius must not exceed 100000 meters'
+    }),
+
+  polygon: Joi.object({
+    type: Joi.string().valid('Polygon', 'MultiPolygon', 'Feature').required()
+  }).unknown(true)
+    .when('type', { is: 'polygon', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'any.required': 'Polygon geofences require a GeoJSON Polygon or MultiPolygon'
+    }),
+
+  enabled: Joi.boolean()
+    .default(true),
+
+  metadata: Joi.object()
+    .default({})
+});
+
+// Eventos del EventBus que se pueden suscribir por webhook ('*' = todos)
+export const WEBHOOK_EVENTS = [
+  'position.processed',
+  'geofence.enter',
+  'geofence.exit',
+  'device.offline',
+  'device.online'
+];
+
+export const webhookSchema = Joi.object({
+  url: Joi.string()
+    .uri({ scheme: ['http', 'https'] })
+    .required()
+    .messages({
+      'any.required': 'Webhook url is required',
+      'string.uriCustomScheme': 'Webhook url must be an http or https URL'
+    }),
+
+  events: Joi.array()
+    .items(Joi.string().valid('*', ...WEBHOOK_EVENTS))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'any.required': 'At least one event is required',
+      'any.only': `Event must be one of: *, ${WEBHOOK_EVENTS.join(', ')}`
+    }),
+
+  deviceIds: Joi.array()
+    .items(Joi.string().min(1).max(50))
+    .max(1000)
+    .unique(),
+
+  secret: Joi.string()
+    .min(16)
+    .max(256)
+    .messages({
+      'string.min': 'Webhook secret must be at least 16 characters'
+    }),
+
+  description: Joi.string()
+    .max(200)
+    .allow(''),
+
+  enabled: Joi.boolean()
+    .default(true)
+});
@@ -0,0 +1,711 @@
+import express from 'express';
+import QueueManager from '../core/queues/QueueManager.js';
+import DeadLetterStore from '../core/queues/DeadLetterStore.js';
+import AuditLog from '../core/admin/AuditLog.js';
+import DeviceCredentialStore from '../core/devices/DeviceCredentialStore.js';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../errors/AppError.js';
+import { adminAuth } from '../middlewares/adminAuth.js';
+
+const router = express.Router();
+
+// Colas de lotes con dead-letter
+const DLQ_QUEUES = ['historical', 'latest'];
+
+// Colas administrables (QueueManager.queues)
+const QUEUE_NAMES = ['historical', 'latest', 'webhooks'];
+
+router.use(adminAuth);
+
+/**
+ * Responde 503 si Redis no está conectado (los comandos quedarían esperando la reconexión)
+ */
+const requireRedis = (req, res, next) => {
+  if (!QueueManager.isConnected()) {
+    return res.status(503).json({
+      success: false,
+      error: 'Redis unavailable'
+    });
+  }
+  next();
+};
+
+/**
+ * Responde 503 si las colas y workers aún no se crearon
+ */
+const requireQueues = (req, res, next) => {
+  if (!QueueManager.isInitialized) {
+    return res.status(503).json({
+      success: false,
+      error: 'Queues not initialized'
+    });
+  }
+  next();
+};
+
+/**
+ * Valida el parámetro :queue de las rutas de dead-letter
+ */
+router.param('queue', (req, res, next, queue) => {
+  if (!DLQ_QUEUES.includes(queue)) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown queue, expected one of: ${DLQ_QUEUES.join(', ')}`
+    });
+  }
+  next();
+});
+
+/**
+ * Valida el parámetro :name de las rutas de colas
+ */
+router.param('name', (req, res, next, name) => {
+  if (!QUEUE_NAMES.includes(name)) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown queue, expected one of: ${QUEUE_NAMES.join(', ')}`
+    });
+  }
+  next();
+});
+
+/**
+ * Valida el parámetro :deviceId con las mismas reglas que la ingesta
+ */
+router.param('deviceId', (req, res, next, deviceId) => {
+  const { maxLength, pattern } = config.validation.deviceId;
+  if (deviceId.length > maxLength || !new RegExp(pattern).test(deviceId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid device id'
+    });
+  }
+  next();
+});
+
+/**
+ * Verifica la confirmación de una acción destructiva (?confirm=<nombre de la cola>)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {string} name - Nombre esperado
+ * @returns {boolean} True si está confirmada (si no, ya respondió 400)
+ */
+const requireConfirmation = (req, res, name) => {
+  if (req.query.confirm === name) {
+    return true;
+  }
+
+  res.status(400).json({
+    success: false,
+    error: `Confirmation required: repeat the queue name in ?confirm=${name}`
+  });
+  return false;
+};
+
+/**
+ * Lee el parámetro limit acotado entre 1 y max
+ * @param {string} value - Valor de la query
+ * @param {number} max - Máximo permitido
+ * @returns {number} Límite
+ */
+const parseLimit = (value, max) => Math.min(Math.max(parseInt(value) || 50, 1), max);
+
+/**
+ * Registra una acción del administrador autenticado
+ * @param {Object} req - Request object
+ * @param {string} action - Acción (p. ej. dlq.retry)
+ * @param {string} target - Objeto de la acción
+ * @param {Object} details - Datos adicionales
+ */
+const audit = (req, action, target, details) => AuditLog.record({
+  actor: req.admin.name,
+  action,
+  target,
+  details,
+  ip: req.ip
+});
+
+/**
+ * Responde un error de forma uniforme
+ * @param {Object} res - Response object
+ * @param {Error} error - Error capturado
+ */
+const sendError = (res, error) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+};
+
+/**
+ * Cantidad de trabajos en el dead-letter por cola
+ * GET /api/admin/dlq
+ */
+router.get('/dlq', requireRedis, async (req, res) => {
+  try {
+    const counts = await DeadLetterStore.counts(DLQ_QUEUES);
+
+    res.status(200).json({
+      success: true,
+      data: counts
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving dead-letter counts', { error: error.message });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Lista los trabajos del dead-letter (sin payload), del más reciente al más antiguo
+ * GET /api/admin/dlq/:queue?limit=50&offset=0
+ */
+router.get('/dlq/:queue', requireRedis, async (req, res) => {
+  try {
+    const result = await DeadLetterStore.list(req.params.queue, {
+      limit: parseLimit(req.query.limit, 500),
+      offset: Math.max(parseInt(req.query.offset) || 0, 0)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error listing dead-letter jobs', { error: error.message, queue: req.params.queue });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Obtiene un trabajo del dead-letter con su payload
+ * GET /api/admin/dlq/:queue/:id
+ */
+router.get('/dlq/:queue/:id', requireRedis, async (req, res) => {
+  try {
+    const entry = await DeadLetterStore.get(req.params.queue, req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead-letter job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: entry
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving dead-letter job', {
+      error: error.message,
+      queue: req.params.queue,
+      jobId: req.params.id
+    });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Reencola todos los trabajos del dead-letter de una cola
+ * POST /api/admin/dlq/:queue/retry
+ */
+router.post('/dlq/:queue/retry', requireRedis, requireQueues, async (req, res) => {
+  try {
+    const result = await QueueManager.retryAllDeadLetters(req.params.queue);
+    await audit(req, 'dlq.retry-all', req.params.queue, {
+      retried: result.retried,
+      failed: result.failed.length
+    });
+
+    res.status(202).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error retrying dead-letter jobs', { error: error.message, queue: req.params.queue });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Reencola un trabajo del dead-letter
+ * POST /api/admin/dlq/:queue/:id/retry
+ */
+router.post('/dlq/:queue/:id/retry', requireRedis, requireQueues, async (req, res) => {
+  try {
+    const job = await QueueManager.retryDeadLetter(req.params.queue, req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead-letter job not found'
+      });
+    }
+
+    await audit(req, 'dlq.retry', `${req.params.queue}/${req.params.id}`);
+
+    res.status(202).json({
+      success: true,
+      data: { jobId: job.id }
+    });
+
+  } catch (error) {
+    logger.error('Error retrying dead-letter job', {
+      error: error.message,
+      queue: req.params.queue,
+      jobId: req.params.id
+    });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Descarta todos los trabajos del dead-letter de una cola
+ * Requiere ?confirm=<queue> para evitar borrados accidentales
+ * DELETE /api/admin/dlq/:queue?confirm=historical
+ */
+router.delete('/dlq/:queue', requireRedis, async (req, res) => {
+  try {
+    if (!requireConfirmation(req, res, req.params.queue)) {
+      return;
+    }
+
+    const discarded = await DeadLetterStore.clear(req.params.queue);
+    await audit(req, 'dlq.discard-all', req.params.queue, { discarded });
+
+    res.status(200).json({
+      success: true,
+      data: { discarded }
+    });
+
+  } catch (error) {
+    logger.error('Error discarding dead-letter jobs', { error: error.message, queue: req.params.queue });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Descarta un trabajo del dead-letter
+ * DELETE /api/admin/dlq/:queue/:id
+ */
+router.delete('/dlq/:queue/:id', requireRedis, async (req, res) => {
+  try {
+    const entry = await DeadLetterStore.get(req.params.queue, req.params.id);
+    const removed = entry && await DeadLetterStore.remove(req.params.queue, req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead-letter job not found'
+      });
+    }
+
+    await audit(req, 'dlq.discard', `${req.params.queue}/${req.params.id}`, {
+      error: entry.error,
+      count: entry.data?.count ?? entry.data?.positions?.length
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Dead-letter job discarded'
+    });
+
+  } catch (error) {
+    logger.error('Error discarding dead-letter job', {
+      error: error.message,
+      queue: req.params.queue,
+      jobId: req.params.id
+    });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Trabajos por estado y estado del worker de esta instancia, por cola
+ * GET /api/admin/queues
+ */
+router.get('/queues', requireQueues, requireRedis, async (req, res) => {
+  try {
+    const queues = await QueueManager.getDetailedCounts();
+
+    res.status(200).json({
+      success: true,
+      data: queues
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving queue counts', { error: error.message });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Pausa el worker de esta instancia; con { "global": true } pausa la cola para todas las instancias
+ * POST /api/admin/queues/:name/pause
+ */
+router.post('/queues/:name/pause', requireQueues, async (req, res) => {
+  try {
+    const global = req.body?.global === true;
+    if (global && !QueueManager.isConnected()) {
+      return requireRedis(req, res);
+    }
+
+    const worker = await QueueManager.pauseQueue(req.params.name, { global });
+    await audit(req, 'queue.pause', req.params.name, { global });
+
+    res.status(200).json({
+      success: true,
+      data: { queue: req.params.name, global, worker }
+    });
+
+  } catch (error) {
+    logger.error('Error pausing queue', { error: error.message, queue: req.params.name });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Reanuda el worker de esta instancia; con { "global": true } también la cola en Redis
+ * POST /api/admin/queues/:name/resume
+ */
+router.post('/queues/:name/resume', requireQueues, async (req, res) => {
+  try {
+    const global = req.body?.global === true;
+    if (global && !QueueManager.isConnected()) {
+      return requireRedis(req, res);
+    }
+
+    const worker = await QueueManager.resumeQueue(req.params.name, { global });
+    await audit(req, 'queue.resume', req.params.name, { global });
+
+    res.status(200).json({
+      success: true,
+      data: { queue: req.params.name, global, worker }
+    });
+
+  } catch (error) {
+    logger.error('Error resuming queue', { error: error.message, queue: req.params.name });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Cambia la concurrencia del worker de esta instancia
+ * PUT /api/admin/queues/:name/concurrency { "concurrency": 20 }
+ */
+router.put('/queues/:name/concurrency', requireQueues, async (req, res) => {
+  try {
+    const concurrency = req.body?.concurrency;
+
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 1000) {
+      return res.status(400).json({
+        success: false,
+        error: 'concurrency must be an integer between 1 and 1000'
+      });
+    }
+
+    const previous = QueueManager.getWorkerState(req.params.name).concurrency;
+    const worker = QueueManager.setConcurrency(req.params.name, concurrency);
+    await audit(req, 'queue.concurrency', req.params.name, { previous, concurrency });
+
+    res.status(200).json({
+      success: true,
+      data: { queue: req.params.name, worker }
+    });
+
+  } catch (error) {
+    logger.error('Error changing worker concurrency', { error: error.message, queue: req.params.name });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Elimina los trabajos en espera (con { "delayed": true } también los diferidos)
+ * Requiere ?confirm=<queue>
+ * POST /api/admin/queues/:name/drain?confirm=historical
+ */
+router.post('/queues/:name/drain', requireQueues, requireRedis, async (req, res) => {
+  try {
+    if (!requireConfirmation(req, res, req.params.name)) {
+      return;
+    }
+
+    const delayed = req.body?.delayed === true;
+    const counts = await QueueManager.drainQueue(req.params.name, { delayed });
+    await audit(req, 'queue.drain', req.params.name, { delayed, counts });
+
+    res.status(200).json({
+      success: true,
+      data: { queue: req.params.name, delayed, removed: counts }
+    });
+
+  } catch (error) {
+    logger.error('Error draining queue', { error: error.message, queue: req.params.name });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Elimina la cola completa de Redis; ?force=true aunque tenga trabajos activos
+ * Requiere ?confirm=<queue>
+ * DELETE /api/admin/queues/:name?confirm=historical
+ */
+router.delete('/queues/:name', requireQueues, requireRedis, async (req, res) => {
+  try {
+    if (!requireConfirmation(req, res, req.params.name)) {
+      return;
+    }
+
+    const force = req.query.force === 'true';
+    const counts = await QueueManager.obliterateQueue(req.params.name, { force });
+    await audit(req, 'queue.obliterate', req.params.name, { force, counts });
+
+    res.status(200).json({
+      success: true,
+      data: { queue: req.params.name, force, removed: counts }
+    });
+
+  } catch (error) {
+    logger.error('Error obliterating queue', { error: error.message, queue: req.params.name });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Lista las API keys vigentes de un dispositivo (sin secretos)
+ * GET /api/admin/devices/:deviceId/keys
+ */
+router.get('/devices/:deviceId/keys', requireRedis, async (req, res) => {
+  try {
+    const keys = await DeviceCredentialStore.listKeys(req.params.deviceId);
+
+    res.status(200).json({
+      success: true,
+      data: keys
+    });
+
+  } catch (error) {
+    logger.error('Error listing device API keys', { error: error.message, deviceId: req.params.deviceId });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Genera una API key para un dispositivo; la clave completa solo se devuelve en esta respuesta
+ * POST /api/admin/devices/:deviceId/keys { "label": "firmware 2.1", "expiresAt": "2027-01-01T00:00:00Z" }
+ */
+router.post('/devices/:deviceId/keys', requireRedis, async (req, res) => {
+  try {
+    const label = req.body?.label ?? null;
+    const expiresAt = req.body?.expiresAt ?? null;
+
+    if (label !== null && (typeof label !== 'string' || label.length > 100)) {
+      return res.status(400).json({
+        success: false,
+        error: 'label must be a string of up to 100 characters'
+      });
+    }
+
+    if (expiresAt !== null && !(Date.parse(expiresAt) > Date.now())) {
+      return res.status(400).json({
+        success: false,
+        error: 'expiresAt must be a future ISO 8601 date'
+      });
+    }
+
+    const key = await DeviceCredentialStore.issueKey(req.params.deviceId, {
+      label,
+      expiresAt: expiresAt && new Date(expiresAt).toISOString()
+    });
+    await audit(req, 'device.key.issue', req.params.deviceId, { keyId: key.keyId, label, expiresAt: key.expiresAt });
+
+    res.status(201).json({
+      success: true,
+      data: key
+    });
+
+  } catch (error) {
+    logger.error('Error issuing device API key', { error: error.message, deviceId: req.params.deviceId });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Rota las API keys de un dispositivo: genera una nueva y las anteriores expiran tras { "overlap": ms }
+ * (por defecto DEVICE_KEY_ROTATION_OVERLAP; 0 las invalida de inmediato)
+ * POST /api/admin/devices/:deviceId/keys/rotate
+ */
+router.post('/devices/:deviceId/keys/rotate', requireRedis, async (req, res) => {
+  try {
+    const label = req.body?.label ?? null;
+    const overlap = req.body?.overlap ?? config.deviceAuth.rotationOverlap;
+
+    if (label !== null && (typeof label !== 'string' || label.length > 100)) {
+      return res.status(400).json({
+        success: false,
+        error: 'label must be a string of up to 100 characters'
+      });
+    }
+
+    if (!Number.isInteger(overlap) || overlap < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'overlap must be a non-negative integer (ms)'
+      });
+    }
+
+    const result = await DeviceCredentialStore.rotateKey(req.params.deviceId, { label, overlap });
+    await audit(req, 'device.key.rotate', req.params.deviceId, {
+      keyId: result.key.keyId,
+      overlap,
+      expiring: result.expiring.map(key => key.keyId)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error rotating device API keys', { error: error.message, deviceId: req.params.deviceId });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Revoca una API key de inmediato
+ * DELETE /api/admin/devices/:deviceId/keys/:keyId
+ */
+router.delete('/devices/:deviceId/keys/:keyId', requireRedis, async (req, res) => {
+  try {
+    const revoked = await DeviceCredentialStore.revokeKey(req.params.deviceId, req.params.keyId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device API key not found'
+      });
+    }
+
+    await audit(req, 'device.key.revoke', req.params.deviceId, { keyId: req.params.keyId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Device API key revoked'
+    });
+
+  } catch (error) {
+    logger.error('Error revoking device API key', {
+      error: error.message,
+      deviceId: req.params.deviceId,
+      keyId: req.params.keyId
+    });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Indica si el dispositivo tiene secreto de firma (sin devolverlo)
+ * GET /api/admin/devices/:deviceId/signing-secret
+ */
+router.get('/devices/:deviceId/signing-secret', requireRedis, async (req, res) => {
+  try {
+    const info = await DeviceCredentialStore.getSigningInfo(req.params.deviceId);
+
+    res.status(200).json({
+      success: true,
+      data: { deviceId: req.params.deviceId, configured: Boolean(info), ...info }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving device signing secret', { error: error.message, deviceId: req.params.deviceId });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Genera o reemplaza el secreto de firma; solo se devuelve en esta respuesta
+ * Desde ese momento el dispositivo debe firmar todas sus peticiones
+ * POST /api/admin/devices/:deviceId/signing-secret
+ */
+router.post('/devices/:deviceId/signing-secret', requireRedis, async (req, res) => {
+  try {
+    const replaced = Boolean(await DeviceCredentialStore.getSigningInfo(req.params.deviceId));
+    const entry = await DeviceCredentialStore.issueSigningSecret(req.params.deviceId);
+    await audit(req, 'device.signing.issue', req.params.deviceId, { replaced });
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+
+  } catch (error) {
+    logger.error('Error issuing device signing secret', { error: error.message, deviceId: req.params.deviceId });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Elimina el secreto de firma; el dispositivo vuelve a enviar sin firmar
+ * DELETE /api/admin/devices/:deviceId/signing-secret
+ */
+router.delete('/devices/:deviceId/signing-secret', requireRedis, async (req, res) => {
+  try {
+    const removed = await DeviceCredentialStore.removeSigningSecret(req.params.deviceId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device signing secret not found'
+      });
+    }
+
+    await audit(req, 'device.signing.remove', req.params.deviceId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Device signing secret removed'
+    });
+
+  } catch (error) {
+    logger.error('Error removing device signing secret', { error: error.message, deviceId: req.params.deviceId });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Registro de auditoría de acciones administrativas
+ * GET /api/admin/audit?limit=100&actor=alice&action=dlq.retry
+ */
+router.get('/audit', requireRedis, async (req, res) => {
+  try {
+    const entries = await AuditLog.list({
+      limit: parseLimit(req.query.limit, 1000),
+      actor: req.query.actor,
+      action: req.query.action
+    });
+
+    res.status(200).json({
+      success: true,
+      data: entries
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving admin audit log', { error: error.message });
+    sendError(res, error);
+  }
+});
+
+export default router;
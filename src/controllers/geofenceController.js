@@ -0,0 +1,212 @@
+import express from 'express';
+import GeofenceManager from '../core/geofences/GeofenceManager.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../errors/AppError.js';
+import { geofenceSchema } from '../config/schemas.js';
+import { adminAuth } from '../middlewares/adminAuth.js';
+
+const router = express.Router();
+
+// Las geocercas disparan los eventos enter/exit y sus webhooks, y revelan ubicaciones: solo para administradores
+router.use(adminAuth);
+
+/**
+ * Valida el cuerpo de una geocerca
+ * @param {Object} body - Cuerpo de la petición
+ * @returns {Object} { error, value } con los errores en formato { field, message }
+ */
+const validateGeofence = (body) => {
+  const { error, value } = geofenceSchema.validate(body ?? {}, { abortEarly: false, stripUnknown: true });
+
+  return {
+    value,
+    error: error && error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }))
+  };
+};
+
+/**
+ * Responde un error de forma uniforme
+ * @param {Object} res - Response object
+ * @param {Error} error - Error capturado
+ */
+const sendError = (res, error) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+};
+
+/**
+ * Lista todas las geocercas
+ * GET /api/gps/geofences
+ */
+router.get('/', async (req, res) => {
+  try {
+    const fences = await GeofenceManager.listFences();
+
+    res.status(200).json({
+      success: true,
+      data: fences
+    });
+
+  } catch (error) {
+    logger.error('Error listing geofences', { error: error.message });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Geocercas en las que se encuentra un dispositivo
+ * GET /api/gps/geofences/devices/:deviceId
+ */
+router.get('/devices/:deviceId', async (req, res) => {
+  try {
+    const fences = await GeofenceManager.getDeviceFences(req.params.deviceId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        deviceId: req.params.deviceId,
+        fences
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving device geofences', {
+      error: error.message,
+      deviceId: req.params.deviceId
+    });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Obtiene una geocerca
+ * GET /api/gps/geofences/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const fence = await GeofenceManager.getFence(req.params.id);
+
+    if (!fence) {
+      return res.status(404).json({
+        success: false,
+        error: 'Geofence not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: fence
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving geofence', {
+      error: error.message,
+      fenceId: req.params.id
+    });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Crea una geocerca circular (center + radius en metros) o poligonal (GeoJSON)
+ * POST /api/gps/geofences
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = validateGeofence(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid geofence',
+        details: error
+      });
+    }
+
+    const fence = await GeofenceManager.saveFence(value);
+
+    res.status(201).json({
+      success: true,
+      data: fence
+    });
+
+  } catch (error) {
+    logger.error('Error creating geofence', { error: error.message });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Reemplaza una geocerca
+ * PUT /api/gps/geofences/:id
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { error, value } = validateGeofence(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid geofence',
+        details: error
+      });
+    }
+
+    const fence = await GeofenceManager.saveFence(value, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: fence
+    });
+
+  } catch (error) {
+    logger.error('Error updating geofence', {
+      error: error.message,
+      fenceId: req.params.id
+    });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Elimina una geocerca
+ * DELETE /api/gps/geofences/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const removed = await GeofenceManager.deleteFence(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Geofence not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Geofence deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting geofence', {
+      error: error.message,
+      fenceId: req.params.id
+    });
+    sendError(res, error);
+  }
+});
+
+export default router;
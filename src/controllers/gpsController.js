@@ -3,6 +3,19 @@ import GpsProcessingService from '../services/GpsProcessingService.js';
 import logger from '../utils/logger.js';
 import { AppError } from '../errors/AppError.js';
 import { validateGpsData, validateBatchGpsData } from '../validators/gpsValidator.js';
+import { parseNmea, toRawPosition as toNmeaPosition } from '../ingestion/nmea/NmeaParser.js';
+import { getIngestionStats } from '../ingestion/index.js';
+import { decodeStream, readLines } from '../utils/ndjson.js';
+import { nearbyQuerySchema, deviceSearchSchema } from '../config/schemas.js';
+import config from '../config/config.js';
+import LiveStreamHub from '../core/streaming/LiveStreamHub.js';
+import { admissionControl } from '../middlewares/admission.js';
+import { deviceAuth, createDeviceAuth } from '../middlewares/deviceAuth.js';
+import { requestSignature } from '../middlewares/requestSignature.js';
+import { createAdminAuth } from '../middlewares/adminAuth.js';
+
+// EventSource no permite cabeceras: el stream en vivo acepta también ?token=
+const liveStreamAuth = createAdminAuth({ param: 'token' });
 
 const router = express.Router();
 
@@ -10,7 +23,7 @@ const router = express.Router();
  * Endpoint para recibir una posición GPS individual
  * POST /api/gps/position
  */
-router.post('/position', async (req, res) => {
+router.post('/position', admissionControl, requestSignature, deviceAuth, async (req, res) => {
   try {
     const { id, lat, lng, timestamp } = req.body;
     
@@ -68,7 +81,7 @@ router.post('/position', async (req, res) => {
  * Endpoint para recibir múltiples posiciones GPS en un lote
  * POST /api/gps/batch
  */
-router.post('/batch', async (req, res) => {
+router.post('/batch', admissionControl, requestSignature, deviceAuth, async (req, res) => {
   try {
     const { positions } = req.body;
     
@@ -125,6 +138,260 @@ router.post('/batch', async (req, res) => {
   }
 });
 
+/**
+ * Endpoint para carga masiva en streaming (NDJSON, opcionalmente gzip)
+ * POST /api/gps/stream
+ * Content-Type: application/x-ndjson, una posición JSON por línea
+ */
+router.post('/stream', deviceAuth, async (req, res) => {
+  try {
+    if (!req.is('application/x-ndjson')) {
+      return res.status(415).json({
+        success: false,
+        error: 'Content-Type must be application/x-ndjson'
+      });
+    }
+
+    const input = decodeStream(req, req.get('Content-Encoding'));
+    const lines = readLines(input, { maxLineLength: config.stream.maxLineLength });
+    const summary = await GpsProcessingService.processStream(lines, { deviceId: req.device?.deviceId });
+
+    logger.info('GPS stream received', {
+      totalLines: summary.totalLines,
+      accepted: summary.accepted,
+      duplicates: summary.duplicates,
+      rejected: summary.rejected
+    });
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+
+  } catch (error) {
+    logger.error('Error processing GPS stream', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Stream de posiciones en tiempo real (Server-Sent Events)
+ * GET /api/gps/stream/live?deviceIds=a,b&groups=g1&bbox=minLng,minLat,maxLng,maxLat
+ * Reanuda desde el header Last-Event-ID (o ?lastEventId=) si el evento sigue en el buffer
+ */
+router.get('/stream/live', liveStreamAuth, (req, res) => {
+  if (!config.liveStream.enabled) {
+    return res.status(404).json({
+      success: false,
+      error: 'Live stream is disabled'
+    });
+  }
+
+  const toSet = (value) => value
+    ? new Set(String(value).split(',').map(item => item.trim()).filter(Boolean))
+    : null;
+
+  const filters = {
+    deviceIds: toSet(req.query.deviceIds),
+    groups: toSet(req.query.groups),
+    bbox: null
+  };
+
+  if (req.query.bbox) {
+    const bbox = String(req.query.bbox).split(',').map(Number);
+    if (bbox.length !== 4 || bbox.some(isNaN) || bbox[0] > bbox[2] || bbox[1] > bbox[3]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid bbox: expected minLng,minLat,maxLng,maxLat'
+      });
+    }
+    filters.bbox = bbox;
+  }
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  const subscribed = LiveStreamHub.subscribe(req, res, filters, lastEventId);
+
+  if (!subscribed) {
+    logger.warn('Live stream client rejected, maximum clients reached');
+    return res.status(503).json({
+      success: false,
+      error: 'Too many live stream clients'
+    });
+  }
+});
+
+/**
+ * Endpoint para recibir sentencias NMEA 0183 (RMC/GGA)
+ * POST /api/gps/nmea
+ * Acepta text/plain (una sentencia por línea, id en ?id= o X-Device-Id)
+ * o JSON { id, sentences: string | string[] }
+ */
+router.post('/nmea', express.text({ type: 'text/plain', limit: '1mb' }), deviceAuth, async (req, res) => {
+  try {
+    const isText = typeof req.body === 'string';
+    const id = req.device?.deviceId ??
+      (isText ? (req.query.id || req.get('X-Device-Id')) : (req.body?.id ?? req.query.id));
+    const sentences = isText ? req.body : req.body?.sentences;
+
+    if (!sentences || (Array.isArray(sentences) && sentences.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'NMEA sentences are required'
+      });
+    }
+
+    const isValidInput = Array.isArray(sentences)
+      ? sentences.every(sentence => typeof sentence === 'string')
+      : typeof sentences === 'string';
+    if (!isValidInput) {
+      return res.status(400).json({
+        success: false,
+        error: 'NMEA sentences must be a string or an array of strings'
+      });
+    }
+
+    const { fixes, stats } = parseNmea(sentences);
+    if (fixes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No valid NMEA fixes found',
+        details: stats
+      });
+    }
+
+    const positions = fixes.map(fix => toNmeaPosition(id, fix));
+
+    // Validar con las mismas reglas que un lote JSON
+    const validationResult = validateBatchGpsData(positions);
+    if (!validationResult.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid NMEA GPS data',
+        details: validationResult.errors
+      });
+    }
+
+    const results = await GpsProcessingService.processBatch(positions);
+
+    logger.info('NMEA sentences processed', {
+      deviceId: id,
+      sentences: stats.sentences,
+      fixes: fixes.length,
+      processed: results.processed
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...results,
+        nmea: stats
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error processing NMEA sentences', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Endpoint para importar archivos de track (GPX, KML, GeoJSON) al histórico
+ * POST /api/gps/import?deviceId=...&format=gpx|kml|geojson
+ * El cuerpo es el archivo; el formato se detecta por Content-Type o contenido si no se indica
+ */
+const trackFileParser = express.text({
+  type: [
+    'application/gpx+xml',
+    'application/vnd.google-earth.kml+xml',
+    'application/geo+json',
+    'application/xml',
+    'text/xml',
+    'text/plain'
+  ],
+  limit: config.import.maxFileSize
+});
+
+// El cuerpo es un archivo de track: solo se verifica el deviceId de la query
+const importDeviceAuth = createDeviceAuth({ body: false });
+
+router.post('/import', trackFileParser, importDeviceAuth, async (req, res) => {
+  try {
+    const deviceId = req.device?.deviceId || req.query.deviceId || req.query.id;
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'deviceId query parameter is required'
+      });
+    }
+
+    const isEmpty = typeof req.body === 'string' ? !req.body.trim() : !req.body || Object.keys(req.body).length === 0;
+    if (isEmpty) {
+      return res.status(400).json({
+        success: false,
+        error: 'Track file content is required'
+      });
+    }
+
+    const summary = await GpsProcessingService.importTrack(req.body, {
+      deviceId: String(deviceId),
+      format: req.query.format || req.get('Content-Type')
+    });
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+
+  } catch (error) {
+    logger.error('Error importing track file', {
+      error: error.message,
+      deviceId: req.query.deviceId || req.query.id
+    });
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 /**
  * Endpoint para obtener la última posición de un dispositivo
  * GET /api/gps/device/:deviceId/last
@@ -174,6 +441,88 @@ router.get('/device/:deviceId/last', async (req, res) => {
   }
 });
 
+/**
+ * Endpoint para consultar el historial de un dispositivo por rango de tiempo
+ * GET /api/gps/device/:deviceId/history?from=...&to=...&limit=...&cursor=...
+ */
+router.get('/device/:deviceId/history', async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { from, to, limit, cursor } = req.query;
+
+    const history = await GpsProcessingService.getDeviceHistory(deviceId, { from, to, limit, cursor });
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving device history', {
+      error: error.message,
+      deviceId: req.params.deviceId
+    });
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Endpoint para buscar dispositivos cercanos a un punto (índice GEO de últimas posiciones)
+ * GET /api/gps/nearby?lat=...&lng=...&radius=2&unit=km&maxAge=300&group=...
+ */
+router.get('/nearby', async (req, res) => {
+  try {
+    const { error, value } = nearbyQuerySchema.validate(req.query, { abortEarly: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      });
+    }
+
+    const result = await GpsProcessingService.findNearbyDevices(value);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error searching nearby devices', {
+      error: error.message,
+      query: req.query
+    });
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 /**
  * Endpoint para obtener estadísticas del sistema
  * GET /api/gps/stats
@@ -184,7 +533,8 @@ router.get('/stats', async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: systemStats
+      // Los listeners de protocolos dependen del servicio: sus contadores se agregan aquí
+      data: { ...systemStats, ingestion: getIngestionStats() }
     });
 
   } catch (error) {
@@ -308,6 +658,52 @@ router.post('/devices/last-positions', async (req, res) => {
   }
 });
 
+/**
+ * Endpoint para buscar últimas posiciones dentro de un bounding box o polígono
+ * POST /api/gps/devices/search
+ * Body: { bbox: [minLng, minLat, maxLng, maxLat] } o { polygon: GeoJSON }, más maxAge, group, limit y cursor
+ */
+router.post('/devices/search', async (req, res) => {
+  try {
+    const { error, value } = deviceSearchSchema.validate(req.body ?? {}, { abortEarly: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid search parameters',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      });
+    }
+
+    const result = await GpsProcessingService.searchDevices(value);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error searching devices', {
+      error: error.message
+    });
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 /**
  * Endpoint de health check
  * GET /api/gps/health
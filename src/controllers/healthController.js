@@ -3,34 +3,15 @@ import promClient from 'prom-client';
 
 import redisClient from '../config/redis.js';
 import logger from '../utils/logger.js';
+import MetricsCollector from '../core/metrics/MetricsCollector.js';
 
 const router = express.Router();
 
-// Prometheus metrics
-const register = new promClient.Registry();
-
-// Default metrics
-promClient.collectDefaultMetrics({ register });
-
-// Custom metrics
-const httpRequestsTotal = new promClient.Counter({
-  name: 'http_requests_total',
-  help: 'Total number of HTTP requests',
-  labelNames: ['method', 'route', 'status_code'],
-  registers: [register]
-});
-
-const gpsPositionsProcessed = new promClient.Counter({
-  name: 'gps_positions_processed_total',
-  help: 'Total number of GPS positions processed',
-  labelNames: ['device_id'],
-  registers: [register]
-});
-
+// Custom metrics (las del servicio están en MetricsCollector)
 const redisConnectionStatus = new promClient.Gauge({
   name: 'redis_connection_status',
   help: 'Redis connection status (1 = connected, 0 = disconnected)',
-  registers: [register]
+  registers: [MetricsCollector.register]
 });
 
 /**
@@ -83,8 +64,8 @@ router.get('/', async (req, res) => {
  */
 router.get('/metrics', async (req, res) => {
   try {
-    res.set('Content-Type', register.contentType);
-    res.end(await register.metrics());
+    res.set('Content-Type', MetricsCollector.register.contentType);
+    res.end(await MetricsCollector.getMetrics());
   } catch (error) {
     logger.error('Error serving metrics', { error: error.message });
     res.status(500).json({ error: 'Unable to serve metrics' });
@@ -94,7 +75,5 @@ router.get('/metrics', async (req, res) => {
 export default router;
 
 export const metrics = {
-  httpRequestsTotal,
-  gpsPositionsProcessed,
   redisConnectionStatus,
 };
\ No newline at end of file
@@ -0,0 +1,91 @@
+import express from 'express';
+import GpsProcessingService from '../services/GpsProcessingService.js';
+import logger from '../utils/logger.js';
+import config from '../config/config.js';
+import { AppError } from '../errors/AppError.js';
+import { validateGpsData } from '../validators/gpsValidator.js';
+import { parseOsmAndParams } from '../ingestion/osmand/OsmAndParser.js';
+import { createDeviceAuth } from '../middlewares/deviceAuth.js';
+
+const router = express.Router();
+
+// Estas apps no permiten cabeceras propias: la API key también se acepta en el parámetro key
+const osmandDeviceAuth = createDeviceAuth({ param: 'key' });
+
+/**
+ * Quita la API key de los parámetros (si no, terminaría en metadata y en los logs)
+ * @param {Object} query - Query de la petición
+ * @returns {Object} Query sin key
+ */
+const withoutKey = ({ key, ...query }) => query;
+
+/**
+ * Endpoint compatible con OsmAnd / Traccar Client
+ * GET|POST /api/osmand?id=...&lat=...&lon=...&timestamp=...&speed=...
+ */
+router.all('/', (req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+  next();
+}, osmandDeviceAuth, async (req, res) => {
+  try {
+    const params = {
+      ...withoutKey(req.query),
+      ...(req.body && typeof req.body === 'object' ? withoutKey(req.body) : {})
+    };
+
+    if (req.device && params.id === undefined && params.deviceid === undefined) {
+      params.id = req.device.deviceId;
+    }
+
+    const position = parseOsmAndParams(params, {
+      speedUnit: config.osmand?.speedUnit
+    });
+
+    const validationResult = validateGpsData(position);
+    if (!validationResult.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid GPS data',
+        details: validationResult.errors
+      });
+    }
+
+    const result = await GpsProcessingService.processPosition(position);
+
+    logger.debug('OsmAnd position received', {
+      deviceId: position.id,
+      processed: result.processed,
+      duplicate: result.duplicate
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error processing OsmAnd position', {
+      error: error.message,
+      query: withoutKey(req.query)
+    });
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+export default router;
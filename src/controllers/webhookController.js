@@ -0,0 +1,286 @@
+import express from 'express';
+import WebhookManager from '../core/webhooks/WebhookManager.js';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../errors/AppError.js';
+import { webhookSchema } from '../config/schemas.js';
+import { adminAuth } from '../middlewares/adminAuth.js';
+
+const router = express.Router();
+
+// Las suscripciones reciben las posiciones de todos los dispositivos: solo para administradores
+router.use(adminAuth);
+
+/**
+ * Valida el cuerpo de una suscripción
+ * @param {Object} body - Cuerpo de la petición
+ * @returns {Object} { error, value } con los errores en formato { field, message }
+ */
+const validateWebhook = (body) => {
+  const { error, value } = webhookSchema.validate(body ?? {}, { abortEarly: false, stripUnknown: true });
+
+  return {
+    value,
+    error: error && error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }))
+  };
+};
+
+/**
+ * Lee el parámetro limit acotado entre 1 y max
+ * @param {string} value - Valor de la query
+ * @param {number} max - Máximo permitido
+ * @returns {number} Límite
+ */
+const parseLimit = (value, max) => Math.min(Math.max(parseInt(value) || 50, 1), max);
+
+/**
+ * Responde un error de forma uniforme
+ * @param {Object} res - Response object
+ * @param {Error} error - Error capturado
+ */
+const sendError = (res, error) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+};
+
+/**
+ * Lista las suscripciones (sin secretos)
+ * GET /api/webhooks
+ */
+router.get('/', async (req, res) => {
+  try {
+    const subscriptions = await WebhookManager.listSubscriptions();
+
+    res.status(200).json({
+      success: true,
+      data: subscriptions
+    });
+
+  } catch (error) {
+    logger.error('Error listing webhook subscriptions', { error: error.message });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Entregas que agotaron sus reintentos
+ * GET /api/webhooks/dead-letter?limit=50
+ */
+router.get('/dead-letter', async (req, res) => {
+  try {
+    const deadLetters = await WebhookManager.getDeadLetters(
+      parseLimit(req.query.limit, config.webhooks?.maxDeadLetters || 1000)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: deadLetters
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving webhook dead letters', { error: error.message });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Reencola una entrega de la lista de dead-letter
+ * POST /api/webhooks/dead-letter/:deliveryId/redeliver
+ */
+router.post('/dead-letter/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const result = await WebhookManager.redeliver(req.params.deliveryId);
+
+    res.status(202).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error redelivering webhook', {
+      error: error.message,
+      deliveryId: req.params.deliveryId
+    });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Obtiene una suscripción (sin secreto)
+ * GET /api/webhooks/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const subscription = await WebhookManager.getSubscription(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook subscription not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: WebhookManager.toPublic(subscription)
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving webhook subscription', {
+      error: error.message,
+      subscriptionId: req.params.id
+    });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Crea una suscripción; el secreto de firma solo se devuelve en esta respuesta
+ * POST /api/webhooks
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = validateWebhook(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook subscription',
+        details: error
+      });
+    }
+
+    const subscription = await WebhookManager.saveSubscription(value);
+
+    res.status(201).json({
+      success: true,
+      data: subscription
+    });
+
+  } catch (error) {
+    logger.error('Error creating webhook subscription', { error: error.message });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Reemplaza una suscripción (conserva el secreto si no se envía uno nuevo)
+ * PUT /api/webhooks/:id
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { error, value } = validateWebhook(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook subscription',
+        details: error
+      });
+    }
+
+    const subscription = await WebhookManager.saveSubscription(value, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: WebhookManager.toPublic(subscription)
+    });
+
+  } catch (error) {
+    logger.error('Error updating webhook subscription', {
+      error: error.message,
+      subscriptionId: req.params.id
+    });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Elimina una suscripción
+ * DELETE /api/webhooks/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const removed = await WebhookManager.deleteSubscription(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook subscription not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook subscription deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting webhook subscription', {
+      error: error.message,
+      subscriptionId: req.params.id
+    });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Log de intentos de entrega de una suscripción
+ * GET /api/webhooks/:id/deliveries?limit=50
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const deliveries = await WebhookManager.getDeliveries(
+      req.params.id,
+      parseLimit(req.query.limit, config.webhooks?.maxLogEntries || 100)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: deliveries
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving webhook deliveries', {
+      error: error.message,
+      subscriptionId: req.params.id
+    });
+    sendError(res, error);
+  }
+});
+
+/**
+ * Encola un evento webhook.test para verificar el receptor y la firma
+ * POST /api/webhooks/:id/test
+ */
+router.post('/:id/test', async (req, res) => {
+  try {
+    const deliveryId = await WebhookManager.sendTest(req.params.id);
+
+    res.status(202).json({
+      success: true,
+      data: { deliveryId }
+    });
+
+  } catch (error) {
+    logger.error('Error sending webhook test', {
+      error: error.message,
+      subscriptionId: req.params.id
+    });
+    sendError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+import redisIOClient from '../../config/redisIO.js';
+import logger from '../../utils/logger.js';
+import config from '../../config/config.js';
+
+/**
+ * Registro de auditoría de las acciones administrativas
+ * Lista acotada en Redis (la más reciente primero), compartida por todas las instancias
+ */
+class AuditLog {
+  constructor() {
+    this.key = 'gps:admin:audit';
+    this.maxEntries = config.admin?.auditMaxEntries || 10000;
+  }
+
+  /**
+   * Registra una acción
+   * Un fallo al guardar no revierte la acción: queda en el log de la aplicación
+   * @param {Object} action - { actor, action, target, details, ip }
+   * @returns {Promise<Object>} Entrada registrada
+   */
+  async record({ actor, action, target = null, details = null, ip = null }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      actor,
+      action,
+      target,
+      details,
+      ip,
+      at: new Date().toISOString()
+    };
+
+    logger.info('Admin action', entry);
+
+    // Sin conexión el comando quedaría esperando la reconexión (p. ej. al pausar durante un mantenimiento)
+    if (redisIOClient.status !== 'ready') {
+      logger.warn('Admin audit entry not persisted, Redis unavailable', { id: entry.id, action });
+      return entry;
+    }
+
+    try {
+      await redisIOClient.multi()
+        .lpush(this.key, JSON.stringify(entry))
+        .ltrim(this.key, 0, this.maxEntries - 1)
+        .exec();
+    } catch (error) {
+      logger.error('Error saving admin audit entry', { error: error.message, action, actor });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Obtiene las entradas más recientes
+   * @param {Object} options - { limit, actor, action }
+   * @returns {Promise<Array>} Entradas, de la más reciente a la más antigua
+   */
+  async list({ limit = 100, actor, action } = {}) {
+    const values = await redisIOClient.lrange(this.key, 0, (actor || action) ? -1 : limit - 1);
+
+    return values
+      .map(value => JSON.parse(value))
+      .filter(entry => (!actor || entry.actor === actor) && (!action || entry.action === action))
+      .slice(0, limit);
+  }
+}
+
+export default new AuditLog();
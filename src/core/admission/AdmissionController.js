@@ -0,0 +1,173 @@
+import { monitorEventLoopDelay } from 'perf_hooks';
+import logger from '../../utils/logger.js';
+import config from '../../config/config.js';
+import QueueManager from '../queues/QueueManager.js';
+import BatchManager from '../batch/BatchManager.js';
+
+/**
+ * Control de admisión de la ingesta
+ * Mide periódicamente los trabajos pendientes en las colas, el buffer del BatchManager y el lag del
+ * event loop. Si alguno supera su umbral se rechazan las posiciones nuevas (503 + Retry-After) hasta
+ * que todos bajen del umbral multiplicado por resumeRatio, para no alternar en cada medición.
+ */
+class AdmissionController {
+  constructor() {
+    this.options = config.admission || {};
+    this.enabled = this.options.enabled ?? true;
+    this.resumeRatio = this.options.resumeRatio || 0.8;
+
+    this.histogram = null;
+    this.checkTimer = null;
+    this.isChecking = false;
+    this.shedding = false;
+    this.reasons = [];
+    this.since = null;
+    this.measurements = {
+      queueWaiting: { historical: 0, latest: 0 },
+      bufferedPositions: 0,
+      eventLoopLagMs: 0
+    };
+    this.stats = {
+      rejected: 0,
+      sheddingEpisodes: 0
+    };
+  }
+
+  /**
+   * Inicia las mediciones periódicas
+   */
+  start() {
+    if (!this.enabled || this.checkTimer) {
+      return;
+    }
+
+    this.histogram = monitorEventLoopDelay({ resolution: 20 });
+    this.histogram.enable();
+
+    this.checkTimer = setInterval(() => {
+      this.check().catch(error => {
+        logger.error('Error checking admission state', { error: error.message });
+      });
+    }, this.options.checkInterval || 1000);
+
+    logger.info('AdmissionController started', {
+      maxQueueWaiting: this.options.maxQueueWaiting,
+      maxBufferedPositions: this.options.maxBufferedPositions,
+      maxEventLoopLag: this.options.maxEventLoopLag
+    });
+  }
+
+  /**
+   * Actualiza las mediciones y el estado de rechazo
+   */
+  async check() {
+    if (this.isChecking) {
+      return;
+    }
+
+    this.isChecking = true;
+
+    try {
+      // Con Redis caído la consulta quedaría esperando: se conserva la última medición
+      if (QueueManager.isInitialized && QueueManager.isConnected()) {
+        this.measurements.queueWaiting = await QueueManager.getPendingCounts();
+      }
+
+      this.measurements.bufferedPositions = BatchManager.getBufferedCount();
+
+      // p99 del intervalo desde la última medición, en ms
+      this.measurements.eventLoopLagMs = Math.round(this.histogram.percentile(99) / 1e6);
+      this.histogram.reset();
+
+      this.updateState();
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Evalúa los umbrales con histéresis
+   */
+  updateState() {
+    const { queueWaiting, bufferedPositions, eventLoopLagMs } = this.measurements;
+    const limits = [
+      ['queue', Math.max(queueWaiting.historical, queueWaiting.latest), this.options.maxQueueWaiting || 5000],
+      ['buffer', bufferedPositions, this.options.maxBufferedPositions || 20000],
+      ['eventLoopLag', eventLoopLagMs, this.options.maxEventLoopLag || 200]
+    ];
+
+    // Para salir del rechazo todos los valores deben bajar del umbral reducido
+    const factor = this.shedding ? this.resumeRatio : 1;
+    const reasons = limits
+      .filter(([, value, limit]) => value > limit * factor)
+      .map(([reason]) => reason);
+
+    if (reasons.length > 0 && !this.shedding) {
+      this.shedding = true;
+      this.since = new Date().toISOString();
+      this.stats.sheddingEpisodes++;
+      logger.warn('Ingestion load shedding started', { reasons, ...this.measurements });
+    } else if (reasons.length === 0 && this.shedding) {
+      this.shedding = false;
+      this.since = null;
+      logger.info('Ingestion load shedding stopped', this.measurements);
+    }
+
+    this.reasons = reasons;
+  }
+
+  /**
+   * Indica si se deben rechazar posiciones nuevas
+   * @returns {boolean} True si se está rechazando
+   */
+  isShedding() {
+    return this.enabled && this.shedding;
+  }
+
+  /**
+   * Registra una petición rechazada
+   */
+  recordRejection() {
+    this.stats.rejected++;
+  }
+
+  /**
+   * Segundos sugeridos al cliente antes de reintentar
+   * @returns {number} Segundos
+   */
+  getRetryAfter() {
+    return this.options.retryAfter || 5;
+  }
+
+  /**
+   * Obtiene el estado y las mediciones
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      shedding: this.shedding,
+      reasons: this.reasons,
+      since: this.since,
+      measurements: this.measurements,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Detiene las mediciones
+   */
+  stop() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+
+    if (this.histogram) {
+      this.histogram.disable();
+      this.histogram = null;
+    }
+  }
+}
+
+export default new AdmissionController();
@@ -2,6 +2,8 @@ import logger from '../../utils/logger.js';
 import config from '../../config/config.js';
 import EventBus from '../events/EventBus.js';
 import QueueManager from '../queues/QueueManager.js';
+import BatchSpool from './BatchSpool.js';
+import OverflowStore from './OverflowStore.js';
 
 /**
  * Gestor de lotes para procesamiento eficiente de datos GPS
@@ -10,20 +12,65 @@ import QueueManager from '../queues/QueueManager.js';
 class BatchManager {
   constructor() {
     this.historicalBatch = [];
+    this.pendingHistoricalBatch = null; // { batchId, positions, segments } que falló sin overflow
     this.latestPositions = new Map(); // deviceId -> position
     this.batchInterval = config.batch.interval || 10000; // 10 segundos
     this.maxBatchSize = config.batch.maxSize || 100;
     this.isProcessing = false;
+    this.isDraining = false;
+    this.historicalRun = null; // Promesa de la ejecución en curso de processHistoricalBatch
+    this.historicalRerun = false;
+    this.enqueueTimeout = config.overflow?.enqueueTimeout || 5000;
     
     this.initializeBatchProcessing();
     this.setupEventListeners();
   }
 
+  /**
+   * Recupera las posiciones del spool que no llegaron a encolarse antes de una caída
+   * @param {Object} options - Opciones
+   * @param {boolean} options.spool - false desactiva el spool (la entrada se puede repetir)
+   */
+  async initialize(options = {}) {
+    if (options.spool === false) {
+      BatchSpool.disable();
+      return;
+    }
+
+    this.recoverSpool();
+  }
+
+  /**
+   * Agrega al lote las posiciones de los segmentos del spool que ningún proceso vivo reclama
+   */
+  recoverSpool() {
+    const positions = BatchSpool.replay();
+    if (positions.length === 0) {
+      return;
+    }
+
+    // Son anteriores a lo que ya esté en memoria
+    this.historicalBatch.unshift(...positions);
+    positions
+      .filter(position => !position.metadata?.backfill)
+      .forEach(position => this.updateLatestPosition(position));
+
+    if (this.historicalBatch.length >= this.maxBatchSize) {
+      setImmediate(() => this.processHistoricalBatch().catch(() => {}));
+    }
+  }
+
   /**
    * Inicializa el procesamiento automático de lotes
    */
   initializeBatchProcessing() {
     this.batchTimer = setInterval(async () => {
+      // Segmentos de una réplica que cayó después de nuestro inicio
+      try {
+        this.recoverSpool();
+      } catch (error) {
+        logger.error('Error recovering batch spool', { error: error.message });
+      }
       await this.processBatches();
     }, this.batchInterval);
 
@@ -37,9 +84,18 @@ class BatchManager {
    * Configura los listeners de eventos
    */
   setupEventListeners() {
-    EventBus.on('position.processed', (position) => {
+    EventBus.on('position.processed', (position, context) => {
+      // Las posiciones de otras instancias ya se guardan allí
+      if (context?.remote) {
+        return;
+      }
+
       this.addToHistoricalBatch(position);
-      this.updateLatestPosition(position);
+
+      // Las posiciones importadas solo van al histórico
+      if (!position.metadata?.backfill) {
+        this.updateLatestPosition(position);
+      }
     });
 
     EventBus.on('app.shutdown', () => {
@@ -52,10 +108,14 @@ class BatchManager {
    * @param {Object} position - Posición GPS procesada
    */
   addToHistoricalBatch(position) {
-    this.historicalBatch.push({
+    const batched = {
       ...position,
       batchedAt: new Date()
-    });
+    };
+
+    // Se escribe en disco antes de que se responda al dispositivo
+    BatchSpool.append(batched);
+    this.historicalBatch.push(batched);
 
     logger.debug('Position added to historical batch', {
       deviceId: position.deviceId,
@@ -64,7 +124,8 @@ class BatchManager {
 
     // Procesar inmediatamente si alcanza el tamaño máximo
     if (this.historicalBatch.length >= this.maxBatchSize) {
-      setImmediate(() => this.processHistoricalBatch());
+      // El error ya se registró y el lote se conserva; el rechazo no debe quedar sin manejar
+      setImmediate(() => this.processHistoricalBatch().catch(() => {}));
     }
   }
 
@@ -116,48 +177,213 @@ class BatchManager {
   }
 
   /**
-   * Procesa el lote histórico
+   * Encola un lote sin esperar indefinidamente a que Redis vuelva
+   * @param {Function} addToQueue - Función que agrega el lote a su cola
+   * @throws {Error} Si Redis no está conectado o la cola no responde a tiempo
+   */
+  async enqueue(addToQueue) {
+    if (!QueueManager.isConnected()) {
+      throw new Error('Redis connection is not ready');
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Timed out adding batch to queue')), this.enqueueTimeout);
+    });
+
+    try {
+      await Promise.race([addToQueue(), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Genera el ID de un lote histórico
+   * @returns {string} ID (sin guiones, va en el nombre de los archivos del overflow)
+   */
+  createHistoricalBatchId() {
+    return `hist_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Posiciones retenidas en memoria (lote en curso y lote pendiente de reintento)
+   * @returns {number} Cantidad de posiciones
+   */
+  getBufferedCount() {
+    return this.historicalBatch.length + (this.pendingHistoricalBatch?.positions.length || 0);
+  }
+
+  /**
+   * Procesa el lote histórico, una ejecución a la vez
+   * Las llamadas que llegan durante una ejecución (timer o disparo por tamaño) esperan a que termine
+   * y se atienden con una sola vuelta más, que encola lo que se acumuló mientras tanto
+   */
+  processHistoricalBatch() {
+    if (this.historicalRun) {
+      this.historicalRerun = true;
+      return this.historicalRun;
+    }
+
+    this.historicalRun = (async () => {
+      try {
+        do {
+          this.historicalRerun = false;
+          await this.runHistoricalBatch();
+        } while (this.historicalRerun && this.historicalBatch.length > 0 && OverflowStore.isEmpty());
+      } finally {
+        this.historicalRun = null;
+      }
+    })();
+
+    return this.historicalRun;
+  }
+
+  /**
+   * Encola el lote histórico (usar processHistoricalBatch)
+   * Mientras haya lotes en el overflow en disco, los nuevos se guardan detrás para conservar el orden
    */
-  async processHistoricalBatch() {
+  async runHistoricalBatch() {
+    // Un lote que falló se reintenta tal cual y con el mismo batchId antes que las posiciones nuevas
+    if (this.pendingHistoricalBatch) {
+      const pending = this.pendingHistoricalBatch;
+      this.pendingHistoricalBatch = null;
+      await this.queueHistoricalBatch(pending);
+    }
+
+    if (!OverflowStore.isEmpty()) {
+      this.spillHistoricalBatch();
+      await this.drainOverflow();
+      return;
+    }
+
     if (this.historicalBatch.length === 0) {
       return;
     }
 
-    const batchToProcess = [...this.historicalBatch];
+    const positions = this.historicalBatch;
     this.historicalBatch = []; // Limpiar el lote actual
 
+    await this.queueHistoricalBatch({
+      batchId: this.createHistoricalBatchId(),
+      positions,
+      segments: BatchSpool.claim()
+    });
+  }
+
+  /**
+   * Encola un lote histórico; si falla lo guarda en el overflow o lo deja pendiente de reintento
+   * En ambos casos conserva su batchId: si el intento que expiró sí llegó a Redis, BullMQ descarta
+   * el repetido por jobId
+   * @param {Object} batch - { batchId, positions, segments }
+   * @throws {Error} Si no se pudo encolar ni guardar en el overflow
+   */
+  async queueHistoricalBatch(batch) {
+    const { batchId, positions, segments } = batch;
+
     try {
-      const batchId = `hist_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      await QueueManager.addHistoricalBatch({
+      await this.enqueue(() => QueueManager.addHistoricalBatch({
         batchId,
-        positions: batchToProcess,
-        count: batchToProcess.length,
+        positions,
+        count: positions.length,
         createdAt: new Date().toISOString()
-      });
+      }));
+
+      BatchSpool.commit(segments);
 
       logger.info('Historical batch queued', {
         batchId,
-        count: batchToProcess.length
+        count: positions.length
       });
 
       EventBus.emit('batch.historical.queued', {
         batchId,
-        count: batchToProcess.length
+        count: positions.length
       });
 
     } catch (error) {
       logger.error('Error processing historical batch', {
         error: error.message,
-        batchSize: batchToProcess.length
+        batchId,
+        batchSize: positions.length
       });
-      
-      // Volver a agregar al lote si falló
-      this.historicalBatch.unshift(...batchToProcess);
+
+      // El lote queda en disco hasta que la cola vuelva a aceptar trabajos
+      if (OverflowStore.spill(positions, batchId)) {
+        BatchSpool.commit(segments);
+        return;
+      }
+
+      // Sin overflow: se reintenta en el próximo ciclo (sus segmentos siguen en el spool)
+      this.pendingHistoricalBatch = batch;
       throw error;
     }
   }
 
+  /**
+   * Mueve el lote histórico en memoria al overflow en disco
+   */
+  spillHistoricalBatch() {
+    if (this.historicalBatch.length === 0) {
+      return;
+    }
+
+    const batchToSpill = this.historicalBatch;
+    this.historicalBatch = [];
+    const segments = BatchSpool.claim();
+
+    if (OverflowStore.spill(batchToSpill, this.createHistoricalBatchId())) {
+      BatchSpool.commit(segments);
+    } else {
+      this.historicalBatch.unshift(...batchToSpill);
+      BatchSpool.release(segments);
+    }
+  }
+
+  /**
+   * Devuelve a la cola los lotes del overflow, del más antiguo al más nuevo
+   * Se detiene en el primer fallo; el siguiente ciclo lo vuelve a intentar
+   */
+  async drainOverflow() {
+    if (this.isDraining) {
+      return;
+    }
+
+    this.isDraining = true;
+
+    try {
+      let next;
+      while ((next = OverflowStore.peek())) {
+        const { batchId } = next.entry;
+
+        try {
+          await this.enqueue(() => QueueManager.addHistoricalBatch({
+            batchId,
+            positions: next.positions,
+            count: next.positions.length,
+            createdAt: new Date().toISOString()
+          }));
+        } catch (error) {
+          logger.warn('Overflow drain paused, queue still unavailable', {
+            error: error.message,
+            pendingBatches: OverflowStore.getStats().batches
+          });
+          return;
+        }
+
+        OverflowStore.markDrained(next.entry);
+
+        logger.info('Overflow batch queued', {
+          batchId,
+          count: next.positions.length,
+          pendingBatches: OverflowStore.getStats().batches
+        });
+      }
+    } finally {
+      this.isDraining = false;
+    }
+  }
+
   /**
    * Procesa el lote de últimas posiciones
    */
@@ -173,13 +399,13 @@ class BatchManager {
     try {
       const batchId = `latest_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
       
-      await QueueManager.addLatestBatch({
+      await this.enqueue(() => QueueManager.addLatestBatch({
         batchId,
         positions: latestData,
         deviceIds,
         count: latestData.length,
         createdAt: new Date().toISOString()
-      });
+      }));
 
       logger.info('Latest positions batch queued', {
         batchId,
@@ -199,9 +425,12 @@ class BatchManager {
         batchSize: latestData.length
       });
       
-      // Volver a agregar al mapa si falló
+      // Volver a agregar al mapa si falló, sin pisar posiciones más nuevas recibidas mientras tanto
       latestData.forEach(position => {
-        this.latestPositions.set(position.deviceId, position);
+        const current = this.latestPositions.get(position.deviceId);
+        if (!current || position.timestamp > current.timestamp) {
+          this.latestPositions.set(position.deviceId, position);
+        }
       });
       throw error;
     }
@@ -223,6 +452,7 @@ class BatchManager {
     return {
       historical: {
         batchSize: this.historicalBatch.length,
+        pendingRetry: this.pendingHistoricalBatch?.positions.length || 0,
         maxBatchSize: this.maxBatchSize
       },
       latest: {
@@ -232,7 +462,9 @@ class BatchManager {
       processing: {
         interval: this.batchInterval,
         isProcessing: this.isProcessing
-      }
+      },
+      spool: BatchSpool.getStats(),
+      overflow: OverflowStore.getStats()
     };
   }
 
@@ -240,7 +472,10 @@ class BatchManager {
    * Limpia todos los lotes (útil para testing)
    */
   clearBatches() {
+    // Sin borrar sus segmentos, un reinicio volvería a cargar lo que se pidió descartar
+    BatchSpool.commit([...BatchSpool.claim(), ...(this.pendingHistoricalBatch?.segments || [])]);
     this.historicalBatch = [];
+    this.pendingHistoricalBatch = null;
     this.latestPositions.clear();
     logger.info('All batches cleared');
   }
@@ -257,6 +492,7 @@ class BatchManager {
 
     // Procesar lotes pendientes antes de cerrar
     await this.processBatches();
+    BatchSpool.close();
     
     logger.info('BatchManager shutdown complete');
   }
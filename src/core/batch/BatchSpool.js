@@ -0,0 +1,351 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import logger from '../../utils/logger.js';
+import config from '../../config/config.js';
+
+// Campos de fecha que JSON convierte en string y BatchManager compara como Date
+const DATE_FIELDS = ['timestamp', 'receivedAt', 'batchedAt'];
+
+// {timestamp}-{token del proceso}-{secuencia}.ndjson
+const SEGMENT_PATTERN = /^(\d+)-([a-f0-9]+)-(.+)\.ndjson$/;
+
+/**
+ * Spool local (write-ahead) de las posiciones aceptadas por BatchManager
+ * Cada posición se escribe de forma síncrona en un segmento NDJSON antes de responder al dispositivo.
+ * Al armar un lote histórico se cierra el segmento activo y se reclaman los segmentos cerrados;
+ * se eliminan cuando QueueManager.addHistoricalBatch confirma el lote. Los segmentos que quedan
+ * tras una caída se reproducen al iniciar.
+ * Varias réplicas pueden compartir el directorio: cada proceso renueva un lease ({token}.lease) y solo
+ * se adoptan los segmentos de procesos cuyo lease venció, renombrándolos para que los adopte uno solo.
+ */
+class BatchSpool {
+  constructor() {
+    this.options = config.spool || {};
+    this.enabled = this.options.enabled ?? true;
+    this.dir = path.resolve(this.options.dir || './data/spool');
+
+    // Identifica los segmentos de este proceso para no reproducirlos como huérfanos
+    this.token = crypto.randomBytes(4).toString('hex');
+    this.sequence = 0;
+    this.leaseTimeout = this.options.leaseTimeout || 60000;
+    this.leaseTimer = null;
+    this.fd = null;
+    this.activeSegment = null;
+    this.activeCount = 0;
+    this.closedSegments = []; // Segmentos cerrados aún no reclamados por un lote
+    this.stats = {
+      appended: 0,
+      replayed: 0,
+      removedSegments: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Desactiva el spool (procesos que pueden repetir su entrada, como la CLI de importación)
+   */
+  disable() {
+    this.close();
+    this.enabled = false;
+  }
+
+  /**
+   * Ruta del lease de un proceso
+   * @param {string} token - Token del proceso
+   * @returns {string} Ruta del archivo
+   */
+  leasePath(token) {
+    return path.join(this.dir, `${token}.lease`);
+  }
+
+  /**
+   * Crea el lease de este proceso y lo renueva periódicamente mientras tenga segmentos
+   */
+  startLease() {
+    if (this.leaseTimer) {
+      return;
+    }
+
+    const renew = () => {
+      try {
+        fs.writeFileSync(this.leasePath(this.token), String(Date.now()));
+      } catch (error) {
+        this.stats.errors++;
+        logger.error('Error renewing batch spool lease', { error: error.message });
+      }
+    };
+
+    renew();
+    this.leaseTimer = setInterval(renew, this.leaseTimeout / 4);
+    this.leaseTimer.unref();
+  }
+
+  /**
+   * Indica si el proceso dueño de un token sigue vivo (renovó su lease a tiempo)
+   * @param {string} token - Token del proceso
+   * @returns {boolean} True si el lease está vigente
+   */
+  isLeaseActive(token) {
+    try {
+      return Date.now() - fs.statSync(this.leasePath(token)).mtimeMs < this.leaseTimeout;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Abre un segmento nuevo
+   */
+  openSegment() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.startLease();
+
+    const name = `${Date.now()}-${this.token}-${String(++this.sequence).padStart(6, '0')}.ndjson`;
+    this.activeSegment = path.join(this.dir, name);
+    this.fd = fs.openSync(this.activeSegment, 'a');
+    this.activeCount = 0;
+  }
+
+  /**
+   * Escribe una posición en el segmento activo
+   * Un error de escritura no rechaza la posición: queda en memoria como antes del spool
+   * @param {Object} position - Posición agregada al lote
+   */
+  append(position) {
+    if (!this.enabled) {
+      return;
+    }
+
+    try {
+      if (this.fd === null) {
+        this.openSegment();
+      }
+
+      fs.writeSync(this.fd, `${JSON.stringify(position)}\n`);
+      if (this.options.fsync) {
+        fs.fsyncSync(this.fd);
+      }
+
+      this.activeCount++;
+      this.stats.appended++;
+    } catch (error) {
+      this.stats.errors++;
+      logger.error('Error writing position to batch spool', {
+        deviceId: position.deviceId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Cierra el segmento activo (los vacíos se eliminan)
+   */
+  closeActive() {
+    if (this.fd === null) {
+      return;
+    }
+
+    const segment = this.activeSegment;
+    const count = this.activeCount;
+    fs.closeSync(this.fd);
+    this.fd = null;
+    this.activeSegment = null;
+    this.activeCount = 0;
+
+    if (count > 0) {
+      this.closedSegments.push(segment);
+    } else {
+      this.remove([segment]);
+    }
+  }
+
+  /**
+   * Cierra el segmento activo y reclama todos los segmentos cerrados
+   * Debe llamarse en el mismo tick en que se toma el lote en memoria para que coincidan
+   * @returns {Array<string>} Segmentos que cubren el lote
+   */
+  claim() {
+    try {
+      this.closeActive();
+    } catch (error) {
+      this.stats.errors++;
+      logger.error('Error closing batch spool segment', { error: error.message });
+    }
+
+    const segments = this.closedSegments;
+    this.closedSegments = [];
+    return segments;
+  }
+
+  /**
+   * Devuelve segmentos reclamados cuyo lote no se pudo encolar
+   * @param {Array<string>} segments - Segmentos de claim()
+   */
+  release(segments) {
+    this.closedSegments.unshift(...segments);
+  }
+
+  /**
+   * Elimina los segmentos de un lote ya encolado
+   * @param {Array<string>} segments - Segmentos de claim()
+   */
+  commit(segments) {
+    this.remove(segments);
+  }
+
+  /**
+   * Elimina archivos de segmento
+   * @param {Array<string>} segments - Rutas de los segmentos
+   */
+  remove(segments) {
+    for (const segment of segments) {
+      try {
+        fs.unlinkSync(segment);
+        this.stats.removedSegments++;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          this.stats.errors++;
+          logger.error('Error removing batch spool segment', { segment, error: error.message });
+        }
+      }
+    }
+  }
+
+  /**
+   * Adopta un segmento huérfano renombrándolo con el token de este proceso
+   * El rename es atómico: si otra réplica lo adoptó antes, falla con ENOENT
+   * @param {string} name - Nombre del segmento
+   * @param {string} timestamp - Timestamp del nombre original (conserva el orden)
+   * @returns {string|null} Ruta adoptada o null si ya no estaba
+   */
+  adopt(name, timestamp) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.startLease();
+
+    const adopted = path.join(this.dir, `${timestamp}-${this.token}-r${String(++this.sequence).padStart(6, '0')}.ndjson`);
+    try {
+      fs.renameSync(path.join(this.dir, name), adopted);
+      return adopted;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Lee los segmentos de procesos que ya no renuevan su lease y los adopta como pendientes
+   * Se llama al iniciar y en cada ciclo del BatchManager (una réplica puede caer en cualquier momento)
+   * Una última línea incompleta (escritura interrumpida) se descarta
+   * @returns {Array<Object>} Posiciones recuperadas, en orden de escritura
+   */
+  replay() {
+    if (!this.enabled || !fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    const names = fs.readdirSync(this.dir);
+    const owners = new Map(); // token -> lease vigente
+
+    const segments = [];
+    for (const name of names.filter(name => name.endsWith('.ndjson')).sort()) {
+      const match = SEGMENT_PATTERN.exec(name);
+      const owner = match?.[2];
+      if (!match || owner === this.token) {
+        continue;
+      }
+
+      if (!owners.has(owner)) {
+        owners.set(owner, this.isLeaseActive(owner));
+      }
+      if (owners.get(owner)) {
+        continue;
+      }
+
+      const adopted = this.adopt(name, match[1]);
+      if (adopted) {
+        segments.push(adopted);
+      }
+    }
+
+    // Leases vencidos cuyos segmentos ya se adoptaron
+    for (const name of names.filter(name => name.endsWith('.lease'))) {
+      const owner = name.slice(0, -'.lease'.length);
+      if (owner !== this.token && !(owners.get(owner) ?? this.isLeaseActive(owner))) {
+        fs.rmSync(path.join(this.dir, name), { force: true });
+      }
+    }
+
+    const positions = [];
+    let corrupted = 0;
+
+    for (const segment of segments) {
+      for (const line of fs.readFileSync(segment, 'utf8').split('\n')) {
+        if (!line.trim()) {
+          continue;
+        }
+
+        try {
+          const position = JSON.parse(line);
+          for (const field of DATE_FIELDS) {
+            if (position[field]) {
+              position[field] = new Date(position[field]);
+            }
+          }
+          positions.push(position);
+        } catch (error) {
+          corrupted++;
+        }
+      }
+    }
+
+    this.closedSegments.unshift(...segments);
+    this.stats.replayed += positions.length;
+
+    if (segments.length > 0) {
+      logger.warn('Batch spool replayed', {
+        segments: segments.length,
+        positions: positions.length,
+        corruptedLines: corrupted
+      });
+    }
+
+    return positions;
+  }
+
+  /**
+   * Obtiene estadísticas del spool
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      dir: this.dir,
+      activeEntries: this.activeCount,
+      pendingSegments: this.closedSegments.length,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Cierra el segmento activo sin reclamarlo y libera el lease: lo que no se confirmó lo adopta
+   * la siguiente réplica que revise el directorio (o este servicio al reiniciar)
+   */
+  close() {
+    try {
+      this.closeActive();
+    } catch (error) {
+      logger.error('Error closing batch spool', { error: error.message });
+    }
+
+    if (this.leaseTimer) {
+      clearInterval(this.leaseTimer);
+      this.leaseTimer = null;
+      fs.rmSync(this.leasePath(this.token), { force: true });
+    }
+  }
+}
+
+export default new BatchSpool();
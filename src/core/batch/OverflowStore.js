@@ -0,0 +1,223 @@
+import fs from 'fs';
+import path from 'path';
+import logger from '../../utils/logger.js';
+import config from '../../config/config.js';
+
+/**
+ * Almacén en disco de lotes históricos que no se pudieron encolar (Redis o BullMQ caídos)
+ * Un archivo JSON por lote, en orden de llegada, con el batchId del primer intento de encolarlo.
+ * Tiene un tamaño máximo: al superarlo se descartan los lotes más antiguos (y se contabilizan)
+ * en lugar de agotar la memoria del proceso.
+ */
+class OverflowStore {
+  constructor() {
+    this.options = config.overflow || {};
+    this.enabled = this.options.enabled ?? true;
+    this.dir = path.resolve(this.options.dir || './data/overflow');
+    this.maxBytes = this.options.maxBytes || 512 * 1024 * 1024;
+
+    this.entries = null; // [{ file, size, count, batchId }] en orden; se carga del disco al primer uso
+    this.bytes = 0;
+    this.sequence = 0;
+    this.stats = {
+      spilledBatches: 0,
+      drainedBatches: 0,
+      droppedBatches: 0,
+      droppedPositions: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Lista los lotes existentes (incluidos los de una ejecución anterior)
+   */
+  load() {
+    if (this.entries) {
+      return;
+    }
+
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    this.entries = fs.readdirSync(this.dir)
+      .filter(name => name.endsWith('.json'))
+      .sort()
+      .map(name => {
+        const file = path.join(this.dir, name);
+        const [, , count, batchId] = path.basename(name, '.json').split('-');
+        return {
+          file,
+          size: fs.statSync(file).size,
+          count: parseInt(count) || 0,
+          // Los archivos sin batchId (versiones anteriores) reciben uno fijo derivado del nombre
+          batchId: batchId || `hist_overflow_${path.basename(name, '.json')}`
+        };
+      });
+    this.bytes = this.entries.reduce((total, entry) => total + entry.size, 0);
+
+    if (this.entries.length > 0) {
+      logger.warn('Overflow store has pending batches', {
+        batches: this.entries.length,
+        bytes: this.bytes
+      });
+    }
+  }
+
+  /**
+   * Indica si no hay lotes pendientes
+   * @returns {boolean} True si está vacío (o deshabilitado)
+   */
+  isEmpty() {
+    if (!this.enabled) {
+      return true;
+    }
+
+    try {
+      this.load();
+    } catch (error) {
+      this.stats.errors++;
+      logger.error('Error loading overflow store', { error: error.message });
+      return true;
+    }
+
+    return this.entries.length === 0;
+  }
+
+  /**
+   * Guarda un lote al final del almacén
+   * @param {Array} positions - Posiciones del lote
+   * @param {string} batchId - ID del lote; se reutiliza al devolverlo a la cola para que BullMQ descarte
+   *   el duplicado si un intento que expiró sí había llegado a Redis
+   * @returns {boolean} False si el almacén está deshabilitado o no se pudo escribir
+   */
+  spill(positions, batchId) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    try {
+      this.load();
+
+      // timestamp-secuencia-cantidad-batchId: el orden lexicográfico es el de llegada
+      const name = `${Date.now()}-${String(++this.sequence).padStart(6, '0')}-${positions.length}-${batchId}.json`;
+      const file = path.join(this.dir, name);
+      const content = JSON.stringify(positions);
+
+      // Escritura atómica: un archivo a medias nunca tiene la extensión .json
+      fs.writeFileSync(`${file}.tmp`, content);
+      fs.renameSync(`${file}.tmp`, file);
+
+      const size = Buffer.byteLength(content);
+      this.entries.push({ file, size, count: positions.length, batchId });
+      this.bytes += size;
+      this.stats.spilledBatches++;
+
+      this.enforceLimit();
+      return true;
+    } catch (error) {
+      this.stats.errors++;
+      logger.error('Error spilling batch to overflow store', {
+        count: positions.length,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Descarta los lotes más antiguos mientras se supere el tamaño máximo
+   */
+  enforceLimit() {
+    while (this.bytes > this.maxBytes && this.entries.length > 1) {
+      const dropped = this.entries[0];
+      this.remove(dropped);
+
+      this.stats.droppedBatches++;
+      this.stats.droppedPositions += dropped.count;
+
+      logger.error('Overflow store full, oldest batch dropped', {
+        count: dropped.count,
+        maxBytes: this.maxBytes
+      });
+    }
+  }
+
+  /**
+   * Lee el lote más antiguo sin quitarlo
+   * Los archivos ilegibles se descartan y se pasa al siguiente
+   * @returns {Object|null} { entry, positions } o null si está vacío
+   */
+  peek() {
+    while (!this.isEmpty()) {
+      const entry = this.entries[0];
+
+      try {
+        return { entry, positions: JSON.parse(fs.readFileSync(entry.file, 'utf8')) };
+      } catch (error) {
+        this.stats.errors++;
+        logger.error('Discarding unreadable overflow batch', { file: entry.file, error: error.message });
+        this.remove(entry);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Quita un lote ya encolado
+   * @param {Object} entry - Entrada devuelta por peek()
+   * @returns {boolean} false si el lote ya no estaba
+   */
+  remove(entry) {
+    const index = this.entries.indexOf(entry);
+    if (index === -1) {
+      return false;
+    }
+
+    this.entries.splice(index, 1);
+    this.bytes -= entry.size;
+
+    try {
+      fs.unlinkSync(entry.file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.stats.errors++;
+        logger.error('Error removing overflow batch', { file: entry.file, error: error.message });
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Marca un lote como devuelto a la cola
+   * @param {Object} entry - Entrada devuelta por peek()
+   */
+  markDrained(entry) {
+    // enforceLimit lo descartó mientras se encolaba: llegó a la cola, así que no cuenta como perdido
+    if (!this.remove(entry)) {
+      this.stats.droppedBatches--;
+      this.stats.droppedPositions -= entry.count;
+    }
+    this.stats.drainedBatches++;
+  }
+
+  /**
+   * Obtiene estadísticas del almacén
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    this.isEmpty(); // Carga los lotes de una ejecución anterior
+    const entries = this.entries || [];
+
+    return {
+      enabled: this.enabled,
+      dir: this.dir,
+      batches: entries.length,
+      positions: entries.reduce((total, entry) => total + entry.count, 0),
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      ...this.stats
+    };
+  }
+}
+
+export default new OverflowStore();
@@ -0,0 +1,243 @@
+import redisIOClient from '../../config/redisIO.js';
+import logger from '../../utils/logger.js';
+import config from '../../config/config.js';
+import EventBus from '../events/EventBus.js';
+
+/**
+ * Monitor de actividad de dispositivos
+ * Guarda la última recepción de cada dispositivo en un sorted set compartido por todas las instancias
+ * y emite device.offline / device.online; el set de dispositivos offline hace que cada transición
+ * se emita una sola vez aunque haya varias réplicas (solo una obtiene 1 en SADD/SREM)
+ */
+class DeviceActivityMonitor {
+  constructor() {
+    this.options = config.deviceActivity || {};
+    this.enabled = this.options.enabled ?? true;
+    this.keys = {
+      lastSeen: 'gps:devices:lastseen',
+      offline: 'gps:devices:offline'
+    };
+
+    this.pending = new Map(); // deviceId -> ms de la última recepción aún no guardada
+    this.flushTimer = null;
+    this.checkTimer = null;
+    this.stats = {
+      offline: 0,
+      online: 0,
+      errors: 0
+    };
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Inicia el guardado periódico de recepciones y la detección de dispositivos offline
+   */
+  async initialize() {
+    if (!this.enabled || this.checkTimer) {
+      return;
+    }
+
+    this.flushTimer = setInterval(() => {
+      this.flush().catch(error => {
+        this.stats.errors++;
+        logger.error('Error saving device activity', { error: error.message });
+      });
+    }, this.options.flushInterval || 5000);
+
+    this.checkTimer = setInterval(() => {
+      this.checkOffline().catch(error => {
+        this.stats.errors++;
+        logger.error('Error checking offline devices', { error: error.message });
+      });
+    }, this.options.checkInterval || 60000);
+
+    logger.info('DeviceActivityMonitor initialized', {
+      offlineThreshold: this.options.offlineThreshold
+    });
+  }
+
+  /**
+   * Configura los listeners de eventos
+   */
+  setupEventListeners() {
+    if (!this.enabled) {
+      return;
+    }
+
+    EventBus.on('position.processed', (position, context) => {
+      // La instancia que recibió la posición es la que registra la actividad
+      if (context?.remote || position.metadata?.backfill) {
+        return;
+      }
+
+      const seenAt = new Date(position.receivedAt || Date.now()).getTime();
+      const previous = this.pending.get(position.deviceId) || 0;
+      this.pending.set(position.deviceId, Math.max(previous, seenAt));
+    });
+  }
+
+  /**
+   * Guarda las recepciones pendientes y emite device.online para los dispositivos que estaban offline
+   */
+  async flush() {
+    if (this.pending.size === 0) {
+      return;
+    }
+
+    const entries = Array.from(this.pending.entries());
+    this.pending.clear();
+
+    const pipeline = redisIOClient.pipeline();
+    for (const [deviceId, seenAt] of entries) {
+      pipeline.zscore(this.keys.lastSeen, deviceId);
+      pipeline.zadd(this.keys.lastSeen, 'GT', seenAt, deviceId);
+      pipeline.srem(this.keys.offline, deviceId);
+    }
+
+    let results;
+    try {
+      results = await pipeline.exec();
+    } catch (error) {
+      // Se reintentan en el siguiente ciclo salvo que ya haya una recepción más nueva
+      for (const [deviceId, seenAt] of entries) {
+        if (!this.pending.has(deviceId)) {
+          this.pending.set(deviceId, seenAt);
+        }
+      }
+      throw error;
+    }
+
+    entries.forEach(([deviceId, seenAt], index) => {
+      const [[, previousScore], , [, removed]] = results.slice(index * 3, index * 3 + 3);
+
+      if (removed !== 1) {
+        return;
+      }
+
+      const previousSeen = previousScore ? parseInt(previousScore) : null;
+      this.stats.online++;
+
+      EventBus.emit('device.online', {
+        deviceId,
+        lastSeen: new Date(seenAt).toISOString(),
+        previousSeen: previousSeen ? new Date(previousSeen).toISOString() : null,
+        offlineDuration: previousSeen ? seenAt - previousSeen : null
+      });
+
+      logger.info('Device back online', { deviceId });
+    });
+  }
+
+  /**
+   * Marca como offline los dispositivos sin recepciones dentro del umbral
+   * y descarta los que superan la retención
+   */
+  async checkOffline() {
+    await this.flush();
+
+    const now = Date.now();
+    const offlineThreshold = this.options.offlineThreshold || 300000;
+    const retentionCutoff = now - (this.options.retention || 604800000);
+
+    const expired = await redisIOClient.zrangebyscore(this.keys.lastSeen, '-inf', retentionCutoff);
+    if (expired.length > 0) {
+      await redisIOClient.pipeline()
+        .zrem(this.keys.lastSeen, ...expired)
+        .srem(this.keys.offline, ...expired)
+        .exec();
+    }
+
+    const candidates = await redisIOClient.zrangebyscore(
+      this.keys.lastSeen,
+      `(${retentionCutoff}`,
+      now - offlineThreshold,
+      'WITHSCORES'
+    );
+    if (candidates.length === 0) {
+      return;
+    }
+
+    const devices = [];
+    const pipeline = redisIOClient.pipeline();
+    for (let i = 0; i < candidates.length; i += 2) {
+      devices.push([candidates[i], parseInt(candidates[i + 1])]);
+      pipeline.sadd(this.keys.offline, candidates[i]);
+    }
+
+    const results = await pipeline.exec();
+
+    devices.forEach(([deviceId, lastSeen], index) => {
+      if (results[index][1] !== 1) {
+        return;
+      }
+
+      this.stats.offline++;
+
+      EventBus.emit('device.offline', {
+        deviceId,
+        lastSeen: new Date(lastSeen).toISOString(),
+        offlineFor: now - lastSeen,
+        threshold: offlineThreshold
+      });
+
+      logger.info('Device went offline', { deviceId, lastSeen: new Date(lastSeen).toISOString() });
+    });
+  }
+
+  /**
+   * Cuenta los dispositivos con recepciones dentro del umbral de offline (todas las instancias)
+   * @returns {Promise<number>} Dispositivos activos
+   */
+  async countActive() {
+    const offlineThreshold = this.options.offlineThreshold || 300000;
+    return redisIOClient.zcount(this.keys.lastSeen, Date.now() - offlineThreshold, '+inf');
+  }
+
+  /**
+   * Obtiene la última recepción de los dispositivos más recientes
+   * @param {number} limit - Máximo de dispositivos
+   * @returns {Promise<Array>} [[deviceId, ms], ...] del más reciente al más antiguo
+   */
+  async getLastSeen(limit) {
+    const entries = await redisIOClient.zrevrange(this.keys.lastSeen, 0, limit - 1, 'WITHSCORES');
+
+    const devices = [];
+    for (let i = 0; i < entries.length; i += 2) {
+      devices.push([entries[i], parseInt(entries[i + 1])]);
+    }
+    return devices;
+  }
+
+  /**
+   * Obtiene estadísticas del monitor
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      offlineThreshold: this.options.offlineThreshold,
+      pendingDevices: this.pending.size,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Detiene los temporizadores y guarda las recepciones pendientes
+   */
+  async shutdown() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+
+    await this.flush();
+    logger.info('DeviceActivityMonitor shutdown complete');
+  }
+}
+
+export default new DeviceActivityMonitor();
@@ -0,0 +1,407 @@
+import crypto from 'crypto';
+import redisIOClient from '../../config/redisIO.js';
+import logger from '../../utils/logger.js';
+import config from '../../config/config.js';
+import EventBus from '../events/EventBus.js';
+
+/**
+ * Credenciales por dispositivo: API keys y secreto de firma de peticiones
+ * Una clave tiene la forma "{keyId}.{secreto}": keyId indica dónde buscarla y del secreto solo se guarda
+ * el HMAC-SHA256 (con DEVICE_KEY_PEPPER). Un dispositivo puede tener varias claves vigentes; al rotar,
+ * las anteriores siguen siendo válidas durante la ventana de solapamiento para que el equipo se actualice.
+ * El secreto de firma, en cambio, se guarda tal cual porque hace falta para recalcular el HMAC de cada petición.
+ */
+class DeviceCredentialStore {
+  constructor() {
+    this.options = config.deviceAuth || {};
+    this.keys = {
+      device: 'gps:device:keys:', // hash por dispositivo: keyId -> credencial
+      index: 'gps:device:keyindex', // hash: keyId -> deviceId
+      signing: 'gps:device:signing' // hash: deviceId -> secreto de firma
+    };
+
+    // keyId -> { value: credencial, cachedAt } y deviceId -> { value: secreto, cachedAt }:
+    // evitan consultar Redis en cada posición
+    this.cache = new Map();
+    this.signingCache = new Map();
+    this.retryDelay = 5000; // Tras un fallo no se consulta Redis durante este tiempo
+    this.unavailableUntil = 0;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Aplica los cambios de credenciales hechos en otras instancias (llegan por EventBridge)
+   */
+  setupEventListeners() {
+    EventBus.on('device.credentials.changed', (change, context) => {
+      if (context?.remote) {
+        this.clearCached(change);
+      }
+    });
+  }
+
+  /**
+   * Hash de un secreto
+   * @param {string} secret - Secreto en claro
+   * @returns {string} HMAC-SHA256 en hex
+   */
+  hash(secret) {
+    return crypto.createHmac('sha256', this.options.pepper || '').update(secret).digest('hex');
+  }
+
+  /**
+   * Separa una clave en keyId y secreto
+   * @param {string} apiKey - Clave completa
+   * @returns {Object|null} { keyId, secret } o null si el formato no es válido
+   */
+  parse(apiKey) {
+    const match = /^([a-f0-9]{16})\.([A-Za-z0-9_-]{20,})$/.exec(String(apiKey || ''));
+    return match ? { keyId: match[1], secret: match[2] } : null;
+  }
+
+  /**
+   * Vista pública de una credencial (sin hash)
+   * @param {Object} credential - Credencial guardada
+   * @returns {Object} Credencial sin hash
+   */
+  toPublic({ hash, ...credential }) {
+    return credential;
+  }
+
+  /**
+   * Ejecuta un comando con límite de tiempo
+   * El cliente compartido encola los comandos sin límite mientras no hay conexión
+   * @param {Promise} command - Comando de Redis
+   * @returns {Promise<*>} Resultado
+   * @throws {Error} Si Redis falla o no responde dentro de DEVICE_AUTH_TIMEOUT
+   */
+  async withTimeout(command) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Device credential store timeout')), this.options.timeout || 250);
+    });
+
+    try {
+      return await Promise.race([command, timeout]);
+    } catch (error) {
+      this.unavailableUntil = Date.now() + this.retryDelay;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Lee un valor a través de un cache en memoria
+   * Con Redis caído se sigue usando el cache vencido para no cortar la ingesta, pero solo hasta
+   * DEVICE_AUTH_STALE_TTL desde que se leyó: después una clave revocada dejaría de poder detectarse
+   * @param {Map} cache - Cache a usar
+   * @param {string} key - Clave del cache
+   * @param {Function} load - Lectura desde Redis
+   * @returns {Promise<*>} Valor (también se cachea null)
+   * @throws {Error} Si Redis no está disponible y el valor no está en cache (o venció DEVICE_AUTH_STALE_TTL)
+   */
+  async readThrough(cache, key, load) {
+    const cached = cache.get(key);
+    const age = cached ? Date.now() - cached.cachedAt : Infinity;
+    const cacheTtl = this.options.cacheTtl ?? 60000;
+    const staleTtl = this.options.staleTtl ?? 300000;
+
+    if (age < cacheTtl || (age < staleTtl && Date.now() < this.unavailableUntil)) {
+      return cached.value;
+    }
+
+    if (Date.now() < this.unavailableUntil) {
+      throw new Error('Device credential store unavailable');
+    }
+
+    let value;
+    try {
+      value = await load();
+    } catch (error) {
+      // La lectura que detecta la caída también usa el cache vencido
+      if (age < staleTtl) {
+        return cached.value;
+      }
+      throw error;
+    }
+
+    cache.set(key, { value, cachedAt: Date.now() });
+    if (cache.size > (this.options.cacheSize || 10000)) {
+      cache.delete(cache.keys().next().value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Busca una credencial por keyId
+   * @param {string} keyId - ID de la clave
+   * @returns {Promise<Object|null>} { deviceId, hash, expiresAt } o null si no existe
+   */
+  lookup(keyId) {
+    return this.readThrough(this.cache, keyId, async () => {
+      const deviceId = await this.withTimeout(redisIOClient.hget(this.keys.index, keyId));
+      const value = deviceId
+        ? await this.withTimeout(redisIOClient.hget(`${this.keys.device}${deviceId}`, keyId))
+        : null;
+
+      return value ? { deviceId, ...JSON.parse(value) } : null;
+    });
+  }
+
+  /**
+   * Autentica una clave
+   * @param {string} apiKey - Clave completa enviada por el dispositivo
+   * @returns {Promise<Object|null>} { deviceId, keyId } o null si no es válida o expiró
+   * @throws {Error} Si no se puede consultar Redis y la clave no está en cache
+   */
+  async authenticate(apiKey) {
+    const parsed = this.parse(apiKey);
+    if (!parsed) {
+      return null;
+    }
+
+    const credential = await this.lookup(parsed.keyId);
+    if (!credential) {
+      return null;
+    }
+
+    const expected = Buffer.from(credential.hash, 'hex');
+    const provided = Buffer.from(this.hash(parsed.secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, provided)) {
+      return null;
+    }
+
+    if (credential.expiresAt && Date.parse(credential.expiresAt) <= Date.now()) {
+      return null;
+    }
+
+    return { deviceId: credential.deviceId, keyId: parsed.keyId };
+  }
+
+  /**
+   * Genera una clave nueva para un dispositivo
+   * @param {string} deviceId - ID del dispositivo
+   * @param {Object} options - { label, expiresAt }
+   * @returns {Promise<Object>} Credencial pública más apiKey (solo se devuelve aquí)
+   */
+  async issueKey(deviceId, { label = null, expiresAt = null } = {}) {
+    const keyId = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    const credential = {
+      keyId,
+      label,
+      hash: this.hash(secret),
+      createdAt: new Date().toISOString(),
+      expiresAt
+    };
+
+    await redisIOClient.multi()
+      .hset(`${this.keys.device}${deviceId}`, keyId, JSON.stringify(credential))
+      .hset(this.keys.index, keyId, deviceId)
+      .exec();
+
+    logger.info('Device API key issued', { deviceId, keyId });
+
+    return { ...this.toPublic(credential), deviceId, apiKey: `${keyId}.${secret}` };
+  }
+
+  /**
+   * Lista las claves de un dispositivo (sin hashes) y elimina las expiradas
+   * @param {string} deviceId - ID del dispositivo
+   * @returns {Promise<Array>} Credenciales vigentes
+   */
+  async listKeys(deviceId) {
+    const values = await redisIOClient.hgetall(`${this.keys.device}${deviceId}`);
+    const now = Date.now();
+    const active = [];
+    const expired = [];
+
+    for (const value of Object.values(values)) {
+      const credential = JSON.parse(value);
+      if (credential.expiresAt && Date.parse(credential.expiresAt) <= now) {
+        expired.push(credential.keyId);
+      } else {
+        active.push(this.toPublic(credential));
+      }
+    }
+
+    if (expired.length > 0) {
+      await this.removeKeys(deviceId, expired);
+    }
+
+    return active.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Genera una clave nueva y hace expirar las vigentes al terminar la ventana de solapamiento
+   * @param {string} deviceId - ID del dispositivo
+   * @param {Object} options - { label, overlap } con overlap en ms (DEVICE_KEY_ROTATION_OVERLAP)
+   * @returns {Promise<Object>} { key, expiring } con la clave nueva y las que van a expirar
+   */
+  async rotateKey(deviceId, { label = null, overlap = this.options.rotationOverlap ?? 86400000 } = {}) {
+    const values = await redisIOClient.hgetall(`${this.keys.device}${deviceId}`);
+    const expiresAt = new Date(Date.now() + overlap).toISOString();
+
+    const pipeline = redisIOClient.pipeline();
+    const expiring = [];
+
+    for (const value of Object.values(values)) {
+      const credential = JSON.parse(value);
+
+      // Una clave que ya expira antes conserva su vencimiento
+      if (credential.expiresAt && credential.expiresAt <= expiresAt) {
+        if (Date.parse(credential.expiresAt) > Date.now()) {
+          expiring.push(this.toPublic(credential));
+        }
+        continue;
+      }
+
+      credential.expiresAt = expiresAt;
+      pipeline.hset(`${this.keys.device}${deviceId}`, credential.keyId, JSON.stringify(credential));
+      expiring.push(this.toPublic(credential));
+    }
+
+    await pipeline.exec();
+
+    const key = await this.issueKey(deviceId, { label });
+    this.invalidate({ deviceId, keyIds: expiring.map(credential => credential.keyId) });
+
+    logger.info('Device API key rotated', { deviceId, keyId: key.keyId, expiring: expiring.length, expiresAt });
+
+    return { key, expiring };
+  }
+
+  /**
+   * Revoca una clave de inmediato
+   * @param {string} deviceId - ID del dispositivo
+   * @param {string} keyId - ID de la clave
+   * @returns {Promise<boolean>} True si existía
+   */
+  async revokeKey(deviceId, keyId) {
+    const removed = await this.removeKeys(deviceId, [keyId]);
+
+    if (removed > 0) {
+      logger.info('Device API key revoked', { deviceId, keyId });
+    }
+
+    return removed > 0;
+  }
+
+  /**
+   * Elimina claves de un dispositivo y del índice
+   * @param {string} deviceId - ID del dispositivo
+   * @param {Array<string>} keyIds - IDs de las claves
+   * @returns {Promise<number>} Claves eliminadas
+   */
+  async removeKeys(deviceId, keyIds) {
+    // Solo se tocan las claves del dispositivo: un keyId ajeno no debe perder su entrada en el índice
+    const owners = await redisIOClient.hmget(this.keys.index, ...keyIds);
+    const owned = keyIds.filter((keyId, index) => owners[index] === deviceId);
+
+    if (owned.length === 0) {
+      return 0;
+    }
+
+    const [[, removed]] = await redisIOClient.multi()
+      .hdel(`${this.keys.device}${deviceId}`, ...owned)
+      .hdel(this.keys.index, ...owned)
+      .exec();
+
+    this.invalidate({ deviceId, keyIds: owned });
+    return removed;
+  }
+
+  /**
+   * Obtiene el secreto de firma de un dispositivo
+   * @param {string} deviceId - ID del dispositivo
+   * @returns {Promise<string|null>} Secreto o null si el dispositivo no firma sus peticiones
+   * @throws {Error} Si Redis no está disponible y el secreto no está en cache
+   */
+  async getSigningSecret(deviceId) {
+    const value = await this.readThrough(this.signingCache, deviceId, () =>
+      this.withTimeout(redisIOClient.hget(this.keys.signing, deviceId))
+    );
+
+    return value ? JSON.parse(value).secret : null;
+  }
+
+  /**
+   * Datos del secreto de firma de un dispositivo (sin el secreto)
+   * @param {string} deviceId - ID del dispositivo
+   * @returns {Promise<Object|null>} { createdAt } o null si no tiene
+   */
+  async getSigningInfo(deviceId) {
+    const value = await redisIOClient.hget(this.keys.signing, deviceId);
+    if (!value) {
+      return null;
+    }
+
+    const { secret, ...info } = JSON.parse(value);
+    return info;
+  }
+
+  /**
+   * Genera (o reemplaza) el secreto de firma de un dispositivo
+   * @param {string} deviceId - ID del dispositivo
+   * @returns {Promise<Object>} { deviceId, secret, createdAt }; el secreto solo se devuelve aquí
+   */
+  async issueSigningSecret(deviceId) {
+    const entry = {
+      secret: crypto.randomBytes(32).toString('base64url'),
+      createdAt: new Date().toISOString()
+    };
+
+    await redisIOClient.hset(this.keys.signing, deviceId, JSON.stringify(entry));
+    this.invalidate({ deviceId, signingSecret: true });
+
+    logger.info('Device signing secret issued', { deviceId });
+
+    return { deviceId, ...entry };
+  }
+
+  /**
+   * Elimina el secreto de firma; el dispositivo deja de firmar sus peticiones
+   * @param {string} deviceId - ID del dispositivo
+   * @returns {Promise<boolean>} True si existía
+   */
+  async removeSigningSecret(deviceId) {
+    const removed = await redisIOClient.hdel(this.keys.signing, deviceId);
+    this.invalidate({ deviceId, signingSecret: true });
+
+    if (removed > 0) {
+      logger.info('Device signing secret removed', { deviceId });
+    }
+
+    return removed > 0;
+  }
+
+  /**
+   * Quita credenciales del cache local y avisa a las demás instancias
+   * Sin EventBridge, en las otras instancias el cambio se aplica al vencer DEVICE_AUTH_CACHE_TTL
+   * @param {Object} change - { deviceId, keyIds, signingSecret }
+   */
+  invalidate(change) {
+    this.clearCached(change);
+    EventBus.safeEmit('device.credentials.changed', change);
+  }
+
+  /**
+   * Quita credenciales del cache local
+   * @param {Object} change - { deviceId, keyIds, signingSecret }: claves y/o secreto de firma del dispositivo
+   */
+  clearCached({ deviceId, keyIds = [], signingSecret = false }) {
+    for (const keyId of keyIds) {
+      this.cache.delete(keyId);
+    }
+
+    if (signingSecret) {
+      this.signingCache.delete(deviceId);
+    }
+  }
+}
+
+export default new DeviceCredentialStore();
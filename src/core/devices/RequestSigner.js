@@ -0,0 +1,105 @@
+import crypto from 'crypto';
+import redisIOClient from '../../config/redisIO.js';
+import config from '../../config/config.js';
+import DeviceCredentialStore from './DeviceCredentialStore.js';
+
+/**
+ * Verificación de peticiones firmadas con HMAC-SHA256
+ * Para trackers que envían por HTTP sin TLS: la cabecera "X-Signature: t=<unix s>,n=<nonce>,s=<hex>" lleva
+ * HMAC-SHA256(secreto del dispositivo, "{t}.{n}.{cuerpo}"). El timestamp acota la ventana en la que una
+ * petición capturada sirve, y el nonce (guardado en Redis durante esa ventana) impide repetirla dentro de ella.
+ */
+class RequestSigner {
+  constructor() {
+    this.options = config.requestSigning || {};
+    this.noncePrefix = 'gps:signing:nonce:';
+  }
+
+  /**
+   * Interpreta la cabecera de firma
+   * @param {string} header - Valor de X-Signature
+   * @returns {Object|null} { timestamp, nonce, signature } o null si el formato no es válido
+   */
+  parse(header) {
+    const fields = Object.fromEntries(
+      String(header || '').split(',').map(part => {
+        const separator = part.indexOf('=');
+        return [part.slice(0, separator).trim(), part.slice(separator + 1).trim()];
+      })
+    );
+
+    if (!/^\d{1,12}$/.test(fields.t || '') || !/^[A-Za-z0-9_-]{8,64}$/.test(fields.n || '') ||
+        !/^[a-f0-9]{64}$/.test(fields.s || '')) {
+      return null;
+    }
+
+    return { timestamp: parseInt(fields.t), nonce: fields.n, signature: fields.s };
+  }
+
+  /**
+   * Calcula la firma de una petición
+   * @param {string} secret - Secreto de firma del dispositivo
+   * @param {number} timestamp - Segundos Unix
+   * @param {string} nonce - Valor único por petición
+   * @param {Buffer|string} body - Cuerpo tal como se envió
+   * @returns {string} HMAC-SHA256 en hex
+   */
+  sign(secret, timestamp, nonce, body = '') {
+    return crypto.createHmac('sha256', secret)
+      .update(`${timestamp}.${nonce}.`)
+      .update(body)
+      .digest('hex');
+  }
+
+  /**
+   * Verifica la firma de una petición y consume su nonce
+   * @param {Object} request - { deviceId, header, rawBody }
+   * @returns {Promise<Object>} { valid: true } o { valid: false, reason }
+   * @throws {Error} Si Redis no está disponible
+   */
+  async verify({ deviceId, header, rawBody }) {
+    const parsed = this.parse(header);
+    if (!parsed) {
+      return { valid: false, reason: 'Malformed signature header' };
+    }
+
+    const maxSkew = this.options.maxSkew || 300;
+    if (Math.abs(Math.floor(Date.now() / 1000) - parsed.timestamp) > maxSkew) {
+      return { valid: false, reason: 'Signature timestamp outside allowed window' };
+    }
+
+    const secret = await DeviceCredentialStore.getSigningSecret(deviceId);
+    if (!secret) {
+      return { valid: false, reason: 'Device has no signing secret' };
+    }
+
+    const expected = Buffer.from(this.sign(secret, parsed.timestamp, parsed.nonce, rawBody), 'hex');
+    if (!crypto.timingSafeEqual(expected, Buffer.from(parsed.signature, 'hex'))) {
+      return { valid: false, reason: 'Invalid signature' };
+    }
+
+    // El nonce se consume solo con una firma válida, para que nadie pueda quemar los de otro dispositivo.
+    // Un timestamp se acepta hasta maxSkew después de su hora, así que 2 × maxSkew cubre toda su validez
+    const claimed = await DeviceCredentialStore.withTimeout(
+      redisIOClient.set(`${this.noncePrefix}${deviceId}:${parsed.nonce}`, '1', 'PX', maxSkew * 2000, 'NX')
+    );
+    if (!claimed) {
+      return { valid: false, reason: 'Replayed request' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Indica si alguno de los dispositivos tiene secreto de firma (sus peticiones deben ir firmadas)
+   * @param {Array<string>} deviceIds - IDs reclamados por una petición sin firma
+   * @returns {Promise<boolean>} True si alguno firma sus peticiones
+   * @throws {Error} Si Redis no está disponible y algún secreto no está en cache
+   */
+  async requiresSignature(deviceIds) {
+    const secrets = await Promise.all(deviceIds.map(deviceId => DeviceCredentialStore.getSigningSecret(deviceId)));
+    return secrets.some(Boolean);
+  }
+}
+
+export default new RequestSigner();
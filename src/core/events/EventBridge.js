@@ -0,0 +1,179 @@
+import os from 'os';
+import redisIOClient from '../../config/redisIO.js';
+import logger from '../../utils/logger.js';
+import config from '../../config/config.js';
+import EventBus from './EventBus.js';
+
+// Se publican aunque no estén en EVENT_BRIDGE_EVENTS: sin ellos una revocación tarda DEVICE_AUTH_CACHE_TTL
+// en llegar a las demás instancias
+const REQUIRED_EVENTS = ['device.credentials.changed'];
+
+// Campos de fecha que JSON convierte en string y los listeners esperan como Date
+const DATE_FIELDS = ['timestamp', 'receivedAt', 'batchedAt', 'updatedAt'];
+
+/**
+ * Restaura los campos de fecha de un evento recibido por Redis
+ * @param {*} data - Datos del evento
+ * @returns {*} Datos con Date en los campos conocidos
+ */
+const reviveDates = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return data;
+  }
+
+  const revived = { ...data };
+  for (const field of DATE_FIELDS) {
+    if (typeof revived[field] === 'string') {
+      revived[field] = new Date(revived[field]);
+    }
+  }
+  return revived;
+};
+
+/**
+ * Puente de eventos entre instancias vía Redis Pub/Sub
+ * Publica los eventos locales seleccionados y re-emite en el EventBus los de otras instancias
+ * con el contexto { origin, remote: true } para que no se vuelvan a publicar
+ */
+class EventBridge {
+  constructor() {
+    this.options = config.eventBridge || {};
+    this.instanceId = this.options.instanceId || `${os.hostname()}-${process.pid}`;
+    this.channelPrefix = this.options.channelPrefix || 'gps:events:';
+    this.events = [...new Set([...(this.options.events || []), ...REQUIRED_EVENTS])];
+    this.subscriber = null;
+    this.localListeners = new Map(); // eventName -> listener
+    this.stats = {
+      published: 0,
+      received: 0,
+      ignoredOwn: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Se suscribe a los canales y empieza a publicar los eventos locales
+   */
+  async start() {
+    if (!this.options.enabled || this.subscriber) {
+      return;
+    }
+
+    const channels = this.events.map(eventName => `${this.channelPrefix}${eventName}`);
+
+    // Una conexión en modo suscriptor no puede ejecutar otros comandos
+    this.subscriber = redisIOClient.duplicate();
+    this.subscriber.on('message', (channel, message) => this.handleMessage(channel, message));
+    this.subscriber.on('error', (error) => {
+      logger.error('Event bridge subscriber error', { error: error.message });
+    });
+
+    await this.subscriber.subscribe(...channels);
+
+    for (const eventName of this.events) {
+      const listener = (data, context) => this.publish(eventName, data, context);
+      EventBus.on(eventName, listener);
+      this.localListeners.set(eventName, listener);
+    }
+
+    logger.info('Event bridge started', {
+      instanceId: this.instanceId,
+      events: this.events
+    });
+  }
+
+  /**
+   * Publica un evento local en Redis
+   * @param {string} eventName - Nombre del evento
+   * @param {*} data - Datos del evento
+   * @param {Object} context - Contexto de emisión ({ remote } si vino de otra instancia)
+   */
+  publish(eventName, data, context) {
+    if (context?.remote) {
+      return;
+    }
+
+    // Las posiciones importadas no interesan a los suscriptores en tiempo real
+    if (eventName === 'position.processed' && data?.metadata?.backfill) {
+      return;
+    }
+
+    const message = JSON.stringify({
+      origin: this.instanceId,
+      event: eventName,
+      data,
+      publishedAt: new Date().toISOString()
+    });
+
+    redisIOClient.publish(`${this.channelPrefix}${eventName}`, message)
+      .then(() => {
+        this.stats.published++;
+      })
+      .catch(error => {
+        this.stats.errors++;
+        logger.warn('Error publishing bridged event', { eventName, error: error.message });
+      });
+  }
+
+  /**
+   * Re-emite localmente un evento de otra instancia
+   * @param {string} channel - Canal Redis
+   * @param {string} message - Mensaje JSON
+   */
+  handleMessage(channel, message) {
+    let envelope;
+    try {
+      envelope = JSON.parse(message);
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn('Invalid bridged event message', { channel });
+      return;
+    }
+
+    if (envelope.origin === this.instanceId) {
+      this.stats.ignoredOwn++;
+      return;
+    }
+
+    this.stats.received++;
+    EventBus.safeEmit(envelope.event, reviveDates(envelope.data), {
+      origin: envelope.origin,
+      remote: true
+    });
+  }
+
+  /**
+   * Obtiene estadísticas del puente
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    return {
+      enabled: !!this.options.enabled,
+      running: !!this.subscriber,
+      instanceId: this.instanceId,
+      events: this.events,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Deja de publicar y cierra la conexión de suscripción
+   */
+  async stop() {
+    if (!this.subscriber) {
+      return;
+    }
+
+    for (const [eventName, listener] of this.localListeners) {
+      EventBus.off(eventName, listener);
+    }
+    this.localListeners.clear();
+
+    await this.subscriber.quit();
+    this.subscriber = null;
+
+    logger.info('Event bridge stopped');
+  }
+}
+
+export default new EventBridge();
@@ -50,7 +50,7 @@ class EventBus extends EventEmitter {
       logger.debug('Historical data saved to Redis', data);
     });
 
-    this.on('redis.latest.saved', (data) => {
+    this.on('redis.latest.saved', ({ positions, ...data }) => {
       logger.debug('Latest positions saved to Redis', data);
     });
 
@@ -85,10 +85,11 @@ class EventBus extends EventEmitter {
    * Emite un evento con manejo de errores
    * @param {string} eventName - Nombre del evento
    * @param {*} data - Datos del evento
+   * @param {Object} context - Contexto opcional (p. ej. { origin, remote } para eventos de otra instancia)
    */
-  safeEmit(eventName, data) {
+  safeEmit(eventName, data, context) {
     try {
-      this.emit(eventName, data);
+      this.emit(eventName, data, context);
     } catch (error) {
       logger.error('Error emitting event', {
         eventName,
@@ -0,0 +1,404 @@
+import crypto from 'crypto';
+import redisIOClient from '../../config/redisIO.js';
+import logger from '../../utils/logger.js';
+import config from '../../config/config.js';
+import { AppError } from '../../errors/AppError.js';
+import EventBus from '../events/EventBus.js';
+import { haversineDistance, isPointInBbox, isPointInPolygon, toPolygons, polygonsBbox } from '../../utils/geo.js';
+
+/**
+ * Gestor de geocercas
+ * Guarda las definiciones en Redis, evalúa cada posición procesada contra las geocercas
+ * y emite geofence.enter / geofence.exit según el estado dentro/fuera de cada dispositivo
+ */
+class GeofenceManager {
+  constructor() {
+    this.enabled = config.geofences?.enabled ?? true;
+    this.reloadInterval = config.geofences?.reloadInterval || 30000;
+    this.maxTrackedDevices = config.geofences?.maxTrackedDevices || 10000;
+    this.maxQueuedEvaluations = config.geofences?.maxQueuedEvaluations || 100;
+    this.keys = {
+      definitions: 'gps:geofences',
+      state: 'gps:geofence:state:'
+    };
+
+    this.fences = new Map(); // fenceId -> geocerca compilada
+    this.deviceStates = new Map(); // deviceId -> { fences: Map(fenceId -> enteredAt), lastTimestamp }
+    this.deviceQueues = new Map(); // deviceId -> { promise, size, full } (evaluación en orden por dispositivo)
+    this.loadPromise = null;
+    this.reloadTimer = null;
+    this.stats = {
+      evaluated: 0,
+      enters: 0,
+      exits: 0,
+      errors: 0,
+      dropped: 0
+    };
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Carga las geocercas y programa su recarga periódica (otras instancias pueden modificarlas)
+   */
+  async initialize() {
+    if (!this.enabled || this.reloadTimer) {
+      return;
+    }
+
+    await this.loadFences();
+
+    this.reloadTimer = setInterval(() => {
+      this.loadFences().catch(error => {
+        logger.error('Error reloading geofences', { error: error.message });
+      });
+    }, this.reloadInterval);
+
+    logger.info('GeofenceManager initialized', { fences: this.fences.size });
+  }
+
+  /**
+   * Configura los listeners de eventos
+   */
+  setupEventListeners() {
+    if (!this.enabled) {
+      return;
+    }
+
+    EventBus.on('position.processed', (position, context) => {
+      // Las posiciones importadas son históricas: no reflejan el estado actual del dispositivo
+      if (position.metadata?.backfill) {
+        return;
+      }
+
+      this.enqueue(position, !!context?.remote);
+    });
+  }
+
+  /**
+   * Encola la evaluación de una posición para respetar el orden por dispositivo
+   * Con Redis colgado las evaluaciones no terminan: pasado maxQueuedEvaluations por dispositivo se descartan
+   * las nuevas posiciones, y la siguiente que se evalúe corrige el estado dentro/fuera
+   * @param {Object} position - Posición procesada
+   * @param {boolean} remote - La posición fue procesada por otra instancia
+   */
+  enqueue(position, remote = false) {
+    const queue = this.deviceQueues.get(position.deviceId) || { promise: Promise.resolve(), size: 0, full: false };
+
+    if (queue.size >= this.maxQueuedEvaluations) {
+      this.stats.dropped++;
+      if (!queue.full) {
+        queue.full = true;
+        logger.warn('Geofence evaluation queue full, dropping positions', {
+          deviceId: position.deviceId,
+          maxQueuedEvaluations: this.maxQueuedEvaluations
+        });
+      }
+      return;
+    }
+
+    queue.size++;
+    queue.promise = queue.promise
+      .then(() => this.evaluatePosition(position, remote))
+      .catch(error => {
+        this.stats.errors++;
+        logger.error('Error evaluating geofences', {
+          deviceId: position.deviceId,
+          error: error.message
+        });
+      })
+      .finally(() => {
+        queue.size--;
+        if (queue.size === 0 && this.deviceQueues.get(position.deviceId) === queue) {
+          this.deviceQueues.delete(position.deviceId);
+        }
+      });
+
+    this.deviceQueues.set(position.deviceId, queue);
+  }
+
+  /**
+   * Lee todas las definiciones de Redis y las compila
+   */
+  async loadFences() {
+    this.loadPromise = redisIOClient.hgetall(this.keys.definitions).then(definitions => {
+      const fences = new Map();
+
+      for (const [id, raw] of Object.entries(definitions || {})) {
+        try {
+          fences.set(id, this.compile(JSON.parse(raw)));
+        } catch (error) {
+          logger.warn('Skipping invalid geofence definition', { fenceId: id, error: error.message });
+        }
+      }
+
+      this.fences = fences;
+    });
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Prepara una geocerca para evaluación rápida
+   * @param {Object} fence - Definición de la geocerca
+   * @returns {Object} Geocerca con función contains
+   */
+  compile(fence) {
+    if (fence.type === 'circle') {
+      const { lat, lng } = fence.center;
+      return {
+        ...fence,
+        contains: (position) => haversineDistance(lat, lng, position.lat, position.lng) * 1000 <= fence.radius
+      };
+    }
+
+    const polygons = toPolygons(fence.polygon);
+    const bbox = polygonsBbox(polygons);
+    return {
+      ...fence,
+      contains: (position) => isPointInBbox(position.lng, position.lat, bbox) &&
+        isPointInPolygon(position.lng, position.lat, polygons)
+    };
+  }
+
+  /**
+   * Obtiene el estado dentro/fuera de un dispositivo (cache en memoria respaldado en Redis)
+   * @param {string} deviceId - ID del dispositivo
+   * @returns {Object} { fences: Map(fenceId -> enteredAt), lastTimestamp }
+   */
+  async getDeviceState(deviceId) {
+    let state = this.deviceStates.get(deviceId);
+    if (state) {
+      return state;
+    }
+
+    const stored = await redisIOClient.hgetall(`${this.keys.state}${deviceId}`);
+    state = {
+      fences: new Map(Object.entries(stored || {}).map(([fenceId, raw]) => [fenceId, JSON.parse(raw).enteredAt])),
+      lastTimestamp: 0
+    };
+
+    this.deviceStates.set(deviceId, state);
+
+    // El estado está persistido en Redis: se puede descartar el dispositivo más antiguo del cache
+    if (this.deviceStates.size > this.maxTrackedDevices) {
+      const firstKey = this.deviceStates.keys().next().value;
+      this.deviceStates.delete(firstKey);
+    }
+
+    return state;
+  }
+
+  /**
+   * Evalúa una posición contra todas las geocercas y emite las transiciones
+   * Las posiciones remotas solo sincronizan el cache: la instancia que las procesó guarda y emite
+   * @param {Object} position - Posición procesada
+   * @param {boolean} remote - La posición fue procesada por otra instancia
+   */
+  async evaluatePosition(position, remote = false) {
+    if (this.loadPromise) {
+      await this.loadPromise;
+    }
+
+    const state = await this.getDeviceState(position.deviceId);
+    const timestamp = new Date(position.timestamp).getTime();
+
+    // Una posición atrasada no debe revertir una transición ya emitida
+    if (timestamp < state.lastTimestamp) {
+      return;
+    }
+
+    // El nuevo estado se arma aparte y solo reemplaza al del cache cuando Redis lo guardó:
+    // si la escritura falla, la próxima posición vuelve a detectar (y emitir) la transición
+    const fences = new Map(state.fences);
+    const key = `${this.keys.state}${position.deviceId}`;
+    const pipeline = redisIOClient.pipeline();
+    const transitions = [];
+
+    for (const fence of this.fences.values()) {
+      if (fence.enabled === false) {
+        continue;
+      }
+
+      const inside = fence.contains(position);
+      const wasInside = fences.has(fence.id);
+
+      if (inside && !wasInside) {
+        const enteredAt = new Date(timestamp).toISOString();
+        fences.set(fence.id, enteredAt);
+        pipeline.hset(key, fence.id, JSON.stringify({ enteredAt }));
+        transitions.push(['geofence.enter', fence, { enteredAt }]);
+      } else if (!inside && wasInside) {
+        const enteredAt = fences.get(fence.id);
+        fences.delete(fence.id);
+        pipeline.hdel(key, fence.id);
+        transitions.push(['geofence.exit', fence, {
+          enteredAt,
+          exitedAt: new Date(timestamp).toISOString(),
+          dwellTime: timestamp - new Date(enteredAt).getTime()
+        }]);
+      }
+    }
+
+    // Estado de geocercas eliminadas o deshabilitadas: se descarta sin emitir salida
+    for (const fenceId of [...fences.keys()]) {
+      const fence = this.fences.get(fenceId);
+      if (!fence || fence.enabled === false) {
+        fences.delete(fenceId);
+        pipeline.hdel(key, fenceId);
+      }
+    }
+
+    if (remote) {
+      state.fences = fences;
+      state.lastTimestamp = timestamp;
+      return;
+    }
+    this.stats.evaluated++;
+
+    if (pipeline.length > 0) {
+      const results = await pipeline.exec();
+      const failed = results.find(([error]) => error);
+      if (failed) {
+        throw failed[0];
+      }
+    }
+
+    state.fences = fences;
+    state.lastTimestamp = timestamp;
+
+    for (const [eventName, fence, details] of transitions) {
+      this.stats[eventName === 'geofence.enter' ? 'enters' : 'exits']++;
+
+      EventBus.emit(eventName, {
+        fenceId: fence.id,
+        fenceName: fence.name,
+        deviceId: position.deviceId,
+        lat: position.lat,
+        lng: position.lng,
+        timestamp: new Date(timestamp).toISOString(),
+        metadata: fence.metadata || {},
+        ...details
+      });
+
+      logger.info(eventName === 'geofence.enter' ? 'Device entered geofence' : 'Device exited geofence', {
+        deviceId: position.deviceId,
+        fenceId: fence.id,
+        ...(details.dwellTime !== undefined && { dwellTime: details.dwellTime })
+      });
+    }
+  }
+
+  /**
+   * Lista todas las geocercas
+   * @returns {Array} Definiciones
+   */
+  async listFences() {
+    await this.loadFences();
+    return Array.from(this.fences.values()).map(({ contains, ...fence }) => fence);
+  }
+
+  /**
+   * Obtiene una geocerca
+   * @param {string} id - ID de la geocerca
+   * @returns {Object|null} Definición o null
+   */
+  async getFence(id) {
+    const raw = await redisIOClient.hget(this.keys.definitions, id);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Crea o reemplaza una geocerca
+   * @param {Object} definition - Definición validada (ver geofenceSchema)
+   * @param {string} id - ID a reemplazar (se genera uno nuevo si no se indica)
+   * @returns {Object} Geocerca guardada
+   */
+  async saveFence(definition, id = null) {
+    const existing = id ? await this.getFence(id) : null;
+    if (id && !existing) {
+      throw new AppError('Geofence not found', 404);
+    }
+
+    const now = new Date().toISOString();
+    const fence = {
+      ...definition,
+      id: id || crypto.randomUUID(),
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    try {
+      this.compile(fence);
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    await redisIOClient.hset(this.keys.definitions, fence.id, JSON.stringify(fence));
+    await this.loadFences();
+
+    logger.info(existing ? 'Geofence updated' : 'Geofence created', { fenceId: fence.id, type: fence.type });
+    return fence;
+  }
+
+  /**
+   * Elimina una geocerca
+   * @param {string} id - ID de la geocerca
+   * @returns {boolean} True si existía
+   */
+  async deleteFence(id) {
+    const removed = await redisIOClient.hdel(this.keys.definitions, id);
+    await this.loadFences();
+
+    if (removed) {
+      logger.info('Geofence deleted', { fenceId: id });
+    }
+    return removed > 0;
+  }
+
+  /**
+   * Obtiene las geocercas en las que está un dispositivo
+   * @param {string} deviceId - ID del dispositivo
+   * @returns {Array} [{ fenceId, fenceName, enteredAt }]
+   */
+  async getDeviceFences(deviceId) {
+    const stored = await redisIOClient.hgetall(`${this.keys.state}${deviceId}`);
+
+    return Object.entries(stored || {})
+      .filter(([fenceId]) => this.fences.has(fenceId))
+      .map(([fenceId, raw]) => ({
+        fenceId,
+        fenceName: this.fences.get(fenceId).name,
+        enteredAt: JSON.parse(raw).enteredAt
+      }));
+  }
+
+  /**
+   * Obtiene estadísticas del gestor
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      fences: this.fences.size,
+      trackedDevices: this.deviceStates.size,
+      pendingEvaluations: this.deviceQueues.size,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Detiene la recarga y espera las evaluaciones pendientes
+   */
+  async shutdown() {
+    if (this.reloadTimer) {
+      clearInterval(this.reloadTimer);
+      this.reloadTimer = null;
+    }
+
+    await Promise.all([...this.deviceQueues.values()].map(({ promise }) => promise));
+    logger.info('GeofenceManager shutdown complete');
+  }
+}
+
+export default new GeofenceManager();
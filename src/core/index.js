@@ -3,4 +3,13 @@ export { default as GpsDataProcessor } from './processors/GpsDataProcessor.js';
 export { default as BatchManager } from './batch/BatchManager.js';
 export { default as QueueManager } from './queues/QueueManager.js';
 export { default as RedisManager } from './storage/RedisManager.js';
-export { default as EventBus } from './events/EventBus.js';
\ No newline at end of file
+export { default as EventBus } from './events/EventBus.js';
+export { default as EventBridge } from './events/EventBridge.js';
+export { default as GeofenceManager } from './geofences/GeofenceManager.js';
+export { default as LiveStreamHub } from './streaming/LiveStreamHub.js';
+export { default as WebhookManager } from './webhooks/WebhookManager.js';
+export { default as DeviceActivityMonitor } from './devices/DeviceActivityMonitor.js';
+export { default as DeviceCredentialStore } from './devices/DeviceCredentialStore.js';
+export { default as RequestSigner } from './devices/RequestSigner.js';
+export { default as AdmissionController } from './admission/AdmissionController.js';
+export { default as MetricsCollector } from './metrics/MetricsCollector.js';
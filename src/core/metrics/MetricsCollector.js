@@ -0,0 +1,295 @@
+import http from 'http';
+import promClient from 'prom-client';
+import logger from '../../utils/logger.js';
+import config from '../../config/config.js';
+import redisIOClient from '../../config/redisIO.js';
+import EventBus from '../events/EventBus.js';
+import QueueManager from '../queues/QueueManager.js';
+import DeviceActivityMonitor from '../devices/DeviceActivityMonitor.js';
+import AdmissionController from '../admission/AdmissionController.js';
+
+/**
+ * Métricas Prometheus del servicio (las que usa monitoring/alerts.yml)
+ * Los contadores se alimentan del EventBus; los gauges de colas y dispositivos se leen de Redis
+ * en cada scrape. Se sirven en un servidor propio (METRICS_PORT / METRICS_PATH).
+ */
+class MetricsCollector {
+  constructor() {
+    this.options = config.metrics || {};
+    this.enabled = this.options.enabled ?? true;
+    this.server = null;
+    this.register = new promClient.Registry();
+
+    promClient.collectDefaultMetrics({ register: this.register });
+    this.createMetrics();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Define las métricas
+   */
+  createMetrics() {
+    const collector = this;
+    const registers = [this.register];
+
+    this.positionsReceived = new promClient.Counter({
+      name: 'gps_positions_received_total',
+      help: 'GPS positions received, including duplicates and rejected ones',
+      labelNames: ['protocol'],
+      registers
+    });
+
+    this.errors = new promClient.Counter({
+      name: 'gps_errors_total',
+      help: 'GPS positions rejected by validation or failed during processing',
+      labelNames: ['protocol'],
+      registers
+    });
+
+    this.duplicates = new promClient.Counter({
+      name: 'gps_duplicates_total',
+      help: 'GPS positions discarded as duplicates',
+      labelNames: ['protocol'],
+      registers
+    });
+
+    this.processingDuration = new promClient.Histogram({
+      name: 'gps_processing_duration_seconds',
+      help: 'Time to normalize, validate and deduplicate a GPS position',
+      labelNames: ['protocol'],
+      buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1],
+      registers
+    });
+
+    this.queueJobsFailed = new promClient.Counter({
+      name: 'gps_queue_jobs_failed_total',
+      help: 'Failed job attempts per queue',
+      labelNames: ['queue'],
+      registers
+    });
+
+    this.queueJobsWaiting = new promClient.Gauge({
+      name: 'gps_queue_jobs_waiting',
+      help: 'Jobs waiting to be processed per queue',
+      labelNames: ['queue'],
+      registers,
+      async collect() {
+        const counts = await collector.read(() => QueueManager.getPendingCounts(), QueueManager.isInitialized);
+        if (counts) {
+          for (const [queue, waiting] of Object.entries(counts)) {
+            this.set({ queue }, waiting);
+          }
+        }
+      }
+    });
+
+    this.activeDevices = new promClient.Gauge({
+      name: 'gps_active_devices',
+      help: 'Devices that reported within the offline threshold (all instances)',
+      registers,
+      async collect() {
+        const active = await collector.read(() => DeviceActivityMonitor.countActive(), DeviceActivityMonitor.enabled);
+        if (active !== null) {
+          this.set(active);
+        }
+      }
+    });
+
+    this.deviceLastSeen = new promClient.Gauge({
+      name: 'gps_device_last_seen_timestamp',
+      help: 'Unix time (seconds) of the last position received from each device',
+      labelNames: ['device_id'],
+      registers,
+      async collect() {
+        const devices = await collector.read(
+          () => DeviceActivityMonitor.getLastSeen(collector.options.maxDeviceSeries || 10000),
+          DeviceActivityMonitor.enabled
+        );
+        if (devices) {
+          // Los dispositivos fuera de la retención desaparecen de la serie
+          this.reset();
+          for (const [deviceId, lastSeen] of devices) {
+            this.set({ device_id: deviceId }, Math.floor(lastSeen / 1000));
+          }
+        }
+      }
+    });
+
+    this.redisConnected = new promClient.Gauge({
+      name: 'gps_redis_connected',
+      help: 'Redis connection used by the queues (1 = ready, 0 = disconnected)',
+      registers,
+      collect() {
+        this.set(redisIOClient.status === 'ready' ? 1 : 0);
+      }
+    });
+
+    this.memoryUsage = new promClient.Gauge({
+      name: 'gps_memory_usage_bytes',
+      help: 'Resident memory of the process',
+      registers,
+      collect() {
+        this.set(process.memoryUsage().rss);
+      }
+    });
+
+    this.httpRequests = new promClient.Counter({
+      name: 'http_requests_total',
+      help: 'Total number of HTTP requests',
+      labelNames: ['method', 'route', 'status_code'],
+      registers
+    });
+
+    this.httpRequestDuration = new promClient.Histogram({
+      name: 'http_request_duration_seconds',
+      help: 'HTTP request duration until the response is finished',
+      labelNames: ['method', 'route', 'status_code'],
+      buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+      registers
+    });
+
+    this.ingestionShedding = new promClient.Gauge({
+      name: 'gps_ingestion_shedding',
+      help: 'Ingestion load shedding state (1 = rejecting new positions with 503, 0 = accepting)',
+      registers,
+      collect() {
+        this.set(AdmissionController.isShedding() ? 1 : 0);
+      }
+    });
+  }
+
+  /**
+   * Configura los listeners de eventos
+   */
+  setupEventListeners() {
+    EventBus.on('position.received', ({ protocol, outcome, duration }) => {
+      this.positionsReceived.inc({ protocol });
+      this.processingDuration.observe({ protocol }, duration);
+
+      if (outcome === 'duplicate') {
+        this.duplicates.inc({ protocol });
+      } else if (outcome === 'error') {
+        this.errors.inc({ protocol });
+      }
+    });
+
+    for (const queue of ['historical', 'latest', 'webhooks']) {
+      EventBus.on(`queue.${queue}.failed`, () => {
+        this.queueJobsFailed.inc({ queue });
+      });
+    }
+  }
+
+  /**
+   * Registra una petición HTTP terminada
+   * @param {Object} labels - { method, route, status_code } con la ruta como plantilla
+   * @param {number} duration - Duración en segundos
+   */
+  observeHttpRequest(labels, duration) {
+    this.httpRequests.inc(labels);
+    this.httpRequestDuration.observe(labels, duration);
+  }
+
+  /**
+   * Lee un valor de Redis para un scrape sin bloquearlo
+   * Con Redis caído los comandos quedan en la cola offline: se omite la lectura y el gauge
+   * conserva su último valor
+   * @param {Function} read - Lectura a ejecutar
+   * @param {boolean} available - Si el módulo consultado está activo
+   * @returns {Promise<*>} Resultado o null si no se pudo leer
+   */
+  async read(read, available) {
+    if (!available || redisIOClient.status !== 'ready') {
+      return null;
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Metrics read timeout')), this.options.collectTimeout || 2000);
+    });
+
+    try {
+      return await Promise.race([read(), timeout]);
+    } catch (error) {
+      logger.warn('Error reading metric from Redis', { error: error.message });
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Serializa todas las métricas en formato de texto de Prometheus
+   * @returns {Promise<string>} Métricas
+   */
+  async getMetrics() {
+    return this.register.metrics();
+  }
+
+  /**
+   * Inicia el servidor HTTP de métricas
+   */
+  async start() {
+    if (!this.enabled || this.server) {
+      return;
+    }
+
+    const { host = '0.0.0.0', port = 9090, path = '/metrics' } = this.options;
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res, path));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.server.on('error', (error) => {
+      logger.error('Metrics server error', { error: error.message });
+    });
+
+    logger.info('Metrics server listening', { host, port, path });
+  }
+
+  /**
+   * Responde un scrape (GET en la ruta configurada)
+   * @param {http.IncomingMessage} req - Petición
+   * @param {http.ServerResponse} res - Respuesta
+   * @param {string} path - Ruta de las métricas
+   */
+  async handleRequest(req, res, path) {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== path) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+
+    try {
+      const body = await this.getMetrics();
+      res.writeHead(200, { 'Content-Type': this.register.contentType });
+      res.end(body);
+    } catch (error) {
+      logger.error('Error serving metrics', { error: error.message });
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end('Unable to serve metrics');
+    }
+  }
+
+  /**
+   * Detiene el servidor de métricas
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    await new Promise((resolve) => this.server.close(() => resolve()));
+    this.server = null;
+
+    logger.info('Metrics server shutdown complete');
+  }
+}
+
+export default new MetricsCollector();
@@ -1,7 +1,9 @@
+import { performance } from 'perf_hooks';
 import logger from '../../utils/logger.js';
 import { AppError } from '../../errors/AppError.js';
 import EventBus from '../events/EventBus.js';
 import config from '../../config/config.js';
+import RedisDuplicateStore from './RedisDuplicateStore.js';
 
 /**
  * Procesador central de datos GPS
@@ -14,32 +16,44 @@ class GpsDataProcessor {
     this.duplicateThreshold = config.duplicate?.timeThreshold || 1000; // 1 segundo
     this.coordinateThreshold = config.duplicate?.coordinateThreshold || 0.0001; // ~10 metros
     this.maxCacheSize = config.duplicate?.maxCacheSize || 1000; // Máximo dispositivos en cache
+    this.duplicateStore = config.duplicate?.store || 'memory';
+    this.duplicateStats = {
+      sharedDuplicates: 0,
+      storeErrors: 0
+    };
   }
 
   /**
    * Procesa una posición GPS individual
    * @param {Object} rawPosition - Datos GPS sin procesar
+   * @param {Object} options - Opciones
+   * @param {boolean} options.backfill - Posición histórica importada (no actualiza la última posición)
    * @returns {Object} Posición procesada
    */
-  async processPosition(rawPosition) {
+  async processPosition(rawPosition, options = {}) {
+    const startedAt = performance.now();
+    let outcome = 'error';
+
     try {
       // Normalizar datos
       const position = this.normalizePosition(rawPosition);
+      if (options.backfill) {
+        position.metadata.backfill = true;
+      }
       
       // Validar datos
-      this.validatePosition(position);
+      this.validatePosition(position, options);
       
-      // Verificar duplicados
-      if (this.isDuplicate(position)) {
+      // Verificar duplicados (y registrar la posición como última del dispositivo)
+      if (await this.checkDuplicate(position)) {
         logger.debug('Duplicate position detected', { deviceId: position.deviceId });
+        outcome = 'duplicate';
         return { processed: false, duplicate: true, position: null };
       }
       
-      // Actualizar cache de duplicados
-      this.updateDuplicateCache(position);
-      
       // Emitir evento de posición procesada
       EventBus.emit('position.processed', position);
+      outcome = 'processed';
       
       logger.debug('Position processed successfully', { 
         deviceId: position.deviceId,
@@ -56,15 +70,23 @@ class GpsDataProcessor {
         stack: error.stack
       });
       throw error;
+    } finally {
+      // Toda posición recibida, con su resultado y duración (métricas)
+      EventBus.emit('position.received', {
+        protocol: rawPosition?.metadata?.protocol || 'http',
+        outcome,
+        duration: (performance.now() - startedAt) / 1000
+      });
     }
   }
 
   /**
    * Procesa un lote de posiciones GPS
    * @param {Array} rawPositions - Array de posiciones GPS sin procesar
+   * @param {Object} options - Opciones (ver processPosition)
    * @returns {Object} Resultados del procesamiento
    */
-  async processBatch(rawPositions) {
+  async processBatch(rawPositions, options = {}) {
     const results = {
       processed: [],
       duplicates: [],
@@ -73,7 +95,7 @@ class GpsDataProcessor {
 
     for (const rawPosition of rawPositions) {
       try {
-        const result = await this.processPosition(rawPosition);
+        const result = await this.processPosition(rawPosition, options);
         
         if (result.duplicate) {
           results.duplicates.push(rawPosition);
@@ -84,7 +106,9 @@ class GpsDataProcessor {
       } catch (error) {
         results.errors.push({
           position: rawPosition,
-          error: error.message
+          error: error.message,
+          // 400 = datos inválidos (reenviarlos no sirve); el resto son fallos transitorios
+          statusCode: error.statusCode || 500
         });
       }
     }
@@ -110,8 +134,9 @@ class GpsDataProcessor {
     
     return {
       deviceId: String(rawPosition.id || rawPosition.deviceId),
-      lat: parseFloat(rawPosition.lat || rawPosition.latitude),
-      lng: parseFloat(rawPosition.lng || rawPosition.longitude),
+      // ?? y no ||: 0 es una coordenada válida (ecuador / meridiano de Greenwich)
+      lat: parseFloat(rawPosition.lat ?? rawPosition.latitude),
+      lng: parseFloat(rawPosition.lng ?? rawPosition.longitude),
       timestamp: rawPosition.timestamp ? new Date(rawPosition.timestamp) : now,
       receivedAt: now,
       metadata: {
@@ -127,9 +152,11 @@ class GpsDataProcessor {
   /**
    * Valida una posición GPS
    * @param {Object} position - Posición a validar
+   * @param {Object} options - Opciones
+   * @param {boolean} options.backfill - Usa la antigüedad máxima de importación
    * @throws {AppError} Si la validación falla
    */
-  validatePosition(position) {
+  validatePosition(position, options = {}) {
     if (!position.deviceId) {
       throw new AppError('Device ID is required', 400);
     }
@@ -156,7 +183,9 @@ class GpsDataProcessor {
 
     // Validar que el timestamp no sea muy antiguo o muy futuro
     const now = Date.now();
-    const maxAge = 24 * 60 * 60 * 1000; // 24 horas
+    const maxAge = options.backfill
+      ? config.import.maxAge
+      : 24 * 60 * 60 * 1000; // 24 horas
     const maxFuture = 5 * 60 * 1000; // 5 minutos
 
     if (now - position.timestamp.getTime() > maxAge) {
@@ -169,7 +198,47 @@ class GpsDataProcessor {
   }
 
   /**
-   * Verifica si una posición es duplicada
+   * Verifica si una posición es duplicada y, si no lo es, la registra como última del dispositivo
+   * El cache en memoria es el primer nivel; con DUPLICATE_STORE=redis decide la huella compartida
+   * y si Redis falla se usa solo la memoria
+   * @param {Object} position - Posición a verificar
+   * @returns {Promise<boolean>} True si es duplicada
+   */
+  async checkDuplicate(position) {
+    if (!this.duplicateEnabled) {
+      return false;
+    }
+
+    if (this.isDuplicate(position)) {
+      return true;
+    }
+
+    if (this.duplicateStore === 'redis' && RedisDuplicateStore.isAvailable()) {
+      try {
+        const duplicate = await RedisDuplicateStore.checkAndSet(position, {
+          timeThreshold: this.duplicateThreshold,
+          coordinateThreshold: this.coordinateThreshold
+        });
+
+        if (duplicate) {
+          this.duplicateStats.sharedDuplicates++;
+          return true;
+        }
+      } catch (error) {
+        this.duplicateStats.storeErrors++;
+        logger.warn('Shared duplicate store unavailable, using local cache', {
+          deviceId: position.deviceId,
+          error: error.message
+        });
+      }
+    }
+
+    this.updateDuplicateCache(position);
+    return false;
+  }
+
+  /**
+   * Verifica si una posición es duplicada según el cache en memoria
    * @param {Object} position - Posición a verificar
    * @returns {boolean} True si es duplicada
    */
@@ -237,10 +306,12 @@ class GpsDataProcessor {
     return {
       duplicateDetection: {
         enabled: this.duplicateEnabled,
+        store: this.duplicateStore,
         cacheSize: this.duplicateCache.size,
         maxCacheSize: this.maxCacheSize,
         timeThreshold: this.duplicateThreshold,
-        coordinateThreshold: this.coordinateThreshold
+        coordinateThreshold: this.coordinateThreshold,
+        ...this.duplicateStats
       }
     };
   }
@@ -0,0 +1,92 @@
+import redisIOClient from '../../config/redisIO.js';
+import config from '../../config/config.js';
+
+// Compara con la huella guardada y la reemplaza en una sola operación atómica.
+// KEYS[1] = huella del dispositivo; ARGV = timestamp, lat, lng, umbral de tiempo, umbral de coordenadas, TTL (ms)
+// Devuelve 1 si es duplicada (la huella no se modifica) o 0 si se guardó la nueva
+const CHECK_AND_SET_SCRIPT = `
+local last = redis.call('HMGET', KEYS[1], 'ts', 'lat', 'lng')
+local ts = tonumber(ARGV[1])
+local lat = tonumber(ARGV[2])
+local lng = tonumber(ARGV[3])
+
+if last[1] then
+  if math.abs(ts - tonumber(last[1])) <= tonumber(ARGV[4])
+    and math.abs(lat - tonumber(last[2])) < tonumber(ARGV[5])
+    and math.abs(lng - tonumber(last[3])) < tonumber(ARGV[5]) then
+    return 1
+  end
+end
+
+redis.call('HSET', KEYS[1], 'ts', ARGV[1], 'lat', ARGV[2], 'lng', ARGV[3])
+redis.call('PEXPIRE', KEYS[1], ARGV[6])
+return 0
+`;
+
+/**
+ * Almacén de huellas de duplicados compartido entre réplicas
+ * Guarda la última posición aceptada de cada dispositivo (timestamp y coordenadas) con TTL,
+ * de modo que un reintento que llega a otra réplica o tras un reinicio también se detecta
+ */
+class RedisDuplicateStore {
+  constructor() {
+    this.keyPrefix = 'gps:dedup:';
+    this.ttl = config.duplicate?.ttl || 300000;
+    this.timeout = config.duplicate?.storeTimeout || 250;
+    this.retryDelay = 5000; // Tras un fallo no se consulta Redis durante este tiempo
+    this.unavailableUntil = 0;
+
+    redisIOClient.defineCommand('gpsDedupCheckAndSet', {
+      numberOfKeys: 1,
+      lua: CHECK_AND_SET_SCRIPT
+    });
+  }
+
+  /**
+   * Indica si se puede consultar Redis (no falló recientemente)
+   * @returns {boolean} True si está disponible
+   */
+  isAvailable() {
+    return Date.now() >= this.unavailableUntil;
+  }
+
+  /**
+   * Verifica si una posición es duplicada y, si no lo es, la guarda como huella del dispositivo
+   * @param {Object} position - Posición normalizada
+   * @param {Object} thresholds - { timeThreshold, coordinateThreshold }
+   * @returns {Promise<boolean>} True si es duplicada
+   * @throws {Error} Si Redis falla o no responde dentro de DUPLICATE_STORE_TIMEOUT
+   */
+  async checkAndSet(position, { timeThreshold, coordinateThreshold }) {
+    // El cliente compartido encola los comandos sin límite mientras no hay conexión (requisito de BullMQ):
+    // sin este límite una caída de Redis bloquearía la recepción de posiciones
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Duplicate store timeout')), this.timeout);
+    });
+
+    try {
+      const result = await Promise.race([
+        redisIOClient.gpsDedupCheckAndSet(
+          `${this.keyPrefix}${position.deviceId}`,
+          position.timestamp.getTime(),
+          position.lat,
+          position.lng,
+          timeThreshold,
+          coordinateThreshold,
+          this.ttl
+        ),
+        timeout
+      ]);
+
+      return result === 1;
+    } catch (error) {
+      this.unavailableUntil = Date.now() + this.retryDelay;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+export default new RedisDuplicateStore();
@@ -0,0 +1,154 @@
+import redisIOClient from '../../config/redisIO.js';
+
+/**
+ * Almacén de trabajos de lotes que agotaron sus reintentos (dead-letter)
+ * BullMQ los borra con removeOnFail y cleanQueues; aquí se conservan con su payload, error e intentos
+ * hasta que un administrador los reintenta o descarta. Por cola: un hash id -> entrada y un sorted set
+ * por fecha de fallo para listarlos en orden.
+ */
+class DeadLetterStore {
+  constructor() {
+    this.keyPrefix = 'gps:dlq:';
+  }
+
+  /**
+   * Claves de una cola
+   * @param {string} queue - historical o latest
+   * @returns {Object} { entries, index }
+   */
+  keys(queue) {
+    return {
+      entries: `${this.keyPrefix}${queue}`,
+      index: `${this.keyPrefix}${queue}:index`
+    };
+  }
+
+  /**
+   * Guarda un trabajo fallido definitivamente
+   * @param {string} queue - historical o latest
+   * @param {Object} job - Trabajo de BullMQ
+   * @param {Error} error - Error del último intento
+   * @returns {Promise<Object>} Entrada guardada
+   */
+  async add(queue, job, error) {
+    const entry = {
+      id: job.id,
+      queue,
+      name: job.name,
+      data: job.data,
+      error: error?.message || job.failedReason,
+      stacktrace: job.stacktrace?.slice(-1)[0] || error?.stack || null,
+      attemptsMade: job.attemptsMade,
+      createdAt: new Date(job.timestamp).toISOString(),
+      failedAt: new Date(job.finishedOn || Date.now()).toISOString()
+    };
+
+    const { entries, index } = this.keys(queue);
+    await redisIOClient.multi()
+      .hset(entries, entry.id, JSON.stringify(entry))
+      .zadd(index, Date.parse(entry.failedAt), entry.id)
+      .exec();
+
+    return entry;
+  }
+
+  /**
+   * Resumen de una entrada (sin payload)
+   * @param {Object} entry - Entrada completa
+   * @returns {Object} Resumen
+   */
+  summarize({ data, stacktrace, ...entry }) {
+    return {
+      ...entry,
+      batchId: data?.batchId,
+      count: data?.count ?? data?.positions?.length ?? null
+    };
+  }
+
+  /**
+   * Lista las entradas de una cola, de la más reciente a la más antigua
+   * @param {string} queue - historical o latest
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { total, entries } con entradas resumidas
+   */
+  async list(queue, { limit = 50, offset = 0 } = {}) {
+    const { entries, index } = this.keys(queue);
+
+    const [total, ids] = await Promise.all([
+      redisIOClient.zcard(index),
+      redisIOClient.zrevrange(index, offset, offset + limit - 1)
+    ]);
+
+    const values = ids.length > 0 ? await redisIOClient.hmget(entries, ...ids) : [];
+
+    return {
+      total,
+      entries: values
+        .filter(Boolean)
+        .map(value => this.summarize(JSON.parse(value)))
+    };
+  }
+
+  /**
+   * Obtiene una entrada completa (con payload)
+   * @param {string} queue - historical o latest
+   * @param {string} id - ID del trabajo
+   * @returns {Promise<Object|null>} Entrada o null
+   */
+  async get(queue, id) {
+    const value = await redisIOClient.hget(this.keys(queue).entries, id);
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Obtiene los IDs de todas las entradas de una cola, de la más antigua a la más reciente
+   * @param {string} queue - historical o latest
+   * @returns {Promise<Array<string>>} IDs
+   */
+  async ids(queue) {
+    return redisIOClient.zrange(this.keys(queue).index, 0, -1);
+  }
+
+  /**
+   * Elimina una entrada
+   * @param {string} queue - historical o latest
+   * @param {string} id - ID del trabajo
+   * @returns {Promise<boolean>} True si existía
+   */
+  async remove(queue, id) {
+    const { entries, index } = this.keys(queue);
+    const [[, removed]] = await redisIOClient.multi()
+      .hdel(entries, id)
+      .zrem(index, id)
+      .exec();
+
+    return removed === 1;
+  }
+
+  /**
+   * Elimina todas las entradas de una cola
+   * @param {string} queue - historical o latest
+   * @returns {Promise<number>} Entradas eliminadas
+   */
+  async clear(queue) {
+    const { entries, index } = this.keys(queue);
+    const [[, total]] = await redisIOClient.multi()
+      .zcard(index)
+      .del(entries, index)
+      .exec();
+
+    return total;
+  }
+
+  /**
+   * Cantidad de entradas por cola
+   * @param {Array<string>} queues - Colas
+   * @returns {Promise<Object>} { [queue]: count }
+   */
+  async counts(queues) {
+    const totals = await Promise.all(queues.map(queue => redisIOClient.zcard(this.keys(queue).index)));
+    return Object.fromEntries(queues.map((queue, i) => [queue, totals[i]]));
+  }
+}
+
+export default new DeadLetterStore();
@@ -4,11 +4,14 @@ import config from '../../config/config.js';
 import redisIOClient from '../../config/redisIO.js';
 import RedisManager from '../storage/RedisManager.js';
 import EventBus from '../events/EventBus.js';
+import WebhookDelivery from '../webhooks/WebhookDelivery.js';
+import DeadLetterStore from './DeadLetterStore.js';
 import { compressData, decompressData } from '../../utils/compression.js';
+import { AppError } from '../../errors/AppError.js';
 
 /**
  * Gestor centralizado de colas para procesamiento de datos GPS
- * Maneja las colas de datos históricos y últimas posiciones
+ * Maneja las colas de datos históricos, últimas posiciones y entrega de webhooks
  */
 class QueueManager {
   constructor() {
@@ -74,6 +77,20 @@ class QueueManager {
       },
     });
 
+    // Cola de entrega de webhooks: cada trabajo es una entrega a una suscripción
+    this.queues.webhooks = new Queue('gps-webhook-delivery', {
+      connection: redisIOClient,
+      defaultJobOptions: {
+        removeOnComplete: 100,
+        removeOnFail: 500,
+        attempts: config.webhooks?.attempts || 6,
+        backoff: {
+          type: 'exponential',
+          delay: config.webhooks?.backoffDelay || 5000,
+        },
+      },
+    });
+
     logger.info('Queues created successfully');
   }
 
@@ -101,6 +118,16 @@ class QueueManager {
       }
     );
 
+    // Worker de entrega de webhooks
+    this.workers.webhooks = new Worker(
+      'gps-webhook-delivery',
+      async (job) => await WebhookDelivery.deliver(job),
+      {
+        connection: redisIOClient,
+        concurrency: config.webhooks?.concurrency || 10,
+      }
+    );
+
     logger.info('Workers created successfully');
   }
 
@@ -118,13 +145,15 @@ class QueueManager {
       EventBus.emit('queue.historical.completed', { job, result });
     });
 
-    this.queues.historical.on('failed', (job, err) => {
+    // Queue no emite 'failed' en BullMQ: el evento lo emite el Worker (job puede faltar si el trabajo se perdió)
+    this.workers.historical.on('failed', (job, err) => {
       logger.error('Historical batch job failed', {
-        jobId: job.id,
+        jobId: job?.id,
         error: err.message,
-        attempts: job.attemptsMade
+        attempts: job?.attemptsMade
       });
       EventBus.emit('queue.historical.failed', { job, error: err });
+      this.moveToDeadLetter('historical', job, err);
     });
 
     // Eventos de cola de últimas posiciones
@@ -137,13 +166,14 @@ class QueueManager {
       EventBus.emit('queue.latest.completed', { job, result });
     });
 
-    this.queues.latest.on('failed', (job, err) => {
+    this.workers.latest.on('failed', (job, err) => {
       logger.error('Latest positions batch job failed', {
-        jobId: job.id,
+        jobId: job?.id,
         error: err.message,
-        attempts: job.attemptsMade
+        attempts: job?.attemptsMade
       });
       EventBus.emit('queue.latest.failed', { job, error: err });
+      this.moveToDeadLetter('latest', job, err);
     });
 
     // Eventos de workers
@@ -160,6 +190,106 @@ class QueueManager {
         batchId: result.batchId
       });
     });
+
+    // Los reintentos y el dead-letter los resuelve WebhookDelivery; aquí solo se registra el fallo
+    this.workers.webhooks.on('failed', (job, err) => {
+      logger.warn('Webhook delivery attempt failed', {
+        jobId: job?.id,
+        deliveryId: job?.data?.deliveryId,
+        subscriptionId: job?.data?.subscriptionId,
+        error: err.message,
+        attempts: job?.attemptsMade
+      });
+      EventBus.emit('queue.webhooks.failed', { job, error: err });
+    });
+  }
+
+  /**
+   * Mueve al dead-letter un trabajo de lote que no se volverá a reintentar
+   * finishedOn solo se asigna en el fallo definitivo (intentos agotados o UnrecoverableError)
+   * @param {string} queue - historical o latest
+   * @param {Object} job - Trabajo de BullMQ
+   * @param {Error} error - Error del último intento
+   */
+  async moveToDeadLetter(queue, job, error) {
+    if (!job?.finishedOn) {
+      return;
+    }
+
+    try {
+      await DeadLetterStore.add(queue, job, error);
+      // El dead-letter es ahora la única copia: así un reintento puede volver a usar el mismo jobId
+      await job.remove().catch(() => {});
+
+      logger.warn('Batch job moved to dead-letter', {
+        queue,
+        jobId: job.id,
+        attempts: job.attemptsMade,
+        error: error.message
+      });
+      EventBus.emit('queue.deadletter.added', { queue, jobId: job.id, error: error.message });
+
+    } catch (dlqError) {
+      // El trabajo sigue en la lista de fallidos de BullMQ hasta que removeOnFail lo descarte
+      logger.error('Error moving batch job to dead-letter', {
+        queue,
+        jobId: job.id,
+        error: dlqError.message
+      });
+    }
+  }
+
+  /**
+   * Reencola un trabajo del dead-letter con el mismo jobId y lo quita del dead-letter
+   * @param {string} queue - historical o latest
+   * @param {string} id - ID del trabajo
+   * @returns {Promise<Object|null>} Trabajo encolado o null si no existe la entrada
+   */
+  async retryDeadLetter(queue, id) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const entry = await DeadLetterStore.get(queue, id);
+    if (!entry) {
+      return null;
+    }
+
+    // Si el trabajo fallido sigue en BullMQ, add() lo ignoraría por tener el mismo jobId
+    const existing = await this.queues[queue].getJob(id);
+    if (existing && await existing.isFailed()) {
+      await existing.remove();
+    }
+
+    const job = queue === 'historical'
+      ? await this.addHistoricalBatch(entry.data)
+      : await this.addLatestBatch(entry.data);
+
+    await DeadLetterStore.remove(queue, id);
+
+    logger.info('Dead-letter batch job requeued', { queue, jobId: id });
+    return job;
+  }
+
+  /**
+   * Reencola todos los trabajos del dead-letter de una cola, del más antiguo al más reciente
+   * @param {string} queue - historical o latest
+   * @returns {Promise<Object>} { retried, failed }
+   */
+  async retryAllDeadLetters(queue) {
+    const result = { retried: 0, failed: [] };
+
+    for (const id of await DeadLetterStore.ids(queue)) {
+      try {
+        if (await this.retryDeadLetter(queue, id)) {
+          result.retried++;
+        }
+      } catch (error) {
+        result.failed.push({ id, error: error.message });
+      }
+    }
+
+    return result;
   }
 
   /**
@@ -253,6 +383,15 @@ class QueueManager {
     }
   }
 
+  /**
+   * Indica si la conexión a Redis está lista
+   * Con la conexión caída los comandos quedan en la cola offline de ioredis sin fallar
+   * @returns {boolean} True si se puede encolar sin esperar a la reconexión
+   */
+  isConnected() {
+    return redisIOClient.status === 'ready';
+  }
+
   /**
    * Agrega un lote histórico a la cola
    * @param {Object} batchData - Datos del lote
@@ -267,6 +406,8 @@ class QueueManager {
       const job = await this.queues.historical.add('process-historical-batch', batchData, {
         priority: 2, // Prioridad media
         delay: 0,
+        // Si un intento anterior expiró pero llegó a Redis, BullMQ ignora el lote repetido
+        jobId: batchData.batchId,
       });
 
       logger.debug('Historical batch added to queue', {
@@ -300,6 +441,7 @@ class QueueManager {
       const job = await this.queues.latest.add('process-latest-batch', batchData, {
         priority: 1, // Alta prioridad
         delay: 0,
+        jobId: batchData.batchId,
       });
 
       logger.debug('Latest batch added to queue', {
@@ -319,6 +461,36 @@ class QueueManager {
     }
   }
 
+  /**
+   * Agrega una entrega de webhook a la cola
+   * @param {Object} delivery - { deliveryId, subscriptionId, event, data, createdAt }
+   * @returns {Promise<Object>} Información del trabajo
+   */
+  async addWebhookDelivery(delivery) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    try {
+      const job = await this.queues.webhooks.add('deliver-webhook', delivery);
+
+      logger.debug('Webhook delivery added to queue', {
+        jobId: job.id,
+        deliveryId: delivery.deliveryId,
+        event: delivery.event
+      });
+
+      return job;
+
+    } catch (error) {
+      logger.error('Error adding webhook delivery to queue', {
+        error: error.message,
+        deliveryId: delivery.deliveryId
+      });
+      throw error;
+    }
+  }
+
   /**
    * Obtiene estadísticas de las colas
    * @returns {Promise<Object>} Estadísticas
@@ -329,15 +501,17 @@ class QueueManager {
     }
 
     try {
-      const [historicalStats, latestStats] = await Promise.all([
+      const [historicalStats, latestStats, webhookStats] = await Promise.all([
         this.getQueueStats(this.queues.historical),
-        this.getQueueStats(this.queues.latest)
+        this.getQueueStats(this.queues.latest),
+        this.getQueueStats(this.queues.webhooks)
       ]);
 
       return {
         initialized: true,
         historical: historicalStats,
-        latest: latestStats
+        latest: latestStats,
+        webhooks: webhookStats
       };
 
     } catch (error) {
@@ -371,6 +545,154 @@ class QueueManager {
     }
   }
 
+  /**
+   * Cuenta los lotes pendientes de procesar (esperando y priorizados)
+   * Más liviano que getStats: no descarga los trabajos, solo los contadores
+   * @returns {Promise<Object>} { historical, latest, webhooks }
+   */
+  async getPendingCounts() {
+    const [historical, latest, webhooks] = await Promise.all([
+      this.queues.historical.getJobCounts('wait', 'prioritized'),
+      this.queues.latest.getJobCounts('wait', 'prioritized'),
+      this.queues.webhooks.getJobCounts('wait', 'prioritized')
+    ]);
+
+    return {
+      historical: historical.wait + historical.prioritized,
+      latest: latest.wait + latest.prioritized,
+      webhooks: webhooks.wait + webhooks.prioritized
+    };
+  }
+
+  /**
+   * Cantidad de trabajos por estado y estado del worker de esta instancia, por cola
+   * @returns {Promise<Object>} { [queue]: { counts, paused, worker: { paused, running, concurrency } } }
+   */
+  async getDetailedCounts() {
+    const names = Object.keys(this.queues);
+
+    const results = await Promise.all(names.map(async (name) => {
+      const [counts, paused] = await Promise.all([
+        this.queues[name].getJobCounts(
+          'waiting', 'prioritized', 'active', 'delayed', 'completed', 'failed', 'paused', 'waiting-children'
+        ),
+        this.queues[name].isPaused()
+      ]);
+
+      return [name, {
+        counts,
+        paused,
+        worker: this.getWorkerState(name)
+      }];
+    }));
+
+    return Object.fromEntries(results);
+  }
+
+  /**
+   * Estado del worker de esta instancia
+   * @param {string} name - historical, latest o webhooks
+   * @returns {Object} { paused, running, concurrency }
+   */
+  getWorkerState(name) {
+    const worker = this.workers[name];
+
+    return {
+      paused: worker.isPaused(),
+      running: worker.isRunning(),
+      concurrency: worker.concurrency
+    };
+  }
+
+  /**
+   * Pausa una cola
+   * Por defecto solo el worker de esta instancia (no requiere Redis, sirve durante un mantenimiento);
+   * con global pausa la cola en Redis para todas las instancias
+   * @param {string} name - historical, latest o webhooks
+   * @param {Object} options - { global }
+   * @returns {Promise<Object>} Estado del worker
+   */
+  async pauseQueue(name, { global = false } = {}) {
+    if (global) {
+      await this.queues[name].pause();
+    }
+
+    // Sin esperar a los trabajos activos: terminan solos pero no se toman nuevos
+    await this.workers[name].pause(true);
+
+    logger.warn('Queue paused', { queue: name, global });
+    return this.getWorkerState(name);
+  }
+
+  /**
+   * Reanuda una cola pausada con pauseQueue
+   * @param {string} name - historical, latest o webhooks
+   * @param {Object} options - { global }
+   * @returns {Promise<Object>} Estado del worker
+   */
+  async resumeQueue(name, { global = false } = {}) {
+    if (global) {
+      await this.queues[name].resume();
+    }
+
+    // Worker.resume() no hace nada mientras el ciclo anterior no terminó (p. ej. esperando un trabajo)
+    const worker = this.workers[name];
+    const deadline = Date.now() + 10000;
+    while (worker.isPaused() && worker.isRunning() && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    worker.resume();
+
+    logger.info('Queue resumed', { queue: name, global });
+    return this.getWorkerState(name);
+  }
+
+  /**
+   * Cambia la concurrencia del worker de esta instancia (hasta el próximo reinicio)
+   * @param {string} name - historical, latest o webhooks
+   * @param {number} concurrency - Trabajos simultáneos
+   * @returns {Object} Estado del worker
+   */
+  setConcurrency(name, concurrency) {
+    const previous = this.workers[name].concurrency;
+    this.workers[name].concurrency = concurrency;
+
+    logger.info('Worker concurrency changed', { queue: name, previous, concurrency });
+    return this.getWorkerState(name);
+  }
+
+  /**
+   * Elimina los trabajos en espera de una cola (los activos terminan)
+   * @param {string} name - historical, latest o webhooks
+   * @param {Object} options - { delayed } para incluir los trabajos diferidos
+   * @returns {Promise<Object>} Cantidades antes del drain
+   */
+  async drainQueue(name, { delayed = false } = {}) {
+    const counts = await this.queues[name].getJobCounts('waiting', 'prioritized', 'paused', 'delayed');
+    await this.queues[name].drain(delayed);
+
+    logger.warn('Queue drained', { queue: name, delayed, counts });
+    return counts;
+  }
+
+  /**
+   * Elimina la cola completa de Redis (trabajos en todos los estados y metadatos)
+   * @param {string} name - historical, latest o webhooks
+   * @param {Object} options - { force } para eliminarla aunque tenga trabajos activos
+   * @returns {Promise<Object>} Cantidades antes de eliminarla
+   */
+  async obliterateQueue(name, { force = false } = {}) {
+    const counts = await this.queues[name].getJobCounts();
+    if (counts.active > 0 && !force) {
+      throw new AppError('Queue has active jobs, use force to obliterate it anyway', 409, { active: counts.active });
+    }
+
+    await this.queues[name].obliterate({ force });
+
+    logger.warn('Queue obliterated', { queue: name, force, counts });
+    return counts;
+  }
+
   /**
    * Limpia trabajos completados y fallidos
    * @param {number} maxCompleted - Máximo de trabajos completados a mantener
@@ -386,7 +708,9 @@ class QueueManager {
         this.queues.historical.clean(0, maxCompleted, 'completed'),
         this.queues.historical.clean(0, maxFailed, 'failed'),
         this.queues.latest.clean(0, maxCompleted, 'completed'),
-        this.queues.latest.clean(0, maxFailed, 'failed')
+        this.queues.latest.clean(0, maxFailed, 'failed'),
+        this.queues.webhooks.clean(0, maxCompleted, 'completed'),
+        this.queues.webhooks.clean(0, maxFailed, 'failed')
       ]);
 
       logger.info('Queues cleaned', { maxCompleted, maxFailed });
@@ -415,6 +739,9 @@ class QueueManager {
       if (this.workers.latest) {
         await this.workers.latest.close();
       }
+      if (this.workers.webhooks) {
+        await this.workers.webhooks.close();
+      }
 
       // Cerrar colas
       if (this.queues.historical) {
@@ -423,6 +750,9 @@ class QueueManager {
       if (this.queues.latest) {
         await this.queues.latest.close();
       }
+      if (this.queues.webhooks) {
+        await this.queues.webhooks.close();
+      }
 
       this.isInitialized = false;
       logger.info('QueueManager shutdown complete');
@@ -4,6 +4,8 @@ import config from '../../config/config.js';
 import { compressData, decompressData } from '../../utils/compression.js';
 import EventBus from '../events/EventBus.js';
 
+const MAX_GEO_LATITUDE = 85.05112878;
+
 /**
  * Gestor centralizado de Redis para almacenamiento de datos GPS
  * Maneja dos formatos: historial global y últimas posiciones por dispositivo
@@ -14,10 +16,15 @@ class RedisManager {
       lastPosition: config.redis_prefixes?.lastPosition || 'gps:last:',
       history: config.redis_prefixes?.history || 'gps:history:',
       globalHistory: 'gps:history:global',
+      deviceHistory: `${config.redis_prefixes?.history || 'gps:history:'}device:`,
+      geoLatest: config.geo?.key || 'gps:geo:latest',
       metadata: 'gps:metadata:'
     };
     
     this.maxHistorySize = config.cleanup?.maxHistoryEntries || 100000;
+    this.deviceHistoryEnabled = config.history?.deviceEnabled ?? true;
+    this.historyRetention = config.history?.retention || 30 * 24 * 60 * 60 * 1000; // 30 días
+    this.geoEnabled = config.geo?.enabled ?? true;
 
     this.createMetadata = config.metadata || false;
   }
@@ -52,6 +59,11 @@ class RedisManager {
         pipeline.ltrim(this.prefixes.globalHistory, -this.maxHistorySize, -1);
       }
 
+      // Historial por dispositivo: sorted set con el timestamp (ms) como score
+      if (this.deviceHistoryEnabled) {
+        this.addDeviceHistory(pipeline, positions, globalHistoryEntries);
+      }
+
       // Guardar metadatos del lote
       const batchMetadata = {
         batchId,
@@ -102,6 +114,91 @@ class RedisManager {
     }
   }
 
+  /**
+   * Agrega las entradas del lote al historial por dispositivo y aplica la retención
+   * @param {Pipeline} pipeline - Pipeline de ioredis
+   * @param {Array} positions - Posiciones del lote
+   * @param {Array<string>} entries - Entradas serializadas (mismo orden que positions)
+   */
+  addDeviceHistory(pipeline, positions, entries) {
+    const byDevice = new Map();
+
+    positions.forEach((position, index) => {
+      if (!byDevice.has(position.deviceId)) {
+        byDevice.set(position.deviceId, []);
+      }
+      byDevice.get(position.deviceId).push(new Date(position.timestamp).getTime(), entries[index]);
+    });
+
+    const retentionLimit = Date.now() - this.historyRetention;
+
+    for (const [deviceId, scoreMembers] of byDevice) {
+      const key = `${this.prefixes.deviceHistory}${deviceId}`;
+      pipeline.zadd(key, ...scoreMembers);
+      pipeline.zremrangebyscore(key, '-inf', `(${retentionLimit}`);
+      // Los dispositivos que dejan de reportar se eliminan solos al vencer la retención
+      pipeline.pexpire(key, this.historyRetention);
+    }
+  }
+
+  /**
+   * Obtiene el historial de un dispositivo en un rango de tiempo (orden cronológico)
+   * @param {string} deviceId - ID del dispositivo
+   * @param {Object} options - Opciones de consulta
+   * @param {number} options.from - Inicio del rango en ms (inclusive)
+   * @param {number} options.to - Fin del rango en ms (inclusive)
+   * @param {number} options.limit - Máximo de posiciones a devolver
+   * @param {Object} options.cursor - Cursor de la página anterior { score, skip }
+   * @returns {Object} { positions, nextCursor }
+   */
+  async getDeviceHistory(deviceId, { from, to, limit, cursor } = {}) {
+    try {
+      const key = `${this.prefixes.deviceHistory}${deviceId}`;
+      const min = cursor ? cursor.score : (from ?? '-inf');
+      const max = to ?? '+inf';
+      const skip = cursor ? cursor.skip : 0;
+
+      // Se pide un elemento extra para saber si hay otra página
+      const raw = await redisIOClient.zrangebyscore(key, min, max, 'WITHSCORES', 'LIMIT', skip, limit + 1);
+
+      const entries = [];
+      for (let i = 0; i < raw.length; i += 2) {
+        entries.push({ member: raw[i], score: Number(raw[i + 1]) });
+      }
+
+      const hasMore = entries.length > limit;
+      const page = entries.slice(0, limit);
+
+      let nextCursor = null;
+      if (hasMore && page.length > 0) {
+        // Varias posiciones pueden compartir timestamp: el cursor guarda cuántas ya se entregaron con ese score
+        const lastScore = page[page.length - 1].score;
+        const sameScore = page.filter(entry => entry.score === lastScore).length;
+        nextCursor = {
+          score: lastScore,
+          skip: sameScore + (cursor && cursor.score === lastScore ? cursor.skip : 0)
+        };
+      }
+
+      const positions = page.map(({ member }) => {
+        try {
+          return JSON.parse(member);
+        } catch (error) {
+          return null;
+        }
+      }).filter(Boolean);
+
+      return { positions, nextCursor };
+
+    } catch (error) {
+      logger.error('Error retrieving device history', {
+        error: error.message,
+        deviceId
+      });
+      throw error;
+    }
+  }
+
   /**
    * Guarda las últimas posiciones de dispositivos (sin duplicados)
    * @param {Array} positions - Array de posiciones GPS
@@ -110,6 +207,7 @@ class RedisManager {
     try {
       const pipeline = redisIOClient.pipeline();
       const processedDevices = new Set();
+      const savedPositions = [];
 
       for (const position of positions) {
         // Evitar duplicados en el mismo lote
@@ -117,6 +215,7 @@ class RedisManager {
           continue;
         }
         processedDevices.add(position.deviceId);
+        savedPositions.push(position);
 
         const key = `${this.prefixes.lastPosition}${position.deviceId}`;
         const positionData = {
@@ -131,6 +230,16 @@ class RedisManager {
 
         // Usar HSET para sobrescribir la última posición
         pipeline.hset(key, positionData);
+
+        // Índice GEO de últimas posiciones (Redis solo admite latitudes hasta ±85.05112878)
+        if (this.geoEnabled) {
+          if (Math.abs(position.lat) <= MAX_GEO_LATITUDE) {
+            pipeline.geoadd(this.prefixes.geoLatest, position.lng, position.lat, position.deviceId);
+          } else {
+            // Sin esto, las búsquedas seguirían devolviendo la posición anterior del dispositivo
+            pipeline.zrem(this.prefixes.geoLatest, position.deviceId);
+          }
+        }
         
         // Opcional: Establecer TTL para limpieza automática
         if (config.cleanup?.enabled) {
@@ -148,6 +257,7 @@ class RedisManager {
       EventBus.emit('redis.latest.saved', {
         deviceCount: processedDevices.size,
         devices: Array.from(processedDevices),
+        positions: savedPositions,
         processedAt: new Date().toISOString()
       });
 
@@ -239,6 +349,164 @@ class RedisManager {
 
 
 
+  /**
+   * Busca dispositivos cuya última posición está dentro de un radio
+   * @param {Object} query - Parámetros de búsqueda
+   * @param {number} query.lat - Latitud del centro
+   * @param {number} query.lng - Longitud del centro
+   * @param {number} query.radius - Radio de búsqueda
+   * @param {string} query.unit - Unidad del radio y las distancias (m, km, mi, ft)
+   * @param {number} query.maxAge - Antigüedad máxima de la última posición en ms (opcional)
+   * @param {string} query.group - Grupo de dispositivos (metadata.group, opcional)
+   * @param {number} query.limit - Máximo de resultados
+   * @returns {Array} Dispositivos ordenados por distancia
+   */
+  async findNearbyDevices({ lat, lng, radius, unit, maxAge, group, limit }) {
+    try {
+      // Se piden a GEOSEARCH solo los más cercanos; con filtros se pide más porque parte se descarta,
+      // y si aun así no alcanza se amplía hasta GEO_MAX_NEARBY_SCAN
+      const maxScan = Math.max(config.geo?.maxNearbyScan || 10000, limit);
+      let count = Math.min((maxAge || group) ? limit * (config.geo?.nearbyOverfetch || 4) : limit, maxScan);
+      let scanned = 0;
+      const now = Date.now();
+      const devices = [];
+
+      while (true) {
+        const matches = await redisIOClient.geosearch(
+          this.prefixes.geoLatest,
+          'FROMLONLAT', lng, lat,
+          'BYRADIUS', radius, unit,
+          'ASC',
+          'COUNT', count,
+          'WITHDIST'
+        );
+
+        // Los primeros ya se evaluaron en la vuelta anterior
+        const pending = matches.slice(scanned);
+        scanned = matches.length;
+
+        if (pending.length > 0) {
+          // La edad y el grupo se leen del hash de última posición
+          const pipeline = redisIOClient.pipeline();
+          pending.forEach(([deviceId]) => {
+            pipeline.hmget(`${this.prefixes.lastPosition}${deviceId}`, 'lat', 'lng', 'timestamp', 'metadata');
+          });
+          const details = await pipeline.exec();
+
+          pending.forEach(([deviceId, distance], index) => {
+            const [error, fields] = details[index];
+            const [positionLat, positionLng, timestamp, metadata] = fields || [];
+
+            // Miembro sin hash: el dispositivo fue eliminado por la limpieza
+            if (error || !timestamp) {
+              return;
+            }
+
+            const age = now - new Date(timestamp).getTime();
+            if (maxAge && age > maxAge) {
+              return;
+            }
+
+            let parsedMetadata = {};
+            try {
+              parsedMetadata = metadata ? JSON.parse(metadata) : {};
+            } catch (parseError) {
+              // Ignorar metadatos malformados
+            }
+
+            if (group && parsedMetadata.group !== group) {
+              return;
+            }
+
+            devices.push({
+              deviceId,
+              distance: parseFloat(distance),
+              unit,
+              lat: parseFloat(positionLat),
+              lng: parseFloat(positionLng),
+              timestamp,
+              ageSeconds: Math.max(0, Math.round(age / 1000)),
+              group: parsedMetadata.group ?? null
+            });
+          });
+        }
+
+        // Suficientes resultados, no hay más dentro del radio o se llegó al máximo a recorrer
+        if (devices.length >= limit || matches.length < count || count >= maxScan) {
+          return devices.slice(0, limit);
+        }
+
+        count = Math.min(count * 4, maxScan);
+      }
+
+    } catch (error) {
+      logger.error('Error searching nearby devices', {
+        error: error.message,
+        lat,
+        lng,
+        radius,
+        unit
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene los dispositivos del índice GEO dentro de una caja (sin leer sus hashes)
+   * @param {Object} box - Caja de búsqueda (ver bboxToSearchBox)
+   * @param {number} box.lng - Longitud del centro
+   * @param {number} box.lat - Latitud del centro
+   * @param {number} box.widthKm - Ancho en km
+   * @param {number} box.heightKm - Alto en km
+   * @param {number} limit - Tamaño de página del llamador (fija cuántos candidatos se piden primero)
+   * @returns {Object} { candidates: [{ deviceId, lng, lat }], truncated }
+   */
+  async searchLatestInBox({ lng, lat, widthKm, heightKm }, limit) {
+    try {
+      // Se pide limit × overfetch y se amplía mientras la caja tenga más miembros, hasta GEO_MAX_NEARBY_SCAN:
+      // una caja del tamaño del mundo no carga el índice entero en memoria
+      const maxScan = Math.max(config.geo?.maxNearbyScan || 10000, limit);
+      let count = Math.min(limit * (config.geo?.nearbyOverfetch || 4), maxScan);
+      let matches;
+
+      while (true) {
+        matches = await redisIOClient.geosearch(
+          this.prefixes.geoLatest,
+          'FROMLONLAT', lng, lat,
+          'BYBOX', widthKm, heightKm, 'km',
+          'ASC',
+          'COUNT', count,
+          'WITHCOORD'
+        );
+
+        if (matches.length < count || count >= maxScan) {
+          break;
+        }
+        count = Math.min(count * 4, maxScan);
+      }
+
+      return {
+        candidates: matches.map(([deviceId, [memberLng, memberLat]]) => ({
+          deviceId,
+          lng: parseFloat(memberLng),
+          lat: parseFloat(memberLat)
+        })),
+        // Se cortó en el máximo: quedan fuera los miembros más alejados del centro
+        truncated: matches.length >= maxScan
+      };
+
+    } catch (error) {
+      logger.error('Error searching devices in box', {
+        error: error.message,
+        lng,
+        lat,
+        widthKm,
+        heightKm
+      });
+      throw error;
+    }
+  }
+
   /**
    * Obtiene estadísticas del almacenamiento Redis
    * @returns {Object} Estadísticas
@@ -338,6 +606,7 @@ class RedisManager {
           const position = await redisIOClient.hget(key, 'updatedAt');
           if (position && new Date(position).getTime() < inactiveThreshold) {
             pipeline.del(key);
+            pipeline.zrem(this.prefixes.geoLatest, key.slice(this.prefixes.lastPosition.length));
             inactiveDevices++;
           }
         }
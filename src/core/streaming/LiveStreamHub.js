@@ -0,0 +1,273 @@
+import logger from '../../utils/logger.js';
+import config from '../../config/config.js';
+import EventBus from '../events/EventBus.js';
+import { isPointInBbox } from '../../utils/geo.js';
+
+/**
+ * Hub de streaming en tiempo real (Server-Sent Events)
+ * Publica cada actualización de posición a los suscriptores que cumplan sus filtros y guarda
+ * las últimas en un buffer circular para reanudar desde Last-Event-ID
+ */
+class LiveStreamHub {
+  constructor() {
+    this.options = config.liveStream || {};
+    this.bufferSize = this.options.bufferSize || 1000;
+
+    // Los IDs incluyen el arranque del proceso: un ID de otra ejecución no se puede reanudar
+    this.bootId = Date.now().toString(36);
+    this.sequence = 0;
+    this.buffer = [];
+    this.clients = new Set();
+    this.heartbeatTimer = null;
+    this.stats = {
+      published: 0,
+      connections: 0,
+      rejected: 0,
+      resyncs: 0,
+      skipped: 0
+    };
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Configura la fuente de actualizaciones según LIVE_STREAM_SOURCE
+   */
+  setupEventListeners() {
+    if (!this.options.enabled) {
+      return;
+    }
+
+    if (this.options.source === 'saved') {
+      // Posiciones ya persistidas como última posición (cada ciclo del BatchManager)
+      EventBus.on('redis.latest.saved', ({ positions = [] }) => {
+        positions.forEach(position => this.publish(position));
+      });
+    } else {
+      EventBus.on('position.processed', (position) => {
+        if (!position.metadata?.backfill) {
+          this.publish(position);
+        }
+      });
+    }
+  }
+
+  /**
+   * Publica una posición a los clientes suscritos
+   * @param {Object} position - Posición GPS
+   */
+  publish(position) {
+    const event = {
+      id: `${this.bootId}-${++this.sequence}`,
+      sequence: this.sequence,
+      position: {
+        deviceId: position.deviceId,
+        lat: position.lat,
+        lng: position.lng,
+        timestamp: new Date(position.timestamp).toISOString(),
+        receivedAt: position.receivedAt ? new Date(position.receivedAt).toISOString() : undefined,
+        metadata: position.metadata || {}
+      }
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    this.stats.published++;
+
+    for (const client of this.clients) {
+      if (this.matches(client.filters, event.position)) {
+        this.send(client, event);
+      }
+    }
+  }
+
+  /**
+   * Verifica si una posición cumple los filtros de un cliente
+   * Los distintos filtros se combinan con AND; los valores de cada filtro con OR
+   * @param {Object} filters - { deviceIds: Set, groups: Set, bbox: Array }
+   * @param {Object} position - Posición
+   * @returns {boolean} True si debe enviarse
+   */
+  matches(filters, position) {
+    if (filters.deviceIds && !filters.deviceIds.has(position.deviceId)) {
+      return false;
+    }
+
+    if (filters.groups && !filters.groups.has(position.metadata?.group)) {
+      return false;
+    }
+
+    if (filters.bbox && !isPointInBbox(position.lng, position.lat, filters.bbox)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Escribe un evento SSE
+   * @param {Object} client - Cliente suscrito
+   * @param {Object} event - Evento del buffer
+   */
+  send(client, event) {
+    this.write(client, `id: ${event.id}\nevent: position\ndata: ${JSON.stringify(event.position)}\n\n`);
+  }
+
+  /**
+   * Escribe en la respuesta de un cliente y vacía el buffer del middleware de compresión
+   * Si el socket no admite más datos (cliente lento) se descartan sus eventos hasta 'drain', para no
+   * acumularlos en memoria, y entonces se le envía un resync para que recargue el estado
+   * @param {Object} client - Cliente suscrito
+   * @param {string} chunk - Texto SSE
+   */
+  write(client, chunk) {
+    if (client.paused) {
+      this.stats.skipped++;
+      return;
+    }
+
+    const { res } = client;
+    const accepted = res.write(chunk);
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+
+    if (!accepted) {
+      client.paused = true;
+      res.once('drain', () => {
+        client.paused = false;
+        this.stats.resyncs++;
+        this.write(client, `event: resync\ndata: ${JSON.stringify({ reason: 'Events skipped while the client was not reading' })}\n\n`);
+      });
+    }
+  }
+
+  /**
+   * Suscribe una respuesta HTTP al stream
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Object} filters - Filtros ya validados
+   * @param {string} lastEventId - Último ID recibido por el cliente (reanudación)
+   * @returns {boolean} False si se alcanzó el máximo de clientes
+   */
+  subscribe(req, res, filters, lastEventId) {
+    if (this.clients.size >= (this.options.maxClients || 500)) {
+      this.stats.rejected++;
+      return false;
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const client = { res, filters, paused: false };
+    this.write(client, `retry: ${this.options.retry || 3000}\n\n`);
+
+    if (lastEventId) {
+      this.replay(client, lastEventId);
+    }
+
+    this.clients.add(client);
+    this.stats.connections++;
+    this.startHeartbeat();
+
+    logger.debug('Live stream client connected', {
+      clients: this.clients.size,
+      ip: req.ip
+    });
+
+    req.on('close', () => {
+      this.clients.delete(client);
+      logger.debug('Live stream client disconnected', { clients: this.clients.size });
+    });
+
+    return true;
+  }
+
+  /**
+   * Reenvía los eventos posteriores a Last-Event-ID
+   * Si el ID no está en el buffer se envía un evento resync para que el cliente recargue el estado
+   * @param {Object} client - Cliente suscrito
+   * @param {string} lastEventId - Último ID recibido
+   */
+  replay(client, lastEventId) {
+    const [bootId, sequence] = String(lastEventId).split('-');
+    const lastSequence = parseInt(sequence);
+    const oldest = this.buffer[0]?.sequence ?? this.sequence + 1;
+
+    // Reanudable si es de este proceso y no se perdieron eventos fuera del buffer
+    if (bootId !== this.bootId || isNaN(lastSequence) || lastSequence < oldest - 1) {
+      this.stats.resyncs++;
+      this.write(client, `event: resync\ndata: ${JSON.stringify({ reason: 'Last-Event-ID is no longer available' })}\n\n`);
+      return;
+    }
+
+    for (const event of this.buffer) {
+      if (event.sequence > lastSequence && this.matches(client.filters, event.position)) {
+        this.send(client, event);
+      }
+    }
+  }
+
+  /**
+   * Envía comentarios periódicos para mantener viva la conexión a través de proxies
+   */
+  startHeartbeat() {
+    if (this.heartbeatTimer) {
+      return;
+    }
+
+    this.heartbeatTimer = setInterval(() => {
+      if (this.clients.size === 0) {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        return;
+      }
+
+      for (const client of this.clients) {
+        this.write(client, `: heartbeat ${Date.now()}\n\n`);
+      }
+    }, this.options.heartbeatInterval || 15000);
+  }
+
+  /**
+   * Obtiene estadísticas del hub
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    return {
+      enabled: !!this.options.enabled,
+      source: this.options.source,
+      activeClients: this.clients.size,
+      bufferedEvents: this.buffer.length,
+      lastEventId: this.sequence > 0 ? `${this.bootId}-${this.sequence}` : null,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Cierra todas las conexiones SSE
+   */
+  close() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+
+    for (const client of this.clients) {
+      client.res.end();
+    }
+    this.clients.clear();
+
+    logger.info('Live stream hub closed');
+  }
+}
+
+export default new LiveStreamHub();
@@ -0,0 +1,258 @@
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { UnrecoverableError } from 'bullmq';
+import redisIOClient from '../../config/redisIO.js';
+import logger from '../../utils/logger.js';
+import config from '../../config/config.js';
+import { isPrivateAddress, publicLookup } from '../../utils/security.js';
+
+export const WEBHOOK_KEYS = {
+  subscriptions: 'gps:webhooks',
+  deliveries: 'gps:webhooks:deliveries:',
+  deadLetter: 'gps:webhooks:dead-letter'
+};
+
+/**
+ * Firma un payload de webhook
+ * El receptor recalcula HMAC-SHA256(secret, `${timestamp}.${body}`) y compara con X-Webhook-Signature
+ * @param {string} secret - Secreto de la suscripción
+ * @param {number} timestamp - Segundos epoch enviados en X-Webhook-Timestamp
+ * @param {string} body - Cuerpo JSON exacto que se envía
+ * @returns {string} Firma en hexadecimal
+ */
+export const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Entrega HTTP de webhooks
+ * Procesa los trabajos de la cola gps-webhook-delivery, registra cada intento en el log de la
+ * suscripción y mueve a la lista de dead-letter las entregas que agotan los reintentos
+ */
+class WebhookDelivery {
+  constructor() {
+    this.options = config.webhooks || {};
+    this.stats = {
+      delivered: 0,
+      failedAttempts: 0,
+      deadLettered: 0
+    };
+  }
+
+  /**
+   * Envía un POST sin seguir redirecciones (un payload firmado no debe reenviarse a otro destino)
+   * La dirección se resuelve y comprueba en cada entrega y la conexión va a esa misma dirección: la URL
+   * se validó al guardar la suscripción, pero su DNS puede apuntar después a la red interna
+   * @param {string} url - URL de la suscripción
+   * @param {Object} headers - Cabeceras
+   * @param {string} body - Cuerpo JSON
+   * @param {number} timeout - Tiempo máximo de la petición en ms
+   * @returns {Promise<number>} Código de estado HTTP
+   */
+  post(url, headers, body, timeout) {
+    const target = new URL(url);
+    const hostname = target.hostname.replace(/^\[|\]$/g, '');
+    const allowPrivate = this.options.allowPrivateTargets;
+
+    // Con una IP literal no se consulta lookup
+    if (!allowPrivate && net.isIP(hostname) && isPrivateAddress(hostname)) {
+      return Promise.reject(new Error(`${hostname} is not a public address`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = (target.protocol === 'https:' ? https : http).request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        ...(!allowPrivate && { lookup: publicLookup })
+      }, (response) => {
+        clearTimeout(timer);
+        response.resume();
+        resolve(response.statusCode);
+      });
+
+      const timer = setTimeout(() => request.destroy(new Error(`Timeout after ${timeout} ms`)), timeout);
+
+      request.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      request.end(body);
+    });
+  }
+
+  /**
+   * Entrega un webhook (procesador del worker de BullMQ)
+   * @param {Object} job - Trabajo con { deliveryId, subscriptionId, event, data, createdAt }
+   * @returns {Object} Resultado de la entrega
+   * @throws {Error} Si la entrega falla (BullMQ reintenta con backoff)
+   */
+  async deliver(job) {
+    const { deliveryId, subscriptionId, event, data, createdAt } = job.data;
+    const attempt = job.attemptsMade + 1;
+
+    const raw = await redisIOClient.hget(WEBHOOK_KEYS.subscriptions, subscriptionId);
+    const subscription = raw ? JSON.parse(raw) : null;
+
+    // La suscripción se eliminó o deshabilitó mientras la entrega esperaba en la cola
+    if (!subscription || (subscription.enabled === false && event !== 'webhook.test')) {
+      logger.debug('Skipping webhook delivery for inactive subscription', { deliveryId, subscriptionId });
+      return { deliveryId, skipped: true };
+    }
+
+    const body = JSON.stringify({ id: deliveryId, event, createdAt, data });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const timeout = this.options.timeout || 10000;
+    const startedAt = Date.now();
+    let statusCode = null;
+    let error = null;
+
+    try {
+      statusCode = await this.post(subscription.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'gps-receiver-webhooks/1.0',
+        'X-Webhook-Id': deliveryId,
+        'X-Webhook-Event': event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(subscription.secret, timestamp, body)}`
+      }, body, timeout);
+
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `HTTP ${statusCode}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    const entry = {
+      deliveryId,
+      event,
+      attempt,
+      success: !error,
+      statusCode,
+      error,
+      durationMs: Date.now() - startedAt,
+      at: new Date().toISOString()
+    };
+    await this.recordAttempt(subscriptionId, entry);
+
+    if (!error) {
+      this.stats.delivered++;
+      return { deliveryId, statusCode, attempt };
+    }
+
+    this.stats.failedAttempts++;
+
+    // Un 4xx (salvo 408/429) es un rechazo del receptor: reintentar no cambia el resultado
+    const permanent = statusCode >= 400 && statusCode < 500 && statusCode !== 408 && statusCode !== 429;
+    if (permanent || attempt >= (job.opts.attempts || 1)) {
+      await this.deadLetter(job.data, entry);
+    }
+
+    throw permanent ? new UnrecoverableError(error) : new Error(error);
+  }
+
+  /**
+   * Agrega un intento al log de entregas de la suscripción (lista acotada, más reciente primero)
+   * @param {string} subscriptionId - ID de la suscripción
+   * @param {Object} entry - Intento de entrega
+   */
+  async recordAttempt(subscriptionId, entry) {
+    const key = `${WEBHOOK_KEYS.deliveries}${subscriptionId}`;
+
+    try {
+      await redisIOClient.pipeline()
+        .lpush(key, JSON.stringify(entry))
+        .ltrim(key, 0, (this.options.maxLogEntries || 100) - 1)
+        .exec();
+    } catch (error) {
+      logger.warn('Error recording webhook delivery attempt', {
+        deliveryId: entry.deliveryId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Guarda una entrega que agotó sus intentos en la lista de dead-letter
+   * @param {Object} delivery - Datos del trabajo
+   * @param {Object} lastAttempt - Último intento registrado
+   */
+  async deadLetter(delivery, lastAttempt) {
+    const entry = {
+      ...delivery,
+      attempts: lastAttempt.attempt,
+      lastStatusCode: lastAttempt.statusCode,
+      lastError: lastAttempt.error,
+      failedAt: lastAttempt.at
+    };
+
+    try {
+      await redisIOClient.pipeline()
+        .lpush(WEBHOOK_KEYS.deadLetter, JSON.stringify(entry))
+        .ltrim(WEBHOOK_KEYS.deadLetter, 0, (this.options.maxDeadLetters || 1000) - 1)
+        .exec();
+
+      this.stats.deadLettered++;
+      logger.warn('Webhook delivery moved to dead-letter list', {
+        deliveryId: delivery.deliveryId,
+        subscriptionId: delivery.subscriptionId,
+        attempts: entry.attempts,
+        error: entry.lastError
+      });
+    } catch (error) {
+      logger.error('Error saving webhook dead letter', {
+        deliveryId: delivery.deliveryId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Obtiene los últimos intentos de entrega de una suscripción
+   * @param {string} subscriptionId - ID de la suscripción
+   * @param {number} limit - Máximo de intentos
+   * @returns {Promise<Array>} Intentos, más reciente primero
+   */
+  async getDeliveries(subscriptionId, limit = 50) {
+    const entries = await redisIOClient.lrange(`${WEBHOOK_KEYS.deliveries}${subscriptionId}`, 0, limit - 1);
+    return entries.map(entry => JSON.parse(entry));
+  }
+
+  /**
+   * Obtiene las entregas en dead-letter
+   * @param {number} limit - Máximo de entregas (-1 = todas)
+   * @returns {Promise<Array>} Entregas fallidas, más reciente primero
+   */
+  async getDeadLetters(limit = 50) {
+    const entries = await redisIOClient.lrange(WEBHOOK_KEYS.deadLetter, 0, limit < 0 ? -1 : limit - 1);
+    return entries.map(entry => JSON.parse(entry));
+  }
+
+  /**
+   * Quita una entrega de la lista de dead-letter
+   * @param {string} deliveryId - ID de la entrega
+   * @returns {Promise<Object|null>} Entrega quitada o null si no estaba
+   */
+  async takeDeadLetter(deliveryId) {
+    const entries = await redisIOClient.lrange(WEBHOOK_KEYS.deadLetter, 0, -1);
+    const raw = entries.find(entry => JSON.parse(entry).deliveryId === deliveryId);
+
+    // Otra petición pudo quitarla entre la lectura y el LREM
+    if (!raw || await redisIOClient.lrem(WEBHOOK_KEYS.deadLetter, 1, raw) === 0) {
+      return null;
+    }
+
+    return JSON.parse(raw);
+  }
+
+  /**
+   * Obtiene estadísticas de entrega
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+export default new WebhookDelivery();
@@ -0,0 +1,340 @@
+import crypto from 'crypto';
+import redisIOClient from '../../config/redisIO.js';
+import logger from '../../utils/logger.js';
+import config from '../../config/config.js';
+import { AppError } from '../../errors/AppError.js';
+import { WEBHOOK_EVENTS } from '../../config/schemas.js';
+import { isPublicUrl } from '../../utils/security.js';
+import EventBus from '../events/EventBus.js';
+import QueueManager from '../queues/QueueManager.js';
+import WebhookDelivery, { WEBHOOK_KEYS } from './WebhookDelivery.js';
+
+/**
+ * Gestor de suscripciones de webhooks
+ * Guarda las suscripciones en Redis y encola una entrega por cada evento local que coincide
+ * con sus filtros; la entrega (firma, reintentos, dead-letter) la hace WebhookDelivery
+ */
+class WebhookManager {
+  constructor() {
+    this.options = config.webhooks || {};
+    this.enabled = this.options.enabled ?? true;
+    this.subscriptions = new Map(); // subscriptionId -> suscripción
+    this.reloadTimer = null;
+    this.stats = {
+      enqueued: 0,
+      errors: 0
+    };
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Carga las suscripciones y programa su recarga periódica (otras instancias pueden modificarlas)
+   */
+  async initialize() {
+    if (!this.enabled || this.reloadTimer) {
+      return;
+    }
+
+    await this.loadSubscriptions();
+
+    this.reloadTimer = setInterval(() => {
+      this.loadSubscriptions().catch(error => {
+        logger.error('Error reloading webhook subscriptions', { error: error.message });
+      });
+    }, this.options.reloadInterval || 30000);
+
+    logger.info('WebhookManager initialized', { subscriptions: this.subscriptions.size });
+  }
+
+  /**
+   * Configura los listeners de eventos
+   */
+  setupEventListeners() {
+    if (!this.enabled) {
+      return;
+    }
+
+    for (const eventName of WEBHOOK_EVENTS) {
+      EventBus.on(eventName, (data, context) => {
+        // Solo entrega la instancia que originó el evento: los remotos ya se entregaron allí
+        if (context?.remote) {
+          return;
+        }
+
+        if (eventName === 'position.processed' && data?.metadata?.backfill) {
+          return;
+        }
+
+        this.dispatch(eventName, data);
+      });
+    }
+  }
+
+  /**
+   * Lee todas las suscripciones de Redis
+   */
+  async loadSubscriptions() {
+    const stored = await redisIOClient.hgetall(WEBHOOK_KEYS.subscriptions);
+    const subscriptions = new Map();
+
+    for (const [id, raw] of Object.entries(stored || {})) {
+      try {
+        subscriptions.set(id, JSON.parse(raw));
+      } catch (error) {
+        logger.warn('Skipping invalid webhook subscription', { subscriptionId: id, error: error.message });
+      }
+    }
+
+    this.subscriptions = subscriptions;
+  }
+
+  /**
+   * Verifica si un evento coincide con los filtros de una suscripción
+   * @param {Object} subscription - Suscripción
+   * @param {string} eventName - Nombre del evento
+   * @param {Object} data - Datos del evento
+   * @returns {boolean} True si debe entregarse
+   */
+  matches(subscription, eventName, data) {
+    if (subscription.enabled === false) {
+      return false;
+    }
+
+    if (!subscription.events.includes('*') && !subscription.events.includes(eventName)) {
+      return false;
+    }
+
+    if (subscription.deviceIds?.length && !subscription.deviceIds.includes(data?.deviceId)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Encola el evento para cada suscripción que coincide
+   * @param {string} eventName - Nombre del evento
+   * @param {Object} data - Datos del evento
+   */
+  dispatch(eventName, data) {
+    for (const subscription of this.subscriptions.values()) {
+      if (!this.matches(subscription, eventName, data)) {
+        continue;
+      }
+
+      this.enqueue(subscription.id, eventName, data).catch(error => {
+        this.stats.errors++;
+        logger.error('Error enqueuing webhook delivery', {
+          subscriptionId: subscription.id,
+          eventName,
+          error: error.message
+        });
+      });
+    }
+  }
+
+  /**
+   * Encola una entrega
+   * @param {string} subscriptionId - ID de la suscripción
+   * @param {string} eventName - Nombre del evento
+   * @param {Object} data - Datos del evento
+   * @param {Object} options - { deliveryId, createdAt } para reenviar una entrega existente
+   * @returns {Promise<string>} ID de la entrega
+   */
+  async enqueue(subscriptionId, eventName, data, options = {}) {
+    const deliveryId = options.deliveryId || crypto.randomUUID();
+
+    await QueueManager.addWebhookDelivery({
+      deliveryId,
+      subscriptionId,
+      event: eventName,
+      data,
+      createdAt: options.createdAt || new Date().toISOString()
+    });
+
+    this.stats.enqueued++;
+    return deliveryId;
+  }
+
+  /**
+   * Oculta el secreto de una suscripción
+   * @param {Object} subscription - Suscripción
+   * @returns {Object} Suscripción sin secreto
+   */
+  toPublic(subscription) {
+    const { secret, ...rest } = subscription;
+    return rest;
+  }
+
+  /**
+   * Lista todas las suscripciones (sin secretos)
+   * @returns {Promise<Array>} Suscripciones
+   */
+  async listSubscriptions() {
+    await this.loadSubscriptions();
+    return Array.from(this.subscriptions.values()).map(subscription => this.toPublic(subscription));
+  }
+
+  /**
+   * Obtiene una suscripción
+   * @param {string} id - ID de la suscripción
+   * @returns {Promise<Object|null>} Suscripción (con secreto) o null
+   */
+  async getSubscription(id) {
+    const raw = await redisIOClient.hget(WEBHOOK_KEYS.subscriptions, id);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Crea o reemplaza una suscripción
+   * Si no se indica secreto se genera uno al crear y se conserva el anterior al reemplazar
+   * @param {Object} definition - Definición validada (ver webhookSchema)
+   * @param {string} id - ID a reemplazar (se genera uno nuevo si no se indica)
+   * @returns {Promise<Object>} Suscripción guardada, con secreto
+   */
+  async saveSubscription(definition, id = null) {
+    const existing = id ? await this.getSubscription(id) : null;
+    if (id && !existing) {
+      throw new AppError('Webhook subscription not found', 404);
+    }
+
+    // Evita que una suscripción haga que el servicio envíe peticiones a la red interna (SSRF)
+    if (!this.options.allowPrivateTargets && !(await isPublicUrl(definition.url))) {
+      throw new AppError('Webhook url must resolve to a public address', 400);
+    }
+
+    const now = new Date().toISOString();
+    const subscription = {
+      ...definition,
+      id: id || crypto.randomUUID(),
+      secret: definition.secret || existing?.secret || crypto.randomBytes(32).toString('hex'),
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    await redisIOClient.hset(WEBHOOK_KEYS.subscriptions, subscription.id, JSON.stringify(subscription));
+    await this.loadSubscriptions();
+
+    logger.info(existing ? 'Webhook subscription updated' : 'Webhook subscription created', {
+      subscriptionId: subscription.id,
+      events: subscription.events
+    });
+    return subscription;
+  }
+
+  /**
+   * Elimina una suscripción y su log de entregas
+   * @param {string} id - ID de la suscripción
+   * @returns {Promise<boolean>} True si existía
+   */
+  async deleteSubscription(id) {
+    const removed = await redisIOClient.hdel(WEBHOOK_KEYS.subscriptions, id);
+    await redisIOClient.del(`${WEBHOOK_KEYS.deliveries}${id}`);
+    await this.loadSubscriptions();
+
+    if (removed) {
+      logger.info('Webhook subscription deleted', { subscriptionId: id });
+    }
+    return removed > 0;
+  }
+
+  /**
+   * Encola un evento webhook.test para una suscripción, sin aplicar sus filtros
+   * @param {string} id - ID de la suscripción
+   * @returns {Promise<string>} ID de la entrega
+   */
+  async sendTest(id) {
+    const subscription = await this.getSubscription(id);
+    if (!subscription) {
+      throw new AppError('Webhook subscription not found', 404);
+    }
+
+    return this.enqueue(id, 'webhook.test', {
+      subscriptionId: id,
+      message: 'Test delivery'
+    });
+  }
+
+  /**
+   * Obtiene el log de entregas de una suscripción
+   * @param {string} id - ID de la suscripción
+   * @param {number} limit - Máximo de intentos
+   * @returns {Promise<Array>} Intentos, más reciente primero
+   */
+  async getDeliveries(id, limit) {
+    const subscription = await this.getSubscription(id);
+    if (!subscription) {
+      throw new AppError('Webhook subscription not found', 404);
+    }
+
+    return WebhookDelivery.getDeliveries(id, limit);
+  }
+
+  /**
+   * Obtiene las entregas que agotaron sus intentos
+   * @param {number} limit - Máximo de entregas
+   * @returns {Promise<Array>} Entregas fallidas, más reciente primero
+   */
+  async getDeadLetters(limit) {
+    return WebhookDelivery.getDeadLetters(limit);
+  }
+
+  /**
+   * Reencola una entrega de la lista de dead-letter con el mismo deliveryId
+   * @param {string} deliveryId - ID de la entrega
+   * @returns {Promise<Object>} { deliveryId, subscriptionId }
+   */
+  async redeliver(deliveryId) {
+    const deadLetters = await WebhookDelivery.getDeadLetters(-1);
+    const found = deadLetters.find(deadLetter => deadLetter.deliveryId === deliveryId);
+    if (!found) {
+      throw new AppError('Dead letter not found', 404);
+    }
+
+    if (!await this.getSubscription(found.subscriptionId)) {
+      throw new AppError('Webhook subscription no longer exists', 409);
+    }
+
+    // Quitarla antes de encolar evita que dos peticiones la reenvíen a la vez
+    const entry = await WebhookDelivery.takeDeadLetter(deliveryId);
+    if (!entry) {
+      throw new AppError('Dead letter not found', 404);
+    }
+
+    await this.enqueue(entry.subscriptionId, entry.event, entry.data, {
+      deliveryId: entry.deliveryId,
+      createdAt: entry.createdAt
+    });
+
+    logger.info('Webhook dead letter requeued', { deliveryId, subscriptionId: entry.subscriptionId });
+    return { deliveryId, subscriptionId: entry.subscriptionId };
+  }
+
+  /**
+   * Obtiene estadísticas del gestor
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      subscriptions: this.subscriptions.size,
+      ...this.stats,
+      ...WebhookDelivery.getStats()
+    };
+  }
+
+  /**
+   * Detiene la recarga de suscripciones
+   */
+  shutdown() {
+    if (this.reloadTimer) {
+      clearInterval(this.reloadTimer);
+      this.reloadTimer = null;
+    }
+
+    logger.info('WebhookManager shutdown complete');
+  }
+}
+
+export default new WebhookManager();
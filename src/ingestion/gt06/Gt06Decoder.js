@@ -0,0 +1,304 @@
+/**
+ * Decodificador del protocolo binario GT06/Concox
+ * Funciones puras (sin sockets) para poder probarlas con volcados hex capturados
+ */
+
+// Números de protocolo soportados
+export const PROTOCOL = {
+  LOGIN: 0x01,
+  LOCATION: 0x12,
+  HEARTBEAT: 0x13,
+  ALARM: 0x16,
+  LOCATION_EXT: 0x22
+};
+
+// Tipos que el dispositivo espera que sean confirmados por el servidor
+const ACK_REQUIRED = new Set([PROTOCOL.LOGIN, PROTOCOL.HEARTBEAT, PROTOCOL.ALARM]);
+
+const SHORT_START = 0x7878;
+const LONG_START = 0x7979;
+const STOP_BITS = 0x0d0a;
+
+/**
+ * Calcula el CRC-ITU (CRC-16/X-25) usado por GT06
+ * @param {Buffer} buffer - Datos sobre los que calcular el CRC
+ * @returns {number} CRC de 16 bits
+ */
+export const crcItu = (buffer) => {
+  let crc = 0xffff;
+
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0x8408 : crc >>> 1;
+    }
+  }
+
+  return ~crc & 0xffff;
+};
+
+/**
+ * Extrae los paquetes completos de un buffer de stream TCP
+ * @param {Buffer} buffer - Datos acumulados del socket
+ * @returns {Object} { frames: Buffer[], remainder: Buffer }
+ */
+export const extractFrames = (buffer) => {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 5) {
+    const start = buffer.readUInt16BE(offset);
+
+    if (start !== SHORT_START && start !== LONG_START) {
+      // Descartar bytes basura hasta el siguiente inicio de paquete
+      offset++;
+      continue;
+    }
+
+    const isLong = start === LONG_START;
+    const headerSize = isLong ? 4 : 3;
+    if (buffer.length - offset < headerSize) {
+      break;
+    }
+
+    const length = isLong ? buffer.readUInt16BE(offset + 2) : buffer[offset + 2];
+    const total = headerSize + length + 2;
+
+    if (buffer.length - offset < total) {
+      break;
+    }
+
+    if (buffer.readUInt16BE(offset + total - 2) !== STOP_BITS) {
+      offset++;
+      continue;
+    }
+
+    frames.push(buffer.subarray(offset, offset + total));
+    offset += total;
+  }
+
+  return { frames, remainder: buffer.subarray(offset) };
+};
+
+/**
+ * Decodifica el IMEI en BCD del paquete de login
+ * @param {Buffer} data - 8 bytes BCD
+ * @returns {string} IMEI sin el cero de relleno inicial
+ */
+const decodeImei = (data) => {
+  return data.toString('hex').replace(/^0/, '');
+};
+
+/**
+ * Decodifica fecha/hora GPS (YY MM DD hh mm ss, UTC)
+ * @param {Buffer} data - Buffer del paquete
+ * @param {number} offset - Posición inicial
+ * @returns {Date} Fecha decodificada
+ */
+const decodeDateTime = (data, offset) => {
+  return new Date(Date.UTC(
+    2000 + data[offset],
+    data[offset + 1] - 1,
+    data[offset + 2],
+    data[offset + 3],
+    data[offset + 4],
+    data[offset + 5]
+  ));
+};
+
+/**
+ * Decodifica el bloque GPS común a los paquetes de ubicación y alarma
+ * @param {Buffer} data - Contenido de información
+ * @param {number} offset - Posición inicial del bloque
+ * @returns {Object} Datos GPS y offset siguiente
+ */
+const decodeGpsBlock = (data, offset) => {
+  const timestamp = decodeDateTime(data, offset);
+  const satellites = data[offset + 6] & 0x0f;
+  const rawLat = data.readUInt32BE(offset + 7) / 1800000;
+  const rawLng = data.readUInt32BE(offset + 11) / 1800000;
+  const speed = data[offset + 15];
+  const courseStatus = data.readUInt16BE(offset + 16);
+
+  const north = (courseStatus & 0x0400) !== 0;
+  const west = (courseStatus & 0x0800) !== 0;
+
+  return {
+    gps: {
+      timestamp,
+      satellites,
+      lat: north ? rawLat : -rawLat,
+      lng: west ? -rawLng : rawLng,
+      speed,
+      heading: courseStatus & 0x03ff,
+      positioned: (courseStatus & 0x1000) !== 0,
+      realtime: (courseStatus & 0x2000) === 0
+    },
+    offset: offset + 18
+  };
+};
+
+/**
+ * Decodifica el bloque de celda LBS (MCC, MNC, LAC, Cell ID)
+ * @param {Buffer} data - Contenido de información
+ * @param {number} offset - Posición inicial del bloque
+ * @returns {Object} Datos LBS y offset siguiente
+ */
+const decodeLbsBlock = (data, offset) => {
+  return {
+    lbs: {
+      mcc: data.readUInt16BE(offset),
+      mnc: data[offset + 2],
+      lac: data.readUInt16BE(offset + 3),
+      cellId: data.readUIntBE(offset + 5, 3)
+    },
+    offset: offset + 8
+  };
+};
+
+/**
+ * Decodifica el byte de información del terminal y los niveles de estado
+ * @param {Buffer} data - Contenido de información
+ * @param {number} offset - Posición inicial del bloque
+ * @returns {Object} Estado del terminal
+ */
+const decodeStatusBlock = (data, offset) => {
+  const terminalInfo = data[offset];
+
+  return {
+    defenseActive: (terminalInfo & 0x01) !== 0,
+    accOn: (terminalInfo & 0x02) !== 0,
+    charging: (terminalInfo & 0x04) !== 0,
+    alarmType: (terminalInfo >> 3) & 0x07,
+    gpsTracking: (terminalInfo & 0x40) !== 0,
+    powerCut: (terminalInfo & 0x80) !== 0,
+    voltageLevel: data[offset + 1],
+    gsmSignal: data[offset + 2],
+    alarmLanguage: data.length >= offset + 5 ? data.readUInt16BE(offset + 3) : null
+  };
+};
+
+/**
+ * Decodifica un paquete GT06 completo
+ * @param {Buffer} frame - Paquete completo incluyendo inicio y fin
+ * @returns {Object} Paquete decodificado
+ * @throws {Error} Si el CRC no coincide
+ */
+export const decodeFrame = (frame) => {
+  const isLong = frame.readUInt16BE(0) === LONG_START;
+  const headerSize = isLong ? 4 : 3;
+  const crcOffset = frame.length - 4;
+
+  const expectedCrc = frame.readUInt16BE(crcOffset);
+  const actualCrc = crcItu(frame.subarray(2, crcOffset));
+  if (expectedCrc !== actualCrc) {
+    throw new Error(`Invalid GT06 CRC: expected ${expectedCrc.toString(16)}, got ${actualCrc.toString(16)}`);
+  }
+
+  const protocol = frame[headerSize];
+  const serial = frame.readUInt16BE(crcOffset - 2);
+  const info = frame.subarray(headerSize + 1, crcOffset - 2);
+
+  const packet = {
+    protocol,
+    serial,
+    ackRequired: ACK_REQUIRED.has(protocol)
+  };
+
+  switch (protocol) {
+    case PROTOCOL.LOGIN:
+      packet.type = 'login';
+      packet.imei = decodeImei(info.subarray(0, 8));
+      break;
+
+    case PROTOCOL.HEARTBEAT:
+      packet.type = 'heartbeat';
+      packet.status = decodeStatusBlock(info, 0);
+      break;
+
+    case PROTOCOL.LOCATION: {
+      packet.type = 'location';
+      const { gps, offset } = decodeGpsBlock(info, 0);
+      packet.gps = gps;
+      if (info.length >= offset + 8) {
+        packet.lbs = decodeLbsBlock(info, offset).lbs;
+      }
+      break;
+    }
+
+    case PROTOCOL.LOCATION_EXT: {
+      packet.type = 'location';
+      const gpsBlock = decodeGpsBlock(info, 0);
+      packet.gps = gpsBlock.gps;
+      const { lbs, offset } = decodeLbsBlock(info, gpsBlock.offset);
+      packet.lbs = lbs;
+      if (info.length > offset) {
+        packet.accOn = info[offset] === 0x01;
+      }
+      break;
+    }
+
+    case PROTOCOL.ALARM: {
+      packet.type = 'alarm';
+      const gpsBlock = decodeGpsBlock(info, 0);
+      packet.gps = gpsBlock.gps;
+      // El bloque LBS de la alarma va precedido de un byte de longitud
+      const { lbs, offset } = decodeLbsBlock(info, gpsBlock.offset + 1);
+      packet.lbs = lbs;
+      packet.status = decodeStatusBlock(info, offset);
+      break;
+    }
+
+    default:
+      packet.type = 'unknown';
+      packet.info = info.toString('hex');
+  }
+
+  return packet;
+};
+
+/**
+ * Construye la respuesta (ACK) para un paquete
+ * @param {number} protocol - Número de protocolo a confirmar
+ * @param {number} serial - Número de serie del paquete recibido
+ * @returns {Buffer} Paquete de respuesta
+ */
+export const buildAck = (protocol, serial) => {
+  const body = Buffer.from([0x05, protocol, (serial >> 8) & 0xff, serial & 0xff]);
+  const crc = crcItu(body);
+
+  return Buffer.concat([
+    Buffer.from([0x78, 0x78]),
+    body,
+    Buffer.from([(crc >> 8) & 0xff, crc & 0xff, 0x0d, 0x0a])
+  ]);
+};
+
+/**
+ * Convierte un paquete de ubicación/alarma en una posición para GpsProcessingService
+ * @param {string} imei - IMEI del dispositivo (obtenido en el login)
+ * @param {Object} packet - Paquete decodificado con bloque gps
+ * @returns {Object} Posición GPS sin procesar
+ */
+export const toRawPosition = (imei, packet) => {
+  const { gps } = packet;
+
+  return {
+    id: imei,
+    lat: gps.lat,
+    lng: gps.lng,
+    timestamp: gps.timestamp,
+    speed: gps.speed,
+    heading: gps.heading,
+    metadata: {
+      protocol: 'gt06',
+      packetType: packet.type,
+      satellites: gps.satellites,
+      positioned: gps.positioned,
+      realtime: gps.realtime,
+      ...(packet.lbs && { lbs: packet.lbs }),
+      ...(packet.accOn !== undefined && { accOn: packet.accOn }),
+      ...(packet.status && { status: packet.status })
+    }
+  };
+};
@@ -0,0 +1,214 @@
+import net from 'net';
+import logger from '../../utils/logger.js';
+import config from '../../config/config.js';
+import GpsProcessingService from '../../services/GpsProcessingService.js';
+import { extractFrames, decodeFrame, buildAck, toRawPosition } from './Gt06Decoder.js';
+
+// Tamaño máximo de datos sin un paquete válido antes de cerrar la conexión
+const MAX_PENDING_BYTES = 4096;
+
+/**
+ * Servidor TCP para rastreadores GT06/Concox
+ * Gestiona la sesión (login), responde los ACK y envía las posiciones a GpsProcessingService
+ */
+class Gt06Server {
+  constructor() {
+    this.options = config.ingestion?.gt06 || {};
+    this.server = null;
+    this.sockets = new Set();
+    this.stats = {
+      connections: 0,
+      packets: 0,
+      positions: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Inicia el servidor TCP si está habilitado
+   */
+  async start() {
+    if (!this.options.enabled || this.server) {
+      return;
+    }
+
+    this.server = net.createServer((socket) => this.handleConnection(socket));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.server.on('error', (error) => {
+      logger.error('GT06 server error', { error: error.message });
+    });
+
+    logger.info('GT06 TCP server listening', {
+      host: this.options.host,
+      port: this.options.port
+    });
+  }
+
+  /**
+   * Configura una nueva conexión de dispositivo
+   * @param {net.Socket} socket - Socket del dispositivo
+   */
+  handleConnection(socket) {
+    const session = {
+      imei: null,
+      buffer: Buffer.alloc(0),
+      queue: Promise.resolve(),
+      remote: `${socket.remoteAddress}:${socket.remotePort}`
+    };
+
+    this.sockets.add(socket);
+    this.stats.connections++;
+    socket.setTimeout(this.options.idleTimeout);
+
+    logger.debug('GT06 device connected', { remote: session.remote });
+
+    socket.on('data', (chunk) => this.handleData(socket, session, chunk));
+
+    socket.on('timeout', () => {
+      logger.debug('GT06 connection idle timeout', { imei: session.imei, remote: session.remote });
+      socket.destroy();
+    });
+
+    socket.on('error', (error) => {
+      logger.warn('GT06 socket error', { imei: session.imei, remote: session.remote, error: error.message });
+    });
+
+    socket.on('close', () => {
+      this.sockets.delete(socket);
+      logger.debug('GT06 device disconnected', { imei: session.imei, remote: session.remote });
+    });
+  }
+
+  /**
+   * Acumula datos del socket y procesa los paquetes completos en orden
+   * @param {net.Socket} socket - Socket del dispositivo
+   * @param {Object} session - Estado de la conexión
+   * @param {Buffer} chunk - Datos recibidos
+   */
+  handleData(socket, session, chunk) {
+    const { frames, remainder } = extractFrames(Buffer.concat([session.buffer, chunk]));
+    session.buffer = remainder;
+
+    if (session.buffer.length > MAX_PENDING_BYTES) {
+      logger.warn('GT06 connection sent too much unparseable data, closing', {
+        imei: session.imei,
+        remote: session.remote,
+        pendingBytes: session.buffer.length
+      });
+      socket.destroy();
+      return;
+    }
+
+    for (const frame of frames) {
+      session.queue = session.queue.then(() => this.handleFrame(socket, session, frame));
+    }
+  }
+
+  /**
+   * Procesa un paquete completo
+   * @param {net.Socket} socket - Socket del dispositivo
+   * @param {Object} session - Estado de la conexión
+   * @param {Buffer} frame - Paquete GT06
+   */
+  async handleFrame(socket, session, frame) {
+    this.stats.packets++;
+
+    let packet;
+    try {
+      packet = decodeFrame(frame);
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn('Invalid GT06 packet', {
+        imei: session.imei,
+        error: error.message,
+        frame: frame.toString('hex')
+      });
+      return;
+    }
+
+    if (packet.type === 'login') {
+      session.imei = packet.imei;
+      logger.info('GT06 device logged in', { imei: session.imei, remote: session.remote });
+    } else if (!session.imei) {
+      logger.warn('GT06 packet received before login, ignoring', {
+        type: packet.type,
+        remote: session.remote
+      });
+      return;
+    }
+
+    if (packet.gps) {
+      await this.processLocation(session, packet);
+    }
+
+    if (packet.ackRequired && !socket.destroyed) {
+      socket.write(buildAck(packet.protocol, packet.serial));
+    }
+  }
+
+  /**
+   * Envía una posición decodificada al pipeline de procesamiento
+   * @param {Object} session - Estado de la conexión
+   * @param {Object} packet - Paquete con datos GPS
+   */
+  async processLocation(session, packet) {
+    if (!packet.gps.positioned) {
+      logger.debug('GT06 location without GPS fix, skipping', { imei: session.imei });
+      return;
+    }
+
+    try {
+      await GpsProcessingService.processPosition(toRawPosition(session.imei, packet));
+      this.stats.positions++;
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn('GT06 position rejected', {
+        imei: session.imei,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Obtiene estadísticas del servidor
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    return {
+      enabled: !!this.options.enabled,
+      listening: !!this.server?.listening,
+      activeConnections: this.sockets.size,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Cierra el servidor y las conexiones abiertas
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    logger.info('Shutting down GT06 TCP server');
+
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+
+    await new Promise((resolve) => this.server.close(() => resolve()));
+    this.server = null;
+
+    logger.info('GT06 TCP server shutdown complete');
+  }
+}
+
+export default new Gt06Server();
@@ -0,0 +1,38 @@
+// Ingestion servers (protocolos de dispositivos fuera de HTTP)
+import Gt06Server from './gt06/Gt06Server.js';
+import TeltonikaServer from './teltonika/TeltonikaServer.js';
+import NmeaServer from './nmea/NmeaServer.js';
+import MqttBridge from './mqtt/MqttBridge.js';
+
+const servers = {
+  gt06: Gt06Server,
+  teltonika: TeltonikaServer,
+  nmea: NmeaServer,
+  mqtt: MqttBridge
+};
+
+/**
+ * Inicia los servidores de ingesta habilitados en la configuración
+ */
+export const startIngestionServers = async () => {
+  for (const server of Object.values(servers)) {
+    await server.start();
+  }
+};
+
+/**
+ * Detiene todos los servidores de ingesta
+ */
+export const stopIngestionServers = async () => {
+  await Promise.all(Object.values(servers).map(server => server.stop()));
+};
+
+/**
+ * Obtiene estadísticas de todos los servidores de ingesta
+ * @returns {Object} Estadísticas por protocolo
+ */
+export const getIngestionStats = () => {
+  return Object.fromEntries(
+    Object.entries(servers).map(([name, server]) => [name, server.getStats()])
+  );
+};
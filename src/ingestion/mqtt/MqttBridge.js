@@ -0,0 +1,248 @@
+import mqtt from 'mqtt';
+import logger from '../../utils/logger.js';
+import config from '../../config/config.js';
+import GpsProcessingService from '../../services/GpsProcessingService.js';
+import { validateGpsData } from '../../validators/gpsValidator.js';
+
+/**
+ * Convierte un filtro de tópico MQTT en una expresión regular
+ * El primer comodín '+' captura el ID del dispositivo
+ * @param {string} filter - Filtro (p. ej. fleet/+/position o $share/grupo/fleet/+/position)
+ * @returns {RegExp} Expresión regular equivalente
+ */
+const topicFilterToRegExp = (filter) => {
+  const pattern = filter
+    .replace(/^\$share\/[^/]+\//, '')
+    .split('/')
+    .map(level => {
+      if (level === '+') return '([^/]+)';
+      if (level === '#') return '(.*)';
+      return level.replace(/[.*?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+
+  return new RegExp(`^${pattern}$`);
+};
+
+/**
+ * Puente de ingesta MQTT
+ * Se suscribe a los tópicos configurados y envía las posiciones a GpsProcessingService.
+ * El ACK de QoS 1/2 se envía solo después de procesar el mensaje.
+ */
+class MqttBridge {
+  constructor() {
+    this.options = config.ingestion?.mqtt || {};
+    this.client = null;
+    this.matchers = [];
+    this.stats = {
+      messages: 0,
+      positions: 0,
+      rejected: 0,
+      errors: 0,
+      reconnects: 0
+    };
+  }
+
+  /**
+   * Conecta al broker y se suscribe a los tópicos
+   * @param {Object} overrides - Opciones que reemplazan la configuración (útil para tests con un broker local)
+   */
+  async start(overrides = {}) {
+    const options = { ...this.options, ...overrides };
+    if (!options.enabled || this.client) {
+      return;
+    }
+
+    this.options = options;
+    this.matchers = options.topics.map(filter => ({ filter, regexp: topicFilterToRegExp(filter) }));
+
+    this.client = mqtt.connect(options.url, {
+      clientId: options.clientId,
+      username: options.username,
+      password: options.password,
+      clean: options.cleanSession,
+      reconnectPeriod: options.reconnectPeriod,
+      connectTimeout: options.connectTimeout
+    });
+
+    // Procesar un mensaje a la vez; el callback dispara el PUBACK/PUBCOMP
+    this.client.handleMessage = (packet, callback) => {
+      this.handleMessage(packet.topic, packet.payload)
+        .then(() => callback())
+        .catch(error => callback(error));
+    };
+
+    this.client.on('connect', (connack) => this.handleConnect(connack));
+
+    this.client.on('reconnect', () => {
+      this.stats.reconnects++;
+      logger.info('MQTT client reconnecting', { url: options.url });
+    });
+
+    this.client.on('offline', () => {
+      logger.warn('MQTT client offline', { url: options.url });
+    });
+
+    this.client.on('error', (error) => {
+      logger.error('MQTT client error', { error: error.message });
+    });
+
+    logger.info('MQTT bridge started', {
+      url: options.url,
+      topics: options.topics,
+      qos: options.qos
+    });
+  }
+
+  /**
+   * Suscribe los tópicos al conectar si el broker no conserva la sesión
+   * @param {Object} connack - Paquete CONNACK
+   */
+  handleConnect(connack) {
+    logger.info('MQTT client connected', {
+      url: this.options.url,
+      sessionPresent: connack.sessionPresent
+    });
+
+    if (connack.sessionPresent) {
+      return;
+    }
+
+    this.client.subscribe(this.options.topics, { qos: this.options.qos }, (error, granted) => {
+      if (error) {
+        logger.error('MQTT subscription failed', { error: error.message, topics: this.options.topics });
+        return;
+      }
+
+      logger.info('MQTT topics subscribed', {
+        subscriptions: granted.map(({ topic, qos }) => ({ topic, qos }))
+      });
+    });
+  }
+
+  /**
+   * Obtiene el ID de dispositivo a partir del tópico
+   * @param {string} topic - Tópico del mensaje
+   * @returns {string|null} ID del dispositivo o null si el filtro no tiene '+'
+   */
+  extractDeviceId(topic) {
+    for (const { regexp } of this.matchers) {
+      const match = regexp.exec(topic);
+      if (match) {
+        return match[1] && !match[1].includes('/') ? match[1] : null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Decodifica y procesa un mensaje
+   * Los mensajes inválidos se confirman y descartan; los errores internos no se confirman
+   * @param {string} topic - Tópico
+   * @param {Buffer} payload - Contenido del mensaje
+   */
+  async handleMessage(topic, payload) {
+    this.stats.messages++;
+
+    let data;
+    try {
+      data = JSON.parse(payload.toString());
+    } catch (error) {
+      this.stats.rejected++;
+      logger.warn('Invalid MQTT JSON payload', { topic, error: error.message });
+      return;
+    }
+
+    const topicDeviceId = this.extractDeviceId(topic);
+    const items = Array.isArray(data) ? data : Array.isArray(data?.positions) ? data.positions : [data];
+    const positions = [];
+
+    for (const item of items) {
+      const payloadDeviceId = item?.id ?? item?.deviceId;
+
+      // El tópico manda: el broker controla quién publica en él
+      if (topicDeviceId && payloadDeviceId !== undefined && String(payloadDeviceId) !== topicDeviceId) {
+        this.stats.rejected++;
+        logger.warn('MQTT payload device id does not match topic', { topic, payloadDeviceId });
+        continue;
+      }
+
+      const position = {
+        ...item,
+        id: topicDeviceId ?? payloadDeviceId,
+        metadata: {
+          ...item?.metadata,
+          protocol: 'mqtt',
+          topic
+        }
+      };
+      delete position.deviceId;
+
+      const validationResult = validateGpsData(position);
+      if (!validationResult.isValid) {
+        this.stats.rejected++;
+        logger.warn('Invalid MQTT GPS data', { topic, errors: validationResult.errors });
+        continue;
+      }
+
+      positions.push(position);
+    }
+
+    if (positions.length === 0) {
+      return;
+    }
+
+    try {
+      if (positions.length === 1) {
+        await GpsProcessingService.processPosition(positions[0]);
+      } else {
+        await GpsProcessingService.processBatch(positions);
+      }
+      this.stats.positions += positions.length;
+    } catch (error) {
+      this.stats.errors++;
+      logger.error('Error processing MQTT positions', {
+        topic,
+        count: positions.length,
+        error: error.message
+      });
+
+      // Errores de datos: se confirma el mensaje para no recibirlo de nuevo
+      if (error.statusCode && error.statusCode < 500) {
+        return;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene estadísticas del puente
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    return {
+      enabled: !!this.options.enabled,
+      connected: !!this.client?.connected,
+      topics: this.options.topics,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Cierra la conexión con el broker
+   */
+  async stop() {
+    if (!this.client) {
+      return;
+    }
+
+    logger.info('Shutting down MQTT bridge');
+
+    await this.client.endAsync();
+    this.client = null;
+
+    logger.info('MQTT bridge shutdown complete');
+  }
+}
+
+export default new MqttBridge();
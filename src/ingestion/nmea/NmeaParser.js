@@ -0,0 +1,261 @@
+/**
+ * Parser de sentencias NMEA 0183 (RMC y GGA)
+ * Valida checksums y combina pares RMC+GGA de la misma hora en un único fix
+ */
+
+const KNOTS_TO_KMH = 1.852;
+
+/**
+ * Verifica el checksum de una sentencia NMEA
+ * @param {string} sentence - Sentencia completa ($...*hh)
+ * @returns {boolean} True si el checksum es correcto
+ */
+export const validateChecksum = (sentence) => {
+  const match = /^\$([^*]+)\*([0-9A-Fa-f]{2})$/.exec(sentence);
+  if (!match) {
+    return false;
+  }
+
+  let checksum = 0;
+  for (const char of match[1]) {
+    checksum ^= char.charCodeAt(0);
+  }
+
+  return checksum === parseInt(match[2], 16);
+};
+
+/**
+ * Convierte una coordenada NMEA (d)ddmm.mmmm + hemisferio a grados decimales
+ * @param {string} value - Valor NMEA
+ * @param {string} hemisphere - N, S, E u W
+ * @returns {number|null} Grados decimales
+ */
+const parseCoordinate = (value, hemisphere) => {
+  if (!value || !hemisphere) {
+    return null;
+  }
+
+  const dot = value.indexOf('.');
+  const degreeDigits = (dot === -1 ? value.length : dot) - 2;
+  const degrees = parseInt(value.slice(0, degreeDigits), 10);
+  const minutes = parseFloat(value.slice(degreeDigits));
+  const decimal = degrees + minutes / 60;
+
+  return hemisphere === 'S' || hemisphere === 'W' ? -decimal : decimal;
+};
+
+/**
+ * Convierte un campo numérico opcional
+ * @param {string} value - Campo NMEA
+ * @returns {number|null} Número o null si está vacío
+ */
+const parseNumber = (value) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+};
+
+/**
+ * Parsea una sentencia NMEA soportada
+ * @param {string} line - Línea recibida
+ * @returns {Object|null} Sentencia parseada, { error } si es inválida o null si no es soportada
+ */
+export const parseSentence = (line) => {
+  const sentence = line.trim();
+  if (!sentence.startsWith('$')) {
+    return null;
+  }
+
+  if (!validateChecksum(sentence)) {
+    return { error: 'Invalid checksum', sentence };
+  }
+
+  const fields = sentence.slice(1, sentence.indexOf('*')).split(',');
+  const talker = fields[0].slice(0, 2);
+  const type = fields[0].slice(2);
+
+  if (type === 'RMC') {
+    return {
+      type,
+      talker,
+      time: fields[1],
+      valid: fields[2] === 'A',
+      lat: parseCoordinate(fields[3], fields[4]),
+      lng: parseCoordinate(fields[5], fields[6]),
+      speedKnots: parseNumber(fields[7]),
+      course: parseNumber(fields[8]),
+      date: fields[9]
+    };
+  }
+
+  if (type === 'GGA') {
+    return {
+      type,
+      talker,
+      time: fields[1],
+      lat: parseCoordinate(fields[2], fields[3]),
+      lng: parseCoordinate(fields[4], fields[5]),
+      fixQuality: parseInt(fields[6], 10) || 0,
+      satellites: parseNumber(fields[7]),
+      hdop: parseNumber(fields[8]),
+      altitude: parseNumber(fields[9])
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Construye el timestamp UTC a partir de fecha ddmmyy y hora hhmmss.ss
+ * @param {string} date - Fecha RMC
+ * @param {string} time - Hora NMEA
+ * @returns {Date|null} Fecha o null si es inválida
+ */
+const buildTimestamp = (date, time) => {
+  if (!/^\d{6}$/.test(date || '') || !/^\d{6}(\.\d+)?$/.test(time || '')) {
+    return null;
+  }
+
+  const seconds = parseFloat(time.slice(4));
+  const year = parseInt(date.slice(4, 6), 10);
+
+  return new Date(Date.UTC(
+    year >= 80 ? 1900 + year : 2000 + year,
+    parseInt(date.slice(2, 4), 10) - 1,
+    parseInt(date.slice(0, 2), 10),
+    parseInt(time.slice(0, 2), 10),
+    parseInt(time.slice(2, 4), 10),
+    Math.floor(seconds),
+    Math.round((seconds % 1) * 1000)
+  ));
+};
+
+/**
+ * Combina sentencias RMC y GGA con la misma hora en fixes completos
+ * Un fix se emite cuando llegan ambas sentencias o cuando cambia la hora (solo RMC)
+ */
+export class NmeaFixAssembler {
+  constructor() {
+    this.pending = null;
+  }
+
+  /**
+   * Agrega una sentencia parseada
+   * @param {Object} sentence - Resultado de parseSentence
+   * @returns {Array} Fixes completados por esta sentencia
+   */
+  push(sentence) {
+    const fixes = [];
+
+    if (this.pending && this.pending.time !== sentence.time) {
+      fixes.push(...this.flush());
+    }
+
+    if (!this.pending) {
+      this.pending = { time: sentence.time, rmc: null, gga: null };
+    }
+
+    this.pending[sentence.type.toLowerCase()] = sentence;
+
+    if (this.pending.rmc && this.pending.gga) {
+      fixes.push(...this.flush());
+    }
+
+    return fixes;
+  }
+
+  /**
+   * Emite el fix pendiente, si tiene un RMC válido
+   * @returns {Array} Cero o un fix
+   */
+  flush() {
+    const pending = this.pending;
+    this.pending = null;
+
+    if (!pending?.rmc || !pending.rmc.valid) {
+      return [];
+    }
+
+    const { rmc, gga } = pending;
+    const timestamp = buildTimestamp(rmc.date, rmc.time);
+    if (!timestamp || rmc.lat === null || rmc.lng === null) {
+      return [];
+    }
+
+    return [{
+      timestamp,
+      lat: rmc.lat,
+      lng: rmc.lng,
+      speed: rmc.speedKnots !== null ? Math.round(rmc.speedKnots * KNOTS_TO_KMH * 100) / 100 : null,
+      heading: rmc.course,
+      altitude: gga?.altitude ?? null,
+      hdop: gga?.hdop ?? null,
+      satellites: gga?.satellites ?? null,
+      fixQuality: gga?.fixQuality ?? null,
+      talker: rmc.talker
+    }];
+  }
+}
+
+/**
+ * Parsea un bloque de texto con sentencias NMEA
+ * @param {string|Array<string>} input - Texto con una sentencia por línea o array de sentencias
+ * @returns {Object} { fixes, stats }
+ */
+export const parseNmea = (input) => {
+  const lines = Array.isArray(input) ? input : String(input).split(/\r?\n/);
+  const assembler = new NmeaFixAssembler();
+  const fixes = [];
+  const stats = { sentences: 0, invalidChecksum: 0, ignored: 0 };
+
+  for (const line of lines) {
+    if (typeof line !== 'string' || !line.trim()) {
+      continue;
+    }
+
+    const sentence = parseSentence(line);
+    if (!sentence) {
+      stats.ignored++;
+      continue;
+    }
+
+    if (sentence.error) {
+      stats.invalidChecksum++;
+      continue;
+    }
+
+    stats.sentences++;
+    fixes.push(...assembler.push(sentence));
+  }
+
+  fixes.push(...assembler.flush());
+
+  return { fixes, stats };
+};
+
+/**
+ * Convierte un fix NMEA en una posición para GpsProcessingService
+ * @param {string} deviceId - ID del dispositivo
+ * @param {Object} fix - Fix combinado
+ * @returns {Object} Posición GPS sin procesar
+ */
+export const toRawPosition = (deviceId, fix) => {
+  return {
+    id: deviceId,
+    lat: fix.lat,
+    lng: fix.lng,
+    timestamp: fix.timestamp,
+    speed: fix.speed,
+    heading: fix.heading,
+    altitude: fix.altitude,
+    metadata: {
+      protocol: 'nmea',
+      talker: fix.talker,
+      hdop: fix.hdop,
+      satellites: fix.satellites,
+      fixQuality: fix.fixQuality
+    }
+  };
+};
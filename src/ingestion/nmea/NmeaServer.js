@@ -0,0 +1,236 @@
+import net from 'net';
+import logger from '../../utils/logger.js';
+import config from '../../config/config.js';
+import GpsProcessingService from '../../services/GpsProcessingService.js';
+import { parseSentence, NmeaFixAssembler, toRawPosition } from './NmeaParser.js';
+
+// Tamaño máximo de una línea sin terminar antes de cerrar la conexión (una sentencia NMEA tiene hasta 82)
+const MAX_PENDING_BYTES = 4096;
+
+/**
+ * Listener TCP de sentencias NMEA por líneas
+ * La primera línea que no empieza por '$' identifica al dispositivo; el resto son sentencias NMEA
+ * y las demás líneas sin '$' se ignoran
+ */
+class NmeaServer {
+  constructor() {
+    this.options = config.ingestion?.nmea || {};
+    this.server = null;
+    this.sockets = new Set();
+    this.stats = {
+      connections: 0,
+      sentences: 0,
+      invalidChecksum: 0,
+      fixes: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Inicia el listener TCP si está habilitado
+   */
+  async start() {
+    if (!this.options.enabled || this.server) {
+      return;
+    }
+
+    this.server = net.createServer((socket) => this.handleConnection(socket));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.server.on('error', (error) => {
+      logger.error('NMEA server error', { error: error.message });
+    });
+
+    logger.info('NMEA TCP server listening', {
+      host: this.options.host,
+      port: this.options.port
+    });
+  }
+
+  /**
+   * Configura una nueva conexión de dispositivo
+   * @param {net.Socket} socket - Socket del dispositivo
+   */
+  handleConnection(socket) {
+    const session = {
+      deviceId: null,
+      assembler: new NmeaFixAssembler(),
+      fixes: [],
+      buffer: '',
+      queue: Promise.resolve(),
+      remote: `${socket.remoteAddress}:${socket.remotePort}`
+    };
+
+    this.sockets.add(socket);
+    this.stats.connections++;
+    socket.setTimeout(this.options.idleTimeout);
+    socket.setEncoding('utf8');
+
+    socket.on('data', (chunk) => this.handleData(socket, session, chunk));
+
+    socket.on('timeout', () => {
+      logger.debug('NMEA connection idle timeout', { deviceId: session.deviceId, remote: session.remote });
+      socket.destroy();
+    });
+
+    socket.on('error', (error) => {
+      logger.warn('NMEA socket error', { deviceId: session.deviceId, remote: session.remote, error: error.message });
+    });
+
+    socket.on('close', () => {
+      this.sockets.delete(socket);
+      // Última línea sin salto de línea
+      if (session.buffer && session.buffer.length <= MAX_PENDING_BYTES) {
+        this.handleLine(socket, session, session.buffer);
+        session.buffer = '';
+      }
+      session.fixes.push(...session.assembler.flush());
+      this.flushFixes(session);
+      logger.debug('NMEA device disconnected', { deviceId: session.deviceId, remote: session.remote });
+    });
+  }
+
+  /**
+   * Separa los datos recibidos en líneas y envía los fixes completados en este bloque
+   * @param {net.Socket} socket - Socket del dispositivo
+   * @param {Object} session - Estado de la conexión
+   * @param {string} chunk - Datos recibidos
+   */
+  handleData(socket, session, chunk) {
+    const lines = (session.buffer + chunk).split('\n');
+    session.buffer = lines.pop();
+
+    if (session.buffer.length > MAX_PENDING_BYTES) {
+      logger.warn('NMEA line too long, closing', {
+        deviceId: session.deviceId,
+        remote: session.remote,
+        pendingBytes: session.buffer.length
+      });
+      socket.destroy();
+      return;
+    }
+
+    for (const line of lines) {
+      this.handleLine(socket, session, line);
+      if (socket.destroyed) {
+        return;
+      }
+    }
+
+    this.flushFixes(session);
+  }
+
+  /**
+   * Procesa una línea recibida
+   * @param {net.Socket} socket - Socket del dispositivo
+   * @param {Object} session - Estado de la conexión
+   * @param {string} line - Línea recibida
+   */
+  handleLine(socket, session, line) {
+    const text = line.trim();
+    if (!text) {
+      return;
+    }
+
+    if (!text.startsWith('$')) {
+      // Solo la primera identifica: otra línea no puede cambiar el dispositivo de la conexión
+      if (session.deviceId) {
+        logger.debug('Ignoring NMEA non-sentence line after identification', { deviceId: session.deviceId });
+        return;
+      }
+
+      session.deviceId = text;
+      logger.info('NMEA device identified', { deviceId: session.deviceId, remote: session.remote });
+      return;
+    }
+
+    if (!session.deviceId) {
+      logger.warn('NMEA sentence received before device identification, closing', { remote: session.remote });
+      socket.destroy();
+      return;
+    }
+
+    const sentence = parseSentence(text);
+    if (!sentence) {
+      return;
+    }
+
+    if (sentence.error) {
+      this.stats.invalidChecksum++;
+      logger.debug('NMEA sentence with invalid checksum', { deviceId: session.deviceId, sentence: text });
+      return;
+    }
+
+    this.stats.sentences++;
+    session.fixes.push(...session.assembler.push(sentence));
+  }
+
+  /**
+   * Envía los fixes pendientes de la sesión a GpsProcessingService
+   * @param {Object} session - Estado de la conexión
+   */
+  flushFixes(session) {
+    if (session.fixes.length === 0) {
+      return;
+    }
+
+    const positions = session.fixes.map(fix => toRawPosition(session.deviceId, fix));
+    session.fixes = [];
+
+    session.queue = session.queue.then(async () => {
+      try {
+        await GpsProcessingService.processBatch(positions);
+        this.stats.fixes += positions.length;
+      } catch (error) {
+        this.stats.errors++;
+        logger.error('Error processing NMEA fixes', {
+          deviceId: session.deviceId,
+          count: positions.length,
+          error: error.message
+        });
+      }
+    });
+  }
+
+  /**
+   * Obtiene estadísticas del servidor
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    return {
+      enabled: !!this.options.enabled,
+      listening: !!this.server?.listening,
+      activeConnections: this.sockets.size,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Cierra el listener y las conexiones abiertas
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    logger.info('Shutting down NMEA TCP server');
+
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+
+    await new Promise((resolve) => this.server.close(() => resolve()));
+    this.server = null;
+
+    logger.info('NMEA TCP server shutdown complete');
+  }
+}
+
+export default new NmeaServer();
@@ -0,0 +1,87 @@
+/**
+ * Parser del protocolo OsmAnd / Traccar Client (parámetros en query string o formulario)
+ * Ejemplo: GET /?id=123&lat=-12.04&lon=-77.03&timestamp=1700000000&speed=12.5
+ */
+
+const KNOTS_TO_KMH = 1.852;
+
+// Parámetros que se mapean a campos propios de la posición
+const RESERVED_PARAMS = new Set([
+  'id', 'deviceid', 'lat', 'lon', 'lng', 'location', 'timestamp',
+  'speed', 'bearing', 'heading', 'altitude', 'accuracy', 'speedUnit'
+]);
+
+/**
+ * Convierte el parámetro timestamp (segundos, milisegundos o ISO 8601)
+ * @param {string|number} value - Valor recibido
+ * @returns {Date|null} Fecha o null si no se envió
+ */
+export const parseTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (/^\d+(\.\d+)?$/.test(String(value))) {
+    const number = parseFloat(value);
+    // Los valores por encima de 1e12 ya vienen en milisegundos
+    return new Date(number > 1e12 ? number : number * 1000);
+  }
+
+  return new Date(value);
+};
+
+/**
+ * Convierte la velocidad recibida a km/h
+ * @param {string|number} value - Velocidad
+ * @param {string} unit - 'knots' o 'kmh'
+ * @returns {number|null} Velocidad en km/h
+ */
+export const convertSpeed = (value, unit) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const speed = parseFloat(value);
+  if (isNaN(speed)) {
+    return null;
+  }
+
+  return unit === 'knots' ? Math.round(speed * KNOTS_TO_KMH * 100) / 100 : speed;
+};
+
+/**
+ * Convierte los parámetros OsmAnd en una posición para GpsProcessingService
+ * @param {Object} params - Parámetros de query string y/o cuerpo
+ * @param {Object} options - Opciones
+ * @param {string} options.speedUnit - Unidad de velocidad por defecto ('knots' o 'kmh')
+ * @returns {Object} Posición GPS sin procesar
+ */
+export const parseOsmAndParams = (params, { speedUnit = 'knots' } = {}) => {
+  let lat = params.lat;
+  let lng = params.lon ?? params.lng;
+
+  // Algunos clientes envían location=lat,lon
+  if ((lat === undefined || lng === undefined) && typeof params.location === 'string') {
+    [lat, lng] = params.location.split(',');
+  }
+
+  const unit = params.speedUnit === 'kmh' || params.speedUnit === 'knots' ? params.speedUnit : speedUnit;
+  const extras = Object.fromEntries(
+    Object.entries(params).filter(([key]) => !RESERVED_PARAMS.has(key))
+  );
+
+  return {
+    id: params.id ?? params.deviceid,
+    lat: lat !== undefined ? parseFloat(lat) : undefined,
+    lng: lng !== undefined ? parseFloat(lng) : undefined,
+    timestamp: parseTimestamp(params.timestamp),
+    speed: convertSpeed(params.speed, unit),
+    heading: params.bearing ?? params.heading,
+    altitude: params.altitude,
+    accuracy: params.accuracy,
+    metadata: {
+      protocol: 'osmand',
+      ...extras
+    }
+  };
+};
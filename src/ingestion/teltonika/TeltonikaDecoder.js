@@ -0,0 +1,316 @@
+/**
+ * Decodificador de Teltonika Codec 8 / Codec 8 Extended
+ * Funciones puras para el handshake de IMEI, paquetes AVL por TCP/UDP y sus ACK
+ */
+
+export const CODEC_8 = 0x08;
+export const CODEC_8E = 0x8e;
+
+// Elementos IO conocidos de los equipos FMB que se exponen con nombre en metadata
+const KNOWN_IO = {
+  16: { name: 'odometer' },
+  21: { name: 'gsmSignal' },
+  66: { name: 'externalVoltage', scale: 0.001 },
+  67: { name: 'batteryVoltage', scale: 0.001 },
+  68: { name: 'batteryCurrent', scale: 0.001 },
+  69: { name: 'gnssStatus' },
+  181: { name: 'pdop', scale: 0.1 },
+  182: { name: 'hdop', scale: 0.1 },
+  199: { name: 'tripOdometer' },
+  239: { name: 'ignition', boolean: true },
+  240: { name: 'movement', boolean: true }
+};
+
+/**
+ * Calcula el CRC-16/IBM usado en los paquetes TCP de Teltonika
+ * @param {Buffer} buffer - Datos desde el codec hasta el segundo contador de registros
+ * @returns {number} CRC de 16 bits
+ */
+export const crc16Ibm = (buffer) => {
+  let crc = 0;
+
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0xa001 : crc >>> 1;
+    }
+  }
+
+  return crc;
+};
+
+/**
+ * Intenta leer el paquete de identificación (IMEI) del inicio de la conexión TCP
+ * @param {Buffer} buffer - Datos acumulados
+ * @returns {Object|null} { imei, size } o null si aún no está completo
+ */
+export const parseImeiPacket = (buffer) => {
+  if (buffer.length < 2) {
+    return null;
+  }
+
+  const length = buffer.readUInt16BE(0);
+  if (buffer.length < 2 + length) {
+    return null;
+  }
+
+  return {
+    imei: buffer.subarray(2, 2 + length).toString('ascii'),
+    size: 2 + length
+  };
+};
+
+/**
+ * Extrae los paquetes AVL completos de un stream TCP
+ * @param {Buffer} buffer - Datos acumulados del socket
+ * @returns {Object} { frames: Buffer[], remainder: Buffer }
+ */
+export const extractTcpFrames = (buffer) => {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 12) {
+    if (buffer.readUInt32BE(offset) !== 0) {
+      throw new Error('Invalid Teltonika preamble');
+    }
+
+    const dataLength = buffer.readUInt32BE(offset + 4);
+    const total = 8 + dataLength + 4;
+    if (buffer.length - offset < total) {
+      break;
+    }
+
+    frames.push(buffer.subarray(offset, offset + total));
+    offset += total;
+  }
+
+  return { frames, remainder: buffer.subarray(offset) };
+};
+
+/**
+ * Lee un valor IO sin signo de 1, 2, 4 u 8 bytes
+ * @param {Buffer} data - Buffer
+ * @param {number} offset - Posición
+ * @param {number} size - Tamaño en bytes
+ * @returns {number|string} Valor (string si supera el rango seguro de Number)
+ */
+const readIoValue = (data, offset, size) => {
+  if (size === 8) {
+    const value = data.readBigUInt64BE(offset);
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+  }
+  return data.readUIntBE(offset, size);
+};
+
+/**
+ * Decodifica el bloque de elementos IO de un registro
+ * @param {Buffer} data - Datos AVL
+ * @param {number} offset - Posición inicial del bloque IO
+ * @param {boolean} extended - True para Codec 8E (ids y contadores de 2 bytes)
+ * @returns {Object} { eventIoId, io, offset }
+ */
+const decodeIoElements = (data, offset, extended) => {
+  const idSize = extended ? 2 : 1;
+  const readCount = (at) => extended ? data.readUInt16BE(at) : data[at];
+  const io = {};
+
+  const eventIoId = readCount(offset);
+  offset += idSize * 2; // Event IO ID + total de elementos
+
+  for (const valueSize of [1, 2, 4, 8]) {
+    const count = readCount(offset);
+    offset += idSize;
+
+    for (let i = 0; i < count; i++) {
+      const id = readCount(offset);
+      io[id] = readIoValue(data, offset + idSize, valueSize);
+      offset += idSize + valueSize;
+    }
+  }
+
+  if (extended) {
+    // Elementos de longitud variable (NX), solo en Codec 8E
+    const count = data.readUInt16BE(offset);
+    offset += 2;
+
+    for (let i = 0; i < count; i++) {
+      const id = data.readUInt16BE(offset);
+      const length = data.readUInt16BE(offset + 2);
+      io[id] = data.subarray(offset + 4, offset + 4 + length).toString('hex');
+      offset += 4 + length;
+    }
+  }
+
+  return { eventIoId, io, offset };
+};
+
+/**
+ * Decodifica el campo de datos AVL (codec, registros y contadores)
+ * @param {Buffer} data - Datos desde el byte de codec hasta el segundo contador
+ * @returns {Object} { codec, records }
+ * @throws {Error} Si el codec no es soportado o los contadores no coinciden
+ */
+export const decodeAvlData = (data) => {
+  const codec = data[0];
+  if (codec !== CODEC_8 && codec !== CODEC_8E) {
+    throw new Error(`Unsupported Teltonika codec: 0x${codec.toString(16)}`);
+  }
+
+  const extended = codec === CODEC_8E;
+  const count = data[1];
+  const records = [];
+  let offset = 2;
+
+  for (let i = 0; i < count; i++) {
+    const record = {
+      timestamp: new Date(Number(data.readBigUInt64BE(offset))),
+      priority: data[offset + 8],
+      lng: data.readInt32BE(offset + 9) / 1e7,
+      lat: data.readInt32BE(offset + 13) / 1e7,
+      altitude: data.readInt16BE(offset + 17),
+      angle: data.readUInt16BE(offset + 19),
+      satellites: data[offset + 21],
+      speed: data.readUInt16BE(offset + 22)
+    };
+
+    const ioBlock = decodeIoElements(data, offset + 24, extended);
+    record.eventIoId = ioBlock.eventIoId;
+    record.io = ioBlock.io;
+    offset = ioBlock.offset;
+
+    records.push(record);
+  }
+
+  if (data[offset] !== count) {
+    throw new Error(`Teltonika record count mismatch: ${count} != ${data[offset]}`);
+  }
+
+  return { codec, records };
+};
+
+/**
+ * Decodifica un paquete AVL recibido por TCP y valida su CRC
+ * @param {Buffer} frame - Paquete completo (preámbulo, longitud, datos y CRC)
+ * @returns {Object} { codec, records }
+ */
+export const decodeTcpFrame = (frame) => {
+  const dataLength = frame.readUInt32BE(4);
+  const data = frame.subarray(8, 8 + dataLength);
+  const expectedCrc = frame.readUInt32BE(8 + dataLength);
+  const actualCrc = crc16Ibm(data);
+
+  if (expectedCrc !== actualCrc) {
+    throw new Error(`Invalid Teltonika CRC: expected ${expectedCrc.toString(16)}, got ${actualCrc.toString(16)}`);
+  }
+
+  return decodeAvlData(data);
+};
+
+/**
+ * Decodifica un datagrama UDP de Teltonika
+ * @param {Buffer} message - Datagrama completo
+ * @returns {Object} { packetId, avlPacketId, imei, codec, records }
+ */
+export const decodeUdpPacket = (message) => {
+  const packetId = message.readUInt16BE(2);
+  const avlPacketId = message[5];
+  const imeiLength = message.readUInt16BE(6);
+  const imei = message.subarray(8, 8 + imeiLength).toString('ascii');
+
+  return {
+    packetId,
+    avlPacketId,
+    imei,
+    ...decodeAvlData(message.subarray(8 + imeiLength))
+  };
+};
+
+/**
+ * Construye el ACK del handshake de IMEI
+ * @param {boolean} accepted - True si el dispositivo es aceptado
+ * @returns {Buffer} Respuesta de 1 byte
+ */
+export const buildImeiAck = (accepted) => Buffer.from([accepted ? 0x01 : 0x00]);
+
+/**
+ * Construye el ACK TCP con el número de registros aceptados
+ * @param {number} count - Registros aceptados
+ * @returns {Buffer} Respuesta de 4 bytes
+ */
+export const buildTcpAck = (count) => {
+  const ack = Buffer.alloc(4);
+  ack.writeUInt32BE(count);
+  return ack;
+};
+
+/**
+ * Construye el ACK UDP con el número de registros aceptados
+ * @param {number} packetId - ID del paquete UDP
+ * @param {number} avlPacketId - ID del paquete AVL
+ * @param {number} count - Registros aceptados
+ * @returns {Buffer} Respuesta UDP
+ */
+export const buildUdpAck = (packetId, avlPacketId, count) => {
+  const ack = Buffer.alloc(7);
+  ack.writeUInt16BE(5, 0);
+  ack.writeUInt16BE(packetId, 2);
+  ack[4] = 0x01;
+  ack[5] = avlPacketId;
+  ack[6] = count;
+  return ack;
+};
+
+/**
+ * Traduce los elementos IO a campos con nombre para metadata
+ * @param {Object} io - Elementos IO por id
+ * @returns {Object} Campos conocidos
+ */
+const mapIoElements = (io) => {
+  const mapped = {};
+
+  for (const [id, value] of Object.entries(io)) {
+    const known = KNOWN_IO[id];
+    if (!known || typeof value !== 'number') {
+      continue;
+    }
+
+    if (known.boolean) {
+      mapped[known.name] = value === 1;
+    } else if (known.scale) {
+      mapped[known.name] = Math.round(value * known.scale * 1000) / 1000;
+    } else {
+      mapped[known.name] = value;
+    }
+  }
+
+  return mapped;
+};
+
+/**
+ * Convierte un registro AVL a la forma normalizada de GpsDataProcessor.normalizePosition
+ * @param {string} imei - IMEI del dispositivo
+ * @param {Object} record - Registro AVL decodificado
+ * @param {number} codec - Codec del paquete
+ * @returns {Object} Posición normalizada
+ */
+export const toPosition = (imei, record, codec) => {
+  return {
+    deviceId: imei,
+    lat: record.lat,
+    lng: record.lng,
+    timestamp: record.timestamp,
+    metadata: {
+      speed: record.speed,
+      heading: record.angle,
+      altitude: record.altitude,
+      accuracy: null,
+      protocol: 'teltonika',
+      codec: codec === CODEC_8E ? '8E' : '8',
+      priority: record.priority,
+      satellites: record.satellites,
+      eventIoId: record.eventIoId,
+      ...mapIoElements(record.io),
+      io: record.io
+    }
+  };
+};
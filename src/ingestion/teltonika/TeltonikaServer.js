@@ -0,0 +1,305 @@
+import net from 'net';
+import dgram from 'dgram';
+import logger from '../../utils/logger.js';
+import config from '../../config/config.js';
+import GpsProcessingService from '../../services/GpsProcessingService.js';
+import {
+  parseImeiPacket,
+  extractTcpFrames,
+  decodeTcpFrame,
+  decodeUdpPacket,
+  buildImeiAck,
+  buildTcpAck,
+  buildUdpAck,
+  toPosition
+} from './TeltonikaDecoder.js';
+
+const IMEI_PATTERN = /^\d{15}$/;
+
+// Un paquete AVL TCP nunca supera 1280 bytes en equipos FMB; margen para Codec 8E
+const MAX_PENDING_BYTES = 16384;
+
+/**
+ * Servidor TCP/UDP para equipos Teltonika (Codec 8 / 8E)
+ * Realiza el handshake de IMEI, decodifica registros AVL y responde con el número de registros aceptados
+ */
+class TeltonikaServer {
+  constructor() {
+    this.options = config.ingestion?.teltonika || {};
+    this.tcpServer = null;
+    this.udpSocket = null;
+    this.sockets = new Set();
+    this.stats = {
+      connections: 0,
+      packets: 0,
+      records: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Inicia los listeners TCP y UDP habilitados
+   */
+  async start() {
+    if (!this.options.enabled || this.tcpServer) {
+      return;
+    }
+
+    this.tcpServer = net.createServer((socket) => this.handleConnection(socket));
+
+    await new Promise((resolve, reject) => {
+      this.tcpServer.once('error', reject);
+      this.tcpServer.listen(this.options.port, this.options.host, () => {
+        this.tcpServer.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.tcpServer.on('error', (error) => {
+      logger.error('Teltonika TCP server error', { error: error.message });
+    });
+
+    if (this.options.udpEnabled) {
+      this.udpSocket = dgram.createSocket('udp4');
+      this.udpSocket.on('message', (message, remote) => this.handleDatagram(message, remote));
+      this.udpSocket.on('error', (error) => {
+        logger.error('Teltonika UDP socket error', { error: error.message });
+      });
+
+      await new Promise((resolve) => this.udpSocket.bind(this.options.port, this.options.host, resolve));
+    }
+
+    logger.info('Teltonika server listening', {
+      host: this.options.host,
+      port: this.options.port,
+      udp: !!this.options.udpEnabled
+    });
+  }
+
+  /**
+   * Configura una nueva conexión TCP
+   * @param {net.Socket} socket - Socket del dispositivo
+   */
+  handleConnection(socket) {
+    const session = {
+      imei: null,
+      buffer: Buffer.alloc(0),
+      queue: Promise.resolve(),
+      remote: `${socket.remoteAddress}:${socket.remotePort}`
+    };
+
+    this.sockets.add(socket);
+    this.stats.connections++;
+    socket.setTimeout(this.options.idleTimeout);
+
+    socket.on('data', (chunk) => this.handleData(socket, session, chunk));
+
+    socket.on('timeout', () => {
+      logger.debug('Teltonika connection idle timeout', { imei: session.imei, remote: session.remote });
+      socket.destroy();
+    });
+
+    socket.on('error', (error) => {
+      logger.warn('Teltonika socket error', { imei: session.imei, remote: session.remote, error: error.message });
+    });
+
+    socket.on('close', () => {
+      this.sockets.delete(socket);
+      logger.debug('Teltonika device disconnected', { imei: session.imei, remote: session.remote });
+    });
+  }
+
+  /**
+   * Procesa los datos TCP: primero el handshake de IMEI y luego los paquetes AVL
+   * @param {net.Socket} socket - Socket del dispositivo
+   * @param {Object} session - Estado de la conexión
+   * @param {Buffer} chunk - Datos recibidos
+   */
+  handleData(socket, session, chunk) {
+    session.buffer = Buffer.concat([session.buffer, chunk]);
+
+    if (!session.imei) {
+      const handshake = parseImeiPacket(session.buffer);
+      if (!handshake) {
+        return;
+      }
+
+      const accepted = IMEI_PATTERN.test(handshake.imei);
+      socket.write(buildImeiAck(accepted));
+
+      if (!accepted) {
+        logger.warn('Teltonika handshake rejected', { imei: handshake.imei, remote: session.remote });
+        socket.end();
+        return;
+      }
+
+      session.imei = handshake.imei;
+      session.buffer = session.buffer.subarray(handshake.size);
+      logger.info('Teltonika device connected', { imei: session.imei, remote: session.remote });
+    }
+
+    let frames;
+    try {
+      const extracted = extractTcpFrames(session.buffer);
+      frames = extracted.frames;
+      session.buffer = extracted.remainder;
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn('Invalid Teltonika stream, closing', { imei: session.imei, error: error.message });
+      socket.destroy();
+      return;
+    }
+
+    if (session.buffer.length > MAX_PENDING_BYTES) {
+      logger.warn('Teltonika packet too large, closing', { imei: session.imei, pendingBytes: session.buffer.length });
+      socket.destroy();
+      return;
+    }
+
+    for (const frame of frames) {
+      session.queue = session.queue.then(() => this.handleFrame(socket, session, frame));
+    }
+  }
+
+  /**
+   * Decodifica y procesa un paquete AVL TCP
+   * @param {net.Socket} socket - Socket del dispositivo
+   * @param {Object} session - Estado de la conexión
+   * @param {Buffer} frame - Paquete AVL completo
+   */
+  async handleFrame(socket, session, frame) {
+    this.stats.packets++;
+
+    let packet;
+    try {
+      packet = decodeTcpFrame(frame);
+    } catch (error) {
+      this.stats.errors++;
+      // Sin ACK: el equipo reenviará el paquete
+      logger.warn('Invalid Teltonika AVL packet', { imei: session.imei, error: error.message });
+      return;
+    }
+
+    const accepted = await this.processRecords(session.imei, packet);
+    if (!socket.destroyed) {
+      socket.write(buildTcpAck(accepted));
+    }
+  }
+
+  /**
+   * Decodifica y procesa un datagrama UDP
+   * @param {Buffer} message - Datagrama recibido
+   * @param {Object} remote - Dirección remota
+   */
+  async handleDatagram(message, remote) {
+    this.stats.packets++;
+
+    let packet;
+    try {
+      packet = decodeUdpPacket(message);
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn('Invalid Teltonika UDP packet', { remote: remote.address, error: error.message });
+      return;
+    }
+
+    // Mismo criterio que el handshake TCP: sin ACK para un IMEI no válido
+    if (!IMEI_PATTERN.test(packet.imei)) {
+      this.stats.errors++;
+      logger.warn('Teltonika UDP packet rejected', { imei: packet.imei, remote: remote.address });
+      return;
+    }
+
+    const accepted = await this.processRecords(packet.imei, packet);
+    if (this.udpSocket) {
+      this.udpSocket.send(buildUdpAck(packet.packetId, packet.avlPacketId, accepted), remote.port, remote.address);
+    }
+  }
+
+  /**
+   * Envía los registros AVL a GpsProcessingService
+   * @param {string} imei - IMEI del dispositivo
+   * @param {Object} packet - Paquete decodificado
+   * @returns {Promise<number>} Registros a confirmar; 0 hace que el equipo reenvíe el paquete completo
+   */
+  async processRecords(imei, packet) {
+    // Los registros sin fix GPS llegan con coordenadas 0,0: se confirman pero no se almacenan
+    const positions = packet.records
+      .filter(record => record.satellites > 0 || record.lat !== 0 || record.lng !== 0)
+      .map(record => toPosition(imei, record, packet.codec));
+
+    try {
+      const result = positions.length > 0
+        ? await GpsProcessingService.processBatch(positions)
+        : { errors: 0, retryableErrors: 0 };
+
+      // Un fallo transitorio (p. ej. Redis) no se confirma: el equipo reenvía y los ya guardados se descartan
+      // como duplicados. Los registros inválidos sí se confirman porque reenviarlos daría el mismo error
+      if (result.retryableErrors > 0) {
+        this.stats.errors++;
+        logger.warn('Teltonika records not acknowledged, device will resend', {
+          imei,
+          count: packet.records.length,
+          retryableErrors: result.retryableErrors
+        });
+        return 0;
+      }
+
+      if (result.errors > 0) {
+        logger.warn('Invalid Teltonika records acknowledged and discarded', { imei, invalid: result.errors });
+      }
+
+      this.stats.records += packet.records.length;
+      return packet.records.length;
+    } catch (error) {
+      this.stats.errors++;
+      logger.error('Error processing Teltonika records', {
+        imei,
+        count: packet.records.length,
+        error: error.message
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Obtiene estadísticas del servidor
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    return {
+      enabled: !!this.options.enabled,
+      listening: !!this.tcpServer?.listening,
+      udp: !!this.udpSocket,
+      activeConnections: this.sockets.size,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Cierra los listeners y las conexiones abiertas
+   */
+  async stop() {
+    if (!this.tcpServer) {
+      return;
+    }
+
+    logger.info('Shutting down Teltonika server');
+
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+
+    await new Promise((resolve) => this.tcpServer.close(() => resolve()));
+    this.tcpServer = null;
+
+    if (this.udpSocket) {
+      await new Promise((resolve) => this.udpSocket.close(resolve));
+      this.udpSocket = null;
+    }
+
+    logger.info('Teltonika server shutdown complete');
+  }
+}
+
+export default new TeltonikaServer();
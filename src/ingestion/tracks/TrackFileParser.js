@@ -0,0 +1,358 @@
+import { XMLParser } from 'fast-xml-parser';
+
+export const TRACK_FORMATS = ['gpx', 'kml', 'geojson'];
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true, // gx:Track -> Track, gx:coord -> coord
+  parseTagValue: false,
+  trimValues: true
+});
+
+/**
+ * Convierte un valor en array
+ * @param {*} value - Valor o array
+ * @returns {Array} Array (vacío si el valor no existe)
+ */
+const toArray = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Obtiene el texto de un nodo XML (con o sin atributos)
+ * @param {*} node - Nodo parseado
+ * @returns {string|undefined} Texto del nodo
+ */
+const textOf = (node) => {
+  if (node === undefined || node === null) return undefined;
+  if (typeof node === 'object') return node['#text'];
+  return String(node);
+};
+
+/**
+ * Busca recursivamente todos los nodos con un nombre dado
+ * Los Placemark de KML pueden estar anidados en Document/Folder a cualquier profundidad
+ * @param {*} node - Nodo raíz
+ * @param {string} name - Nombre del elemento (sin prefijo de namespace)
+ * @returns {Array} Nodos encontrados
+ */
+const findAll = (node, name, found = []) => {
+  if (!node || typeof node !== 'object') {
+    return found;
+  }
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key.startsWith('@_')) continue;
+
+    for (const child of toArray(value)) {
+      if (key === name) {
+        found.push(child);
+      } else {
+        findAll(child, name, found);
+      }
+    }
+  }
+
+  return found;
+};
+
+/**
+ * Convierte un valor de tiempo a ISO 8601
+ * @param {*} value - Fecha ISO, Date o epoch (s/ms)
+ * @returns {string|null} Timestamp ISO o null si no es válido
+ */
+const toIsoTime = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  let date;
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value))) {
+    const numeric = Number(value);
+    date = new Date(numeric > 1e12 ? numeric : numeric * 1000);
+  } else {
+    date = new Date(value);
+  }
+
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Convierte un número opcional
+ * @param {*} value - Valor
+ * @returns {number|undefined} Número o undefined
+ */
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : undefined;
+};
+
+/**
+ * Crea un punto de track en el formato intermedio
+ * @returns {Object} { lat, lng, timestamp, altitude, speed, heading }
+ */
+const makePoint = (lat, lng, timestamp, extra = {}) => ({
+  lat: toNumber(lat),
+  lng: toNumber(lng),
+  timestamp: toIsoTime(timestamp),
+  altitude: toNumber(extra.altitude),
+  speed: toNumber(extra.speed),
+  heading: toNumber(extra.heading)
+});
+
+/**
+ * Interpola timestamps de forma lineal entre el inicio y el fin de un tramo
+ * @param {number} count - Número de puntos
+ * @param {string} begin - Inicio
+ * @param {string} end - Fin
+ * @returns {Array<string|null>} Timestamps por punto
+ */
+const interpolateTimes = (count, begin, end) => {
+  const start = toIsoTime(begin);
+  const finish = toIsoTime(end);
+  if (!start || !finish || count === 0) {
+    return new Array(count).fill(null);
+  }
+
+  const startMs = Date.parse(start);
+  const step = count > 1 ? (Date.parse(finish) - startMs) / (count - 1) : 0;
+  return Array.from({ length: count }, (_, i) => new Date(Math.round(startMs + step * i)).toISOString());
+};
+
+/**
+ * Parsea un archivo GPX (trk/trkseg/trkpt)
+ * @param {string} content - XML del archivo
+ * @returns {Array} Puntos del track
+ */
+export const parseGpx = (content) => {
+  const document = xmlParser.parse(content);
+  if (!document.gpx) {
+    throw new Error('Invalid GPX file: missing <gpx> root element');
+  }
+
+  const points = [];
+  for (const track of toArray(document.gpx.trk)) {
+    for (const segment of toArray(track.trkseg)) {
+      for (const trkpt of toArray(segment.trkpt)) {
+        // GPX 1.0 define <speed> (m/s) y <course>; se reporta la velocidad en km/h
+        const speed = toNumber(textOf(trkpt.speed));
+        points.push(makePoint(trkpt['@_lat'], trkpt['@_lon'], textOf(trkpt.time), {
+          altitude: textOf(trkpt.ele),
+          speed: speed !== undefined ? speed * 3.6 : undefined,
+          heading: textOf(trkpt.course)
+        }));
+      }
+    }
+  }
+
+  return points;
+};
+
+/**
+ * Parsea una lista de coordenadas KML ("lon,lat[,alt] lon,lat[,alt] ...")
+ * @param {string} text - Contenido de <coordinates>
+ * @returns {Array<Array<string>>} Tuplas [lon, lat, alt]
+ */
+const parseKmlCoordinates = (text) => (text || '')
+  .trim()
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(tuple => tuple.split(','));
+
+/**
+ * Parsea un archivo KML (LineString y gx:Track)
+ * Los LineString no tienen tiempo por punto: se interpola a partir del TimeSpan del Placemark
+ * @param {string} content - XML del archivo
+ * @returns {Array} Puntos del track
+ */
+export const parseKml = (content) => {
+  const document = xmlParser.parse(content);
+  if (!document.kml) {
+    throw new Error('Invalid KML file: missing <kml> root element');
+  }
+
+  const points = [];
+  for (const placemark of findAll(document.kml, 'Placemark')) {
+    // gx:Track (también dentro de gx:MultiTrack): <when> y <gx:coord> emparejados por índice
+    for (const track of findAll(placemark, 'Track')) {
+      const whens = toArray(track.when).map(textOf);
+      const coords = toArray(track.coord).map(textOf);
+
+      coords.forEach((coord, index) => {
+        const [lng, lat, altitude] = String(coord).trim().split(/\s+/);
+        points.push(makePoint(lat, lng, whens[index], { altitude }));
+      });
+    }
+
+    const timeSpan = placemark.TimeSpan;
+    for (const lineString of findAll(placemark, 'LineString')) {
+      const tuples = parseKmlCoordinates(textOf(lineString.coordinates));
+      const times = interpolateTimes(tuples.length, textOf(timeSpan?.begin), textOf(timeSpan?.end));
+
+      tuples.forEach(([lng, lat, altitude], index) => {
+        points.push(makePoint(lat, lng, times[index], { altitude }));
+      });
+    }
+  }
+
+  return points;
+};
+
+/**
+ * Obtiene los tiempos por coordenada de las propiedades de un Feature
+ * Soporta las convenciones coordTimes (togeojson) y times
+ * @param {Object} properties - Propiedades del Feature
+ * @returns {Array|undefined} Tiempos
+ */
+const featureTimes = (properties = {}) =>
+  properties.coordTimes ?? properties.coordinateProperties?.times ?? properties.times;
+
+/**
+ * Convierte una geometría GeoJSON en puntos
+ * @param {Object} geometry - Geometría
+ * @param {Object} properties - Propiedades del Feature
+ * @returns {Array} Puntos
+ */
+const geometryToPoints = (geometry, properties = {}) => {
+  if (!geometry) return [];
+
+  // Coordenadas [lon, lat, alt?, tiempo?]
+  const toPoint = ([lng, lat, altitude, time], fallbackTime) =>
+    makePoint(lat, lng, time ?? fallbackTime, { altitude });
+
+  switch (geometry.type) {
+    case 'Point':
+      return [makePoint(geometry.coordinates?.[1], geometry.coordinates?.[0],
+        geometry.coordinates?.[3] ?? properties.time ?? properties.timestamp, {
+          altitude: geometry.coordinates?.[2],
+          speed: properties.speed,
+          heading: properties.heading ?? properties.course
+        })];
+
+    case 'LineString': {
+      const times = toArray(featureTimes(properties));
+      return toArray(geometry.coordinates).map((coord, index) => toPoint(coord, times[index]));
+    }
+
+    case 'MultiLineString': {
+      const times = toArray(featureTimes(properties));
+      return toArray(geometry.coordinates).flatMap((line, lineIndex) => {
+        const lineTimes = toArray(times[lineIndex]);
+        return toArray(line).map((coord, index) => toPoint(coord, lineTimes[index]));
+      });
+    }
+
+    case 'GeometryCollection':
+      return toArray(geometry.geometries).flatMap(child => geometryToPoints(child, properties));
+
+    default:
+      return [];
+  }
+};
+
+/**
+ * Parsea un documento GeoJSON (FeatureCollection, Feature o geometría)
+ * @param {string|Object} content - JSON del archivo o documento ya parseado
+ * @returns {Array} Puntos del track
+ */
+export const parseGeoJson = (content) => {
+  let document = content;
+  if (typeof content === 'string') {
+    try {
+      document = JSON.parse(content);
+    } catch (error) {
+      throw new Error('Invalid GeoJSON file: malformed JSON');
+    }
+  }
+
+  if (!document || typeof document !== 'object' || !document.type) {
+    throw new Error('Invalid GeoJSON file: missing type');
+  }
+
+  if (document.type === 'FeatureCollection') {
+    return toArray(document.features).flatMap(feature => geometryToPoints(feature?.geometry, feature?.properties ?? {}));
+  }
+
+  if (document.type === 'Feature') {
+    return geometryToPoints(document.geometry, document.properties ?? {});
+  }
+
+  return geometryToPoints(document);
+};
+
+/**
+ * Detecta el formato de un archivo de track
+ * @param {string|Object} content - Contenido del archivo
+ * @param {string} hint - Formato explícito, extensión o Content-Type
+ * @returns {string|null} gpx, kml, geojson o null
+ */
+export const detectTrackFormat = (content, hint = '') => {
+  const normalizedHint = String(hint).toLowerCase();
+
+  if (normalizedHint.includes('gpx')) return 'gpx';
+  if (normalizedHint.includes('kml')) return 'kml';
+  if (normalizedHint.includes('geo+json') || normalizedHint.includes('geojson')) return 'geojson';
+
+  if (typeof content === 'object' && content !== null) return 'geojson';
+
+  const head = String(content).slice(0, 1024).trimStart();
+  if (head.startsWith('{')) return 'geojson';
+  if (/<gpx[\s>]/.test(head)) return 'gpx';
+  if (/<kml[\s>]/.test(head)) return 'kml';
+
+  return null;
+};
+
+/**
+ * Parsea un archivo de track y lo convierte en posiciones para un dispositivo
+ * @param {string|Object} content - Contenido del archivo
+ * @param {Object} options - Opciones
+ * @param {string} options.deviceId - ID del dispositivo al que pertenece el track
+ * @param {string} options.format - gpx, kml o geojson (se detecta si no se indica)
+ * @returns {Object} { format, positions, skipped }
+ */
+export const parseTrackFile = (content, { deviceId, format } = {}) => {
+  const detectedFormat = detectTrackFormat(content, format);
+  if (!detectedFormat) {
+    throw new Error(`Unsupported track file format, expected one of: ${TRACK_FORMATS.join(', ')}`);
+  }
+
+  const parsers = { gpx: parseGpx, kml: parseKml, geojson: parseGeoJson };
+  const points = parsers[detectedFormat](content);
+
+  const positions = [];
+  const skipped = [];
+
+  points.forEach((point, index) => {
+    if (point.lat === undefined || point.lng === undefined) {
+      skipped.push({ point: index, reason: 'Missing coordinates' });
+      return;
+    }
+
+    // Sin tiempo la posición quedaría con la hora de recepción y contaminaría el histórico
+    if (!point.timestamp) {
+      skipped.push({ point: index, reason: 'Missing timestamp' });
+      return;
+    }
+
+    const position = {
+      id: deviceId,
+      lat: point.lat,
+      lng: point.lng,
+      timestamp: point.timestamp,
+      metadata: {
+        protocol: 'import',
+        format: detectedFormat
+      }
+    };
+
+    if (point.altitude !== undefined) position.altitude = point.altitude;
+    if (point.speed !== undefined) position.speed = point.speed;
+    if (point.heading !== undefined) position.heading = point.heading;
+
+    positions.push(position);
+  });
+
+  return { format: detectedFormat, positions, skipped };
+};
@@ -0,0 +1,329 @@
+import { WebSocketServer } from 'ws';
+import logger from '../../utils/logger.js';
+import config from '../../config/config.js';
+import GpsProcessingService from '../../services/GpsProcessingService.js';
+import DeviceCredentialStore from '../../core/devices/DeviceCredentialStore.js';
+import { validateGpsData } from '../../validators/gpsValidator.js';
+import { safeEqual } from '../../utils/security.js';
+
+/**
+ * Rechaza un upgrade HTTP antes de abrir el WebSocket
+ * @param {net.Socket} socket - Socket del upgrade
+ * @param {number} statusCode - Código HTTP
+ * @param {string} message - Texto de estado
+ */
+const rejectUpgrade = (socket, statusCode, message) => {
+  socket.write(`HTTP/1.1 ${statusCode} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+/**
+ * Canal WebSocket para dispositivos de alta frecuencia
+ * Cada dispositivo autenticado mantiene una conexión y envía posiciones como frames JSON;
+ * cada frame recibe un ACK con el resultado de processPosition
+ */
+class WebSocketGateway {
+  constructor() {
+    this.options = config.websocket || {};
+    this.wss = null;
+    this.heartbeatTimer = null;
+    this.stats = {
+      connections: 0,
+      rejectedUpgrades: 0,
+      messages: 0,
+      throttled: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Engancha el gateway al servidor HTTP (evento upgrade)
+   * @param {http.Server} httpServer - Servidor HTTP de Express
+   */
+  attach(httpServer) {
+    if (!this.options.enabled || this.wss) {
+      return;
+    }
+
+    if (!config.deviceAuth?.enabled && !this.options.authToken) {
+      logger.error('WebSocket gateway enabled without DEVICE_AUTH_ENABLED or WS_AUTH_TOKEN, not starting');
+      return;
+    }
+
+    this.wss = new WebSocketServer({
+      noServer: true,
+      maxPayload: this.options.maxPayload
+    });
+
+    httpServer.on('upgrade', (req, socket, head) => {
+      this.handleUpgrade(req, socket, head).catch(error => {
+        logger.error('WebSocket upgrade failed', { error: error.message });
+        socket.destroy();
+      });
+    });
+    this.wss.on('connection', (ws, req, device) => this.handleConnection(ws, req, device));
+
+    this.heartbeatTimer = setInterval(() => this.checkHeartbeats(), this.options.heartbeatInterval);
+
+    logger.info('WebSocket gateway attached', { path: this.options.path });
+  }
+
+  /**
+   * Autentica la petición de upgrade
+   * Con DEVICE_AUTH_ENABLED la API key del dispositivo (Authorization: Bearer o X-Device-Key) decide el
+   * dispositivo, igual que deviceAuth en HTTP: un X-Device-Id / ?id= distinto se rechaza. Sin ella se usa
+   * el token compartido WS_AUTH_TOKEN y el id que envía el cliente
+   * @param {http.IncomingMessage} req - Petición HTTP
+   * @param {URL} url - URL parseada
+   * @returns {Promise<Object>} { device } o { statusCode, message } si se rechaza
+   */
+  async authenticate(req, url) {
+    const claimedId = req.headers['x-device-id'] || url.searchParams.get('id');
+    const authorization = req.headers.authorization || '';
+    const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7) : null;
+
+    if (!config.deviceAuth?.enabled) {
+      const token = bearer ?? url.searchParams.get('token');
+      if (!claimedId || !token || !safeEqual(token, this.options.authToken)) {
+        return { statusCode: 401, message: 'Unauthorized' };
+      }
+      return { device: { deviceId: String(claimedId) } };
+    }
+
+    const apiKey = bearer || req.headers['x-device-key'];
+    if (!apiKey) {
+      return { statusCode: 401, message: 'Unauthorized' };
+    }
+
+    let device;
+    try {
+      device = await DeviceCredentialStore.authenticate(String(apiKey));
+    } catch (error) {
+      logger.error('Device authentication unavailable', { error: error.message, path: url.pathname });
+      return { statusCode: 503, message: 'Service Unavailable' };
+    }
+
+    if (!device) {
+      return { statusCode: 401, message: 'Unauthorized' };
+    }
+
+    if (claimedId && String(claimedId) !== device.deviceId) {
+      logger.warn('Device id mismatch', { deviceId: device.deviceId, keyId: device.keyId, claimedId, path: url.pathname });
+      return { statusCode: 403, message: 'Forbidden' };
+    }
+
+    return { device };
+  }
+
+  /**
+   * Gestiona el upgrade HTTP hacia WebSocket
+   * @param {http.IncomingMessage} req - Petición HTTP
+   * @param {net.Socket} socket - Socket subyacente
+   * @param {Buffer} head - Primer paquete del stream
+   */
+  async handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== this.options.path) {
+      return;
+    }
+
+    const { device, statusCode, message } = await this.authenticate(req, url);
+    if (socket.destroyed) {
+      return;
+    }
+
+    if (!device) {
+      this.stats.rejectedUpgrades++;
+      logger.warn('WebSocket authentication failed', { ip: socket.remoteAddress, statusCode });
+      rejectUpgrade(socket, statusCode, message);
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      this.wss.emit('connection', ws, req, device);
+    });
+  }
+
+  /**
+   * Configura una conexión de dispositivo
+   * @param {WebSocket} ws - Conexión
+   * @param {http.IncomingMessage} req - Petición HTTP original
+   * @param {Object} device - Dispositivo autenticado
+   */
+  handleConnection(ws, req, device) {
+    this.stats.connections++;
+    ws.isAlive = true;
+    ws.queue = Promise.resolve();
+    ws.pending = 0;
+
+    logger.info('WebSocket device connected', { deviceId: device.deviceId, ip: req.socket.remoteAddress });
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', (data) => {
+      // Con el límite de frames en curso se deja de leer el socket: el dispositivo recibe
+      // contrapresión TCP en lugar de acumular frames en memoria. Los frames ya leídos siguen
+      // llegando tras la pausa; si superan el doble del límite se cierra la conexión
+      if (ws.pending >= this.options.maxPendingFrames * 2) {
+        this.stats.errors++;
+        logger.warn('WebSocket device exceeded pending frame limit, closing', { deviceId: device.deviceId });
+        ws.close(1008, 'Too many pending frames');
+        return;
+      }
+
+      ws.pending++;
+      if (ws.pending === this.options.maxPendingFrames) {
+        this.stats.throttled++;
+        ws.pause();
+      }
+
+      // Procesar en orden para que los ACK lleguen en el mismo orden que los frames
+      ws.queue = ws.queue
+        .then(() => this.handleFrame(ws, device, data))
+        .finally(() => {
+          ws.pending--;
+          if (ws.isPaused && ws.pending < this.options.maxPendingFrames) {
+            ws.resume();
+          }
+        });
+    });
+
+    ws.on('error', (error) => {
+      logger.warn('WebSocket connection error', { deviceId: device.deviceId, error: error.message });
+    });
+
+    ws.on('close', (code) => {
+      logger.debug('WebSocket device disconnected', { deviceId: device.deviceId, code });
+    });
+  }
+
+  /**
+   * Procesa un frame con una posición y responde con su ACK
+   * @param {WebSocket} ws - Conexión
+   * @param {Object} device - Dispositivo autenticado
+   * @param {Buffer} data - Contenido del frame
+   */
+  async handleFrame(ws, device, data) {
+    this.stats.messages++;
+
+    let frame;
+    try {
+      frame = JSON.parse(data.toString());
+    } catch (error) {
+      frame = null;
+    }
+
+    if (!frame || typeof frame !== 'object' || Array.isArray(frame)) {
+      this.send(ws, { type: 'error', error: 'Invalid JSON frame' });
+      return;
+    }
+
+    const seq = frame.seq ?? null;
+
+    if (frame.id !== undefined && String(frame.id) !== device.deviceId) {
+      this.send(ws, { type: 'error', seq, error: 'Device ID does not match the authenticated device' });
+      return;
+    }
+
+    const position = {
+      ...frame,
+      id: device.deviceId,
+      metadata: {
+        ...frame.metadata,
+        protocol: 'websocket'
+      }
+    };
+    delete position.seq;
+
+    const validationResult = validateGpsData(position);
+    if (!validationResult.isValid) {
+      this.send(ws, { type: 'error', seq, error: 'Invalid GPS data', details: validationResult.errors });
+      return;
+    }
+
+    try {
+      const result = await GpsProcessingService.processPosition(position);
+      this.send(ws, {
+        type: 'ack',
+        seq,
+        processed: result.processed,
+        duplicate: result.duplicate
+      });
+    } catch (error) {
+      this.stats.errors++;
+      logger.error('Error processing WebSocket position', {
+        deviceId: device.deviceId,
+        error: error.message
+      });
+      this.send(ws, {
+        type: 'error',
+        seq,
+        error: error.statusCode && error.statusCode < 500 ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Envía un mensaje JSON si la conexión sigue abierta
+   * @param {WebSocket} ws - Conexión
+   * @param {Object} message - Mensaje
+   */
+  send(ws, message) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Cierra las conexiones que no respondieron al último ping
+   */
+  checkHeartbeats() {
+    for (const ws of this.wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }
+
+  /**
+   * Obtiene estadísticas del gateway
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    return {
+      enabled: !!this.options.enabled,
+      attached: !!this.wss,
+      activeConnections: this.wss?.clients.size || 0,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Cierra todas las conexiones WebSocket
+   */
+  async close() {
+    if (!this.wss) {
+      return;
+    }
+
+    logger.info('Shutting down WebSocket gateway');
+
+    clearInterval(this.heartbeatTimer);
+
+    for (const ws of this.wss.clients) {
+      ws.close(1001, 'Server shutting down');
+    }
+
+    await new Promise((resolve) => this.wss.close(() => resolve()));
+    this.wss = null;
+
+    logger.info('WebSocket gateway shutdown complete');
+  }
+}
+
+export default new WebSocketGateway();
@@ -0,0 +1,63 @@
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { safeEqual } from '../utils/security.js';
+
+/**
+ * Admin tokens from ADMIN_TOKENS ("name:token,name2:token2"); the name identifies the actor in the audit log
+ */
+const adminTokens = (config.admin?.tokens || [])
+  .map(entry => {
+    const separator = entry.indexOf(':');
+    return separator > 0
+      ? { name: entry.slice(0, separator), token: entry.slice(separator + 1) }
+      : null;
+  })
+  .filter(entry => entry && entry.token);
+
+/**
+ * Creates the admin authentication middleware
+ * Accepts "Authorization: Bearer <token>" or "X-Admin-Token: <token>" and sets req.admin = { name }
+ * @param {Object} options - { param }: also reads the token from that query parameter, for clients that
+ *   cannot set headers (browser EventSource)
+ * @returns {Function} Middleware
+ */
+const createAdminAuth = ({ param = null } = {}) => (req, res, next) => {
+  if (adminTokens.length === 0) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API disabled (ADMIN_TOKENS not configured)'
+    });
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const token = authorization.startsWith('Bearer ')
+    ? authorization.slice(7)
+    : req.get('X-Admin-Token') || (param && req.query[param]);
+
+  // Every token is compared so the response time does not reveal which one matched
+  let admin = null;
+  for (const entry of adminTokens) {
+    if (token && safeEqual(token, entry.token) && !admin) {
+      admin = { name: entry.name };
+    }
+  }
+
+  if (!admin) {
+    // Without the query string, which may carry the token
+    logger.warn('Admin authentication failed', { path: `${req.baseUrl}${req.path}`, ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized'
+    });
+  }
+
+  req.admin = admin;
+  next();
+};
+
+const adminAuth = createAdminAuth();
+
+export {
+  adminAuth,
+  createAdminAuth
+};
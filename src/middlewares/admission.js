@@ -0,0 +1,30 @@
+import AdmissionController from '../core/admission/AdmissionController.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Rejects ingestion requests with 503 + Retry-After while the admission controller is shedding load
+ */
+const admissionControl = (req, res, next) => {
+  if (!AdmissionController.isShedding()) {
+    return next();
+  }
+
+  const retryAfter = AdmissionController.getRetryAfter();
+  AdmissionController.recordRejection();
+
+  logger.debug('Ingestion request rejected by admission control', {
+    path: req.path,
+    reasons: AdmissionController.reasons
+  });
+
+  res.set('Retry-After', String(retryAfter));
+  res.status(503).json({
+    success: false,
+    error: 'Service overloaded, retry later',
+    retryAfter
+  });
+};
+
+export {
+  admissionControl
+};
@@ -0,0 +1,120 @@
+import config from '../config/config.js';
+import DeviceCredentialStore from '../core/devices/DeviceCredentialStore.js';
+import logger from '../utils/logger.js';
+
+// Query parameters and header through which the HTTP ingestion routes receive a device id
+const ID_QUERY_PARAMS = ['id', 'deviceId', 'deviceid'];
+const ID_HEADER = 'X-Device-Id';
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Binds an ingestion request to an authenticated device and sets req.device
+ * Every id the request claims must be the device's: X-Device-Id, ?id= / ?deviceId= and the JSON body
+ * (body.id, positions[].id); otherwise 403. A missing body id is filled in; routes that read the id from
+ * the query or a header fall back to req.device.deviceId
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} device - { deviceId, ... } set as req.device
+ * @param {Object} options - { body: false } when the body is not a position (track files)
+ * @returns {boolean} True if bound (otherwise the 403 has already been sent)
+ */
+const bindToDevice = (req, res, device, { body: bindBody = true } = {}) => {
+  const body = bindBody && req.body && typeof req.body === 'object' ? req.body : null;
+  const items = Array.isArray(body?.positions) ? body.positions : [body];
+
+  const claimed = [req.get(ID_HEADER), ...ID_QUERY_PARAMS.map(param => req.query[param])]
+    .filter(value => !isMissing(value))
+    .map(String);
+
+  for (const item of items) {
+    if (item && typeof item === 'object' && !isMissing(item.id)) {
+      claimed.push(String(item.id));
+    }
+  }
+
+  const claimedId = claimed.find(id => id !== device.deviceId);
+  if (claimedId !== undefined) {
+    logger.warn('Device id mismatch', {
+      deviceId: device.deviceId,
+      keyId: device.keyId,
+      claimedId,
+      path: `${req.baseUrl}${req.path}`
+    });
+    res.status(403).json({
+      success: false,
+      error: 'Device id does not match the authenticated device'
+    });
+    return false;
+  }
+
+  for (const item of items) {
+    if (item && typeof item === 'object' && isMissing(item.id)) {
+      item.id = device.deviceId;
+    }
+  }
+
+  req.device = device;
+  return true;
+};
+
+/**
+ * Creates the device API key authentication middleware for the HTTP ingestion routes (DEVICE_AUTH_ENABLED)
+ * Accepts "Authorization: Bearer <key>" or "X-Device-Key: <key>" and binds the request to the key's device.
+ * Requests already authenticated by a valid signature (requestSignature) are let through
+ * @param {Object} options - { param, body }: param also reads the key from that query or form parameter, for
+ *   clients that cannot set headers (OsmAnd / Traccar Client); body: false skips binding the body (see bindToDevice)
+ * @returns {Function} Middleware
+ */
+const createDeviceAuth = ({ param = null, body = true } = {}) => async (req, res, next) => {
+  if (!config.deviceAuth?.enabled || req.device?.signed) {
+    return next();
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const apiKey = authorization.startsWith('Bearer ')
+    ? authorization.slice(7)
+    : req.get('X-Device-Key') || (param && (req.query[param] ?? req.body?.[param]));
+
+  // Without the query string, which may carry the key
+  const path = `${req.baseUrl}${req.path}`;
+
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      error: 'Device API key required'
+    });
+  }
+
+  let device;
+  try {
+    device = await DeviceCredentialStore.authenticate(String(apiKey));
+  } catch (error) {
+    logger.error('Device authentication unavailable', { error: error.message, path });
+    res.set('Retry-After', '5');
+    return res.status(503).json({
+      success: false,
+      error: 'Device authentication unavailable, retry later'
+    });
+  }
+
+  if (!device) {
+    logger.warn('Device authentication failed', { path, ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid device API key'
+    });
+  }
+
+  if (bindToDevice(req, res, device, { body })) {
+    next();
+  }
+};
+
+const deviceAuth = createDeviceAuth();
+
+export {
+  deviceAuth,
+  createDeviceAuth,
+  bindToDevice
+};
@@ -0,0 +1,47 @@
+import MetricsCollector from '../core/metrics/MetricsCollector.js';
+
+/**
+ * Route label for a finished request
+ * Uses the matched route template (e.g. /api/gps/device/:deviceId/last) so device ids never become
+ * label values; requests that matched no route share a single label
+ */
+const routeTemplate = (req) => {
+  if (!req.route) {
+    return 'unmatched';
+  }
+
+  return `${req.baseUrl}${req.route.path === '/' && req.baseUrl ? '' : req.route.path}`;
+};
+
+/**
+ * HTTP metrics middleware: request counter and duration histogram by method, route and status code
+ */
+const httpMetrics = (req, res, next) => {
+  const startTime = process.hrtime.bigint();
+
+  let recorded = false;
+  const record = () => {
+    if (recorded) {
+      return;
+    }
+    recorded = true;
+
+    const duration = Number(process.hrtime.bigint() - startTime) / 1e9;
+
+    MetricsCollector.observeHttpRequest({
+      method: req.method,
+      route: routeTemplate(req),
+      status_code: String(res.statusCode)
+    }, duration);
+  };
+
+  // 'close' covers connections closed before the response finished (e.g. SSE clients disconnecting)
+  res.on('finish', record);
+  res.on('close', record);
+
+  next();
+};
+
+export {
+  httpMetrics
+};
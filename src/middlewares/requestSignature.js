@@ -0,0 +1,104 @@
+import config from '../config/config.js';
+import RequestSigner from '../core/devices/RequestSigner.js';
+import logger from '../utils/logger.js';
+import { bindToDevice } from './deviceAuth.js';
+
+/**
+ * express.json verify hook: keeps the raw body of signed requests, since the signature covers the exact bytes
+ */
+const captureRawBody = (req, res, buf) => {
+  if (req.headers['x-signature']) {
+    req.rawBody = buf;
+  }
+};
+
+/**
+ * Device ids claimed by an ingestion request (X-Device-Id, body.id or positions[].id)
+ * @param {Object} req - Request object
+ * @returns {Array<string>} Distinct ids
+ */
+const getClaimedIds = (req) => {
+  const body = req.body && typeof req.body === 'object' ? req.body : null;
+  const items = Array.isArray(body?.positions) ? body.positions : [body];
+  const ids = new Set(req.get('X-Device-Id') ? [req.get('X-Device-Id')] : []);
+
+  for (const item of items) {
+    if (item?.id !== undefined && item?.id !== null && item?.id !== '') {
+      ids.add(String(item.id));
+    }
+  }
+
+  return [...ids];
+};
+
+const unavailable = (req, res, error) => {
+  logger.error('Request signature verification unavailable', { error: error.message, path: req.originalUrl });
+  res.set('Retry-After', '5');
+  res.status(503).json({
+    success: false,
+    error: 'Signature verification unavailable, retry later'
+  });
+};
+
+/**
+ * HMAC request signing for the ingestion routes (enabled with REQUEST_SIGNING_ENABLED)
+ * A request with "X-Signature: t=<unix s>,n=<nonce>,s=<hex>" is verified against the signing secret of its
+ * device (X-Device-Id, or the id in the body) and bound to it, so deviceAuth does not ask it for an API key.
+ * Unsigned requests are rejected when REQUEST_SIGNING_REQUIRED is set or when a claimed device has a signing
+ * secret; otherwise they continue to deviceAuth
+ */
+const requestSignature = async (req, res, next) => {
+  if (!config.requestSigning?.enabled) {
+    return next();
+  }
+
+  const header = req.get('X-Signature');
+  const claimedIds = getClaimedIds(req);
+
+  if (!header) {
+    try {
+      if (config.requestSigning.required || await RequestSigner.requiresSignature(claimedIds)) {
+        return res.status(401).json({
+          success: false,
+          error: 'Request signature required'
+        });
+      }
+    } catch (error) {
+      return unavailable(req, res, error);
+    }
+
+    return next();
+  }
+
+  const deviceId = req.get('X-Device-Id') || (claimedIds.length === 1 ? claimedIds[0] : null);
+  if (!deviceId) {
+    return res.status(400).json({
+      success: false,
+      error: 'X-Device-Id header required for signed requests'
+    });
+  }
+
+  let result;
+  try {
+    result = await RequestSigner.verify({ deviceId, header, rawBody: req.rawBody || '' });
+  } catch (error) {
+    return unavailable(req, res, error);
+  }
+
+  if (!result.valid) {
+    logger.warn('Request signature rejected', { deviceId, reason: result.reason, path: req.originalUrl, ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      error: result.reason
+    });
+  }
+
+  if (bindToDevice(req, res, { deviceId, signed: true })) {
+    next();
+  }
+};
+
+export {
+  captureRawBody,
+  requestSignature
+};
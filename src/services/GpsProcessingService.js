@@ -1,11 +1,21 @@
 import logger from '../utils/logger.js';
+import config from '../config/config.js';
 import { AppError } from '../errors/AppError.js';
+import { validateGpsData } from '../validators/gpsValidator.js';
+import { parseTrackFile } from '../ingestion/tracks/TrackFileParser.js';
+import { isPointInBbox, isPointInPolygon, toPolygons, polygonsBbox, bboxToSearchBox } from '../utils/geo.js';
 import { 
   GpsDataProcessor, 
   BatchManager, 
   QueueManager, 
   RedisManager, 
-  EventBus 
+  EventBus,
+  EventBridge,
+  GeofenceManager,
+  LiveStreamHub,
+  WebhookManager,
+  DeviceActivityMonitor,
+  AdmissionController
 } from '../core/index.js';
 
 /**
@@ -27,8 +37,10 @@ class GpsProcessingService {
 
   /**
    * Inicializa el servicio
+   * @param {Object} options - Opciones
+   * @param {boolean} options.spool - false desactiva el spool de lotes (ver BatchManager.initialize)
    */
-  async initialize() {
+  async initialize(options = {}) {
     if (this.isInitialized) {
       return;
     }
@@ -37,6 +49,14 @@ class GpsProcessingService {
       // Inicializar QueueManager
       await QueueManager.initialize();
       logger.info('QueueManager initialized successfully');
+
+      // Reencola lo que quedó en el spool tras una caída
+      await BatchManager.initialize({ spool: options.spool });
+      await GeofenceManager.initialize();
+      await WebhookManager.initialize();
+      await DeviceActivityMonitor.initialize();
+      await EventBridge.start();
+      AdmissionController.start();
       
       this.isInitialized = true;
       logger.info('GpsProcessingService initialized successfully');
@@ -54,11 +74,16 @@ class GpsProcessingService {
    * Configura los listeners de eventos para estadísticas
    */
   setupEventListeners() {
-    EventBus.on('position.processed', () => {
-      this.stats.totalProcessed++;
+    EventBus.on('position.processed', (position, context) => {
+      if (!context?.remote) {
+        this.stats.totalProcessed++;
+      }
     });
 
-    EventBus.on('batch.processed', (batchStats) => {
+    EventBus.on('batch.processed', (batchStats, context) => {
+      if (context?.remote) {
+        return;
+      }
       this.stats.totalDuplicates += batchStats.duplicateCount;
       this.stats.totalErrors += batchStats.errorCount;
     });
@@ -110,15 +135,17 @@ class GpsProcessingService {
   /**
    * Procesa un lote de posiciones GPS
    * @param {Array} rawPositions - Array de posiciones GPS sin procesar
+   * @param {Object} options - Opciones
+   * @param {boolean} options.backfill - Posiciones históricas importadas
    * @returns {Object} Resultados del procesamiento
    */
-  async processBatch(rawPositions) {
+  async processBatch(rawPositions, options = {}) {
     if (!this.isInitialized) {
       await this.initialize();
     }
 
     try {
-      const results = await GpsDataProcessor.processBatch(rawPositions);
+      const results = await GpsDataProcessor.processBatch(rawPositions, options);
 
       logger.info('GPS batch processed', {
         totalPositions: rawPositions.length,
@@ -133,6 +160,8 @@ class GpsProcessingService {
         processed: results.processed.length,
         duplicates: results.duplicates.length,
         errors: results.errors.length,
+        // Errores que no son de validación: al reintentar, esas posiciones pueden guardarse
+        retryableErrors: results.errors.filter(({ statusCode }) => statusCode >= 500).length,
         message: `Processed ${results.processed.length} positions, ${results.duplicates.length} duplicates, ${results.errors.length} errors`
       };
 
@@ -147,6 +176,208 @@ class GpsProcessingService {
     }
   }
 
+  /**
+   * Procesa un stream de posiciones NDJSON por bloques
+   * @param {AsyncIterable<string>} lines - Líneas del stream (una posición JSON por línea)
+   * @param {Object} options - { deviceId }: dispositivo autenticado; las líneas sin id lo reciben y las
+   *   de otro dispositivo se rechazan
+   * @returns {Object} Resumen por línea: aceptadas, duplicadas y rechazadas
+   */
+  async processStream(lines, { deviceId = null } = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const { chunkSize, maxLines, maxReportedLines } = config.stream;
+    const summary = {
+      totalLines: 0,
+      accepted: 0,
+      duplicates: 0,
+      rejected: 0,
+      duplicateLines: [],
+      rejectedLines: [],
+      truncated: false,
+      lastLine: 0
+    };
+
+    const reject = (line, errors) => {
+      summary.rejected++;
+      if (summary.rejectedLines.length < maxReportedLines) {
+        summary.rejectedLines.push({ line, errors });
+      }
+    };
+
+    let chunk = [];
+    const flushChunk = async () => {
+      if (chunk.length === 0) {
+        return;
+      }
+
+      const lineByPosition = new Map(chunk.map(entry => [entry.position, entry.line]));
+      let results;
+      try {
+        results = await GpsDataProcessor.processBatch(chunk.map(entry => entry.position));
+      } catch (error) {
+        throw new AppError('Failed to process GPS stream', 500);
+      }
+      chunk = [];
+
+      summary.accepted += results.processed.length;
+      summary.duplicates += results.duplicates.length;
+
+      for (const position of results.duplicates) {
+        if (summary.duplicateLines.length < maxReportedLines) {
+          summary.duplicateLines.push(lineByPosition.get(position));
+        }
+      }
+
+      for (const { position, error } of results.errors) {
+        reject(lineByPosition.get(position), [error]);
+      }
+    };
+
+    try {
+      let lineNumber = 0;
+
+      for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) {
+          continue;
+        }
+
+        if (summary.totalLines >= maxLines) {
+          summary.truncated = true;
+          break;
+        }
+
+        summary.totalLines++;
+        summary.lastLine = lineNumber;
+
+        let position;
+        try {
+          position = JSON.parse(line);
+        } catch (error) {
+          reject(lineNumber, ['Invalid JSON']);
+          continue;
+        }
+
+        if (deviceId && position && typeof position === 'object') {
+          if (position.id === undefined || position.id === null || position.id === '') {
+            position.id = deviceId;
+          } else if (String(position.id) !== deviceId) {
+            reject(lineNumber, ['Device id does not match the authenticated device']);
+            continue;
+          }
+        }
+
+        const validationResult = validateGpsData(position);
+        if (!validationResult.isValid) {
+          reject(lineNumber, validationResult.errors);
+          continue;
+        }
+
+        chunk.push({ line: lineNumber, position });
+        if (chunk.length >= chunkSize) {
+          await flushChunk();
+        }
+      }
+
+      await flushChunk();
+
+      logger.info('GPS stream processed', {
+        totalLines: summary.totalLines,
+        accepted: summary.accepted,
+        duplicates: summary.duplicates,
+        rejected: summary.rejected,
+        truncated: summary.truncated
+      });
+
+      return summary;
+
+    } catch (error) {
+      // Las posiciones de los bloques ya enviados quedan aceptadas
+      logger.error('Error processing GPS stream', {
+        error: error.message,
+        accepted: summary.accepted,
+        lastLine: summary.lastLine
+      });
+
+      if (error instanceof AppError) {
+        throw new AppError(error.message, error.statusCode, { ...summary });
+      }
+
+      // Errores de lectura del cuerpo (gzip corrupto, conexión cortada)
+      throw new AppError('Invalid stream body', 400, { ...summary });
+    }
+  }
+
+  /**
+   * Importa un archivo de track (GPX/KML/GeoJSON) al histórico de un dispositivo
+   * Las posiciones se validan con la antigüedad máxima de importación y no actualizan la última posición
+   * @param {string|Object} content - Contenido del archivo
+   * @param {Object} options - Opciones
+   * @param {string} options.deviceId - ID del dispositivo
+   * @param {string} options.format - gpx, kml o geojson (se detecta si no se indica)
+   * @returns {Object} Resumen de la importación
+   */
+  async importTrack(content, { deviceId, format } = {}) {
+    let parsed;
+    try {
+      parsed = parseTrackFile(content, { deviceId, format });
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    const positions = [];
+    const rejectedPoints = [];
+
+    parsed.positions.forEach((position, index) => {
+      const validationResult = validateGpsData(position, { backfill: true });
+      if (validationResult.isValid) {
+        positions.push(position);
+      } else {
+        rejectedPoints.push({ point: index, errors: validationResult.errors });
+      }
+    });
+
+    const summary = {
+      format: parsed.format,
+      deviceId,
+      totalPoints: parsed.positions.length + parsed.skipped.length,
+      skipped: parsed.skipped.length,
+      rejected: rejectedPoints.length,
+      processed: 0,
+      duplicates: 0,
+      errors: 0
+    };
+
+    if (positions.length === 0) {
+      throw new AppError('No importable positions found in track file', 400, {
+        ...summary,
+        skippedPoints: parsed.skipped.slice(0, config.stream.maxReportedLines),
+        rejectedPoints: rejectedPoints.slice(0, config.stream.maxReportedLines)
+      });
+    }
+
+    const results = await this.processBatch(positions, { backfill: true });
+
+    logger.info('GPS track imported', {
+      deviceId,
+      format: parsed.format,
+      points: summary.totalPoints,
+      processed: results.processed
+    });
+
+    return {
+      ...summary,
+      processed: results.processed,
+      duplicates: results.duplicates,
+      errors: results.errors,
+      skippedPoints: parsed.skipped.slice(0, config.stream.maxReportedLines),
+      rejectedPoints: rejectedPoints.slice(0, config.stream.maxReportedLines)
+    };
+  }
+
   /**
    * Obtiene la última posición de un dispositivo
    * @param {string} deviceId - ID del dispositivo
@@ -164,6 +395,235 @@ class GpsProcessingService {
     }
   }
 
+  /**
+   * Obtiene el historial de un dispositivo en un rango de tiempo con paginación por cursor
+   * @param {string} deviceId - ID del dispositivo
+   * @param {Object} query - Parámetros de consulta
+   * @param {string|number} query.from - Inicio del rango (ISO 8601 o epoch ms)
+   * @param {string|number} query.to - Fin del rango (ISO 8601 o epoch ms)
+   * @param {string|number} query.limit - Máximo de posiciones por página
+   * @param {string} query.cursor - Cursor devuelto por la página anterior
+   * @returns {Object} { deviceId, from, to, count, positions, nextCursor }
+   */
+  async getDeviceHistory(deviceId, { from, to, limit, cursor } = {}) {
+    const parseTime = (value, name) => {
+      if (value === undefined || value === '') {
+        return undefined;
+      }
+      const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+      if (isNaN(time)) {
+        throw new AppError(`Invalid ${name}: must be an ISO 8601 date or epoch milliseconds`, 400);
+      }
+      return time;
+    };
+
+    const fromTime = parseTime(from, 'from');
+    const toTime = parseTime(to, 'to');
+    if (fromTime !== undefined && toTime !== undefined && fromTime > toTime) {
+      throw new AppError('Invalid range: from must be before to', 400);
+    }
+
+    const { defaultLimit, maxLimit } = config.history;
+    const pageSize = limit === undefined ? defaultLimit : parseInt(limit);
+    if (isNaN(pageSize) || pageSize < 1 || pageSize > maxLimit) {
+      throw new AppError(`Invalid limit: must be between 1 and ${maxLimit}`, 400);
+    }
+
+    let decodedCursor;
+    if (cursor) {
+      try {
+        decodedCursor = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      } catch (error) {
+        decodedCursor = null;
+      }
+      if (!Number.isFinite(decodedCursor?.score) || !Number.isInteger(decodedCursor?.skip)) {
+        throw new AppError('Invalid cursor', 400);
+      }
+    }
+
+    try {
+      const { positions, nextCursor } = await RedisManager.getDeviceHistory(deviceId, {
+        from: fromTime,
+        to: toTime,
+        limit: pageSize,
+        cursor: decodedCursor
+      });
+
+      return {
+        deviceId,
+        from: fromTime !== undefined ? new Date(fromTime).toISOString() : null,
+        to: toTime !== undefined ? new Date(toTime).toISOString() : null,
+        count: positions.length,
+        positions,
+        nextCursor: nextCursor ? Buffer.from(JSON.stringify(nextCursor)).toString('base64url') : null
+      };
+
+    } catch (error) {
+      logger.error('Error retrieving device history', {
+        error: error.message,
+        deviceId
+      });
+      throw new AppError('Failed to retrieve device history', 500);
+    }
+  }
+
+  /**
+   * Busca los dispositivos cuya última posición está cerca de un punto
+   * @param {Object} query - Consulta validada (ver nearbyQuerySchema)
+   * @param {number} query.lat - Latitud del centro
+   * @param {number} query.lng - Longitud del centro
+   * @param {number} query.radius - Radio de búsqueda
+   * @param {string} query.unit - m, km, mi o ft
+   * @param {number} query.maxAge - Antigüedad máxima de la última posición en segundos
+   * @param {string} query.group - Grupo de dispositivos
+   * @param {number} query.limit - Máximo de resultados
+   * @returns {Object} { center, radius, unit, count, devices }
+   */
+  async findNearbyDevices({ lat, lng, radius, unit = 'km', maxAge, group, limit }) {
+    const { maxRadiusKm, defaultLimit, maxLimit } = config.geo;
+    const kmPerUnit = { m: 0.001, km: 1, mi: 1.609344, ft: 0.0003048 };
+
+    if (radius * kmPerUnit[unit] > maxRadiusKm) {
+      throw new AppError(`Radius exceeds maximum allowed of ${maxRadiusKm} km`, 400);
+    }
+
+    try {
+      const devices = await RedisManager.findNearbyDevices({
+        lat,
+        lng,
+        radius,
+        unit,
+        maxAge: maxAge ? maxAge * 1000 : undefined,
+        group,
+        limit: Math.min(limit || defaultLimit, maxLimit)
+      });
+
+      return {
+        center: { lat, lng },
+        radius,
+        unit,
+        count: devices.length,
+        devices
+      };
+
+    } catch (error) {
+      logger.error('Error searching nearby devices', {
+        error: error.message,
+        lat,
+        lng,
+        radius
+      });
+      throw new AppError('Failed to search nearby devices', 500);
+    }
+  }
+
+  /**
+   * Busca las últimas posiciones dentro de un bounding box o polígono GeoJSON
+   * Los candidatos salen del índice GEO (sin KEYS) y se paginan por deviceId
+   * @param {Object} query - Consulta validada (ver deviceSearchSchema)
+   * @param {Array<number>} query.bbox - [minLng, minLat, maxLng, maxLat]
+   * @param {Object} query.polygon - Geometría Polygon/MultiPolygon (o Feature)
+   * @param {number} query.maxAge - Antigüedad máxima de la última posición en segundos
+   * @param {string} query.group - Grupo de dispositivos (metadata.group)
+   * @param {number} query.limit - Tamaño de página
+   * @param {string} query.cursor - Cursor devuelto por la página anterior
+   * @returns {Object} { matched, count, positions, nextCursor, truncated }
+   */
+  async searchDevices({ bbox, polygon, maxAge, group, limit, cursor }) {
+    let contains;
+    let searchBbox;
+
+    if (polygon) {
+      let polygons;
+      try {
+        polygons = toPolygons(polygon);
+      } catch (error) {
+        throw new AppError(error.message, 400);
+      }
+      searchBbox = polygonsBbox(polygons);
+      contains = (candidate) => isPointInPolygon(candidate.lng, candidate.lat, polygons);
+    } else {
+      if (bbox[0] > bbox[2] || bbox[1] > bbox[3]) {
+        throw new AppError('Invalid bbox: expected [minLng, minLat, maxLng, maxLat] (antimeridian crossing is not supported)', 400);
+      }
+      searchBbox = bbox;
+      contains = (candidate) => isPointInBbox(candidate.lng, candidate.lat, bbox);
+    }
+
+    let afterDeviceId = null;
+    if (cursor) {
+      afterDeviceId = Buffer.from(cursor, 'base64url').toString('utf8');
+      if (!afterDeviceId) {
+        throw new AppError('Invalid cursor', 400);
+      }
+    }
+
+    const pageSize = Math.min(limit || config.geo.defaultLimit, config.geo.maxLimit);
+    const maxAgeMs = maxAge ? maxAge * 1000 : null;
+
+    try {
+      // Filtro exacto sobre la caja de GEOSEARCH y orden estable por deviceId para paginar
+      const { candidates: members, truncated } = await RedisManager.searchLatestInBox(bboxToSearchBox(searchBbox), pageSize);
+      if (truncated) {
+        logger.warn('Device search hit GEO_MAX_NEARBY_SCAN, results are incomplete', {
+          bbox: searchBbox,
+          maxScan: config.geo.maxNearbyScan
+        });
+      }
+
+      const candidates = members
+        .filter(contains)
+        .map(candidate => candidate.deviceId)
+        .sort()
+        .filter(deviceId => afterDeviceId === null || deviceId > afterDeviceId);
+
+      const now = Date.now();
+      const positions = [];
+      let lastDeviceId = null;
+      let index = 0;
+
+      // Se leen los hashes por bloques hasta completar la página (los obsoletos no cuentan)
+      while (positions.length < pageSize && index < candidates.length) {
+        const chunk = candidates.slice(index, index + pageSize);
+        const found = new Map(
+          (await RedisManager.getLastPositions(chunk)).map(position => [position.deviceId, position])
+        );
+
+        for (const deviceId of chunk) {
+          index++;
+          lastDeviceId = deviceId;
+
+          const position = found.get(deviceId);
+          if (!position) continue;
+
+          const age = now - position.timestamp.getTime();
+          if (maxAgeMs && age > maxAgeMs) continue;
+          if (group && position.metadata?.group !== group) continue;
+
+          positions.push({ ...position, ageSeconds: Math.max(0, Math.round(age / 1000)) });
+          if (positions.length === pageSize) break;
+        }
+      }
+
+      const hasMore = index < candidates.length;
+
+      return {
+        matched: candidates.length,
+        count: positions.length,
+        positions,
+        nextCursor: hasMore ? Buffer.from(lastDeviceId).toString('base64url') : null,
+        truncated
+      };
+
+    } catch (error) {
+      logger.error('Error searching devices', {
+        error: error.message,
+        bbox: searchBbox
+      });
+      throw new AppError('Failed to search devices', 500);
+    }
+  }
+
   /**
    * Obtiene múltiples últimas posiciones
    * @param {Array} deviceIds - Array de IDs de dispositivos
@@ -204,18 +664,20 @@ class GpsProcessingService {
    */
   async getSystemStats() {
     try {
-      const [
-        queueStats,
-        batchStats,
-        storageStats,
-        processorStats,
-        eventStats
-      ] = await Promise.all([
-        QueueManager.getStats(),
-        Promise.resolve(BatchManager.getStats()),
-        RedisManager.getStorageStats(),
-        Promise.resolve(GpsDataProcessor.getStats()),
-        Promise.resolve(EventBus.getStats())
+      // Primero lo que no depende de Redis (overflow, spool, admisión): debe verse también durante una caída
+      const batchStats = BatchManager.getStats();
+      const processorStats = GpsDataProcessor.getStats();
+      const eventStats = EventBus.getStats();
+      const geofenceStats = GeofenceManager.getStats();
+      const liveStreamStats = LiveStreamHub.getStats();
+      const bridgeStats = EventBridge.getStats();
+      const webhookStats = WebhookManager.getStats();
+      const deviceActivityStats = DeviceActivityMonitor.getStats();
+      const admissionStats = AdmissionController.getStats();
+
+      const [queueStats, storageStats] = await Promise.all([
+        this.readRedisStats(() => QueueManager.getStats(), { initialized: QueueManager.isInitialized }),
+        this.readRedisStats(() => RedisManager.getStorageStats())
       ]);
 
       return {
@@ -229,6 +691,12 @@ class GpsProcessingService {
         storage: storageStats,
         processor: processorStats,
         events: eventStats,
+        geofences: geofenceStats,
+        liveStream: liveStreamStats,
+        eventBridge: bridgeStats,
+        webhooks: webhookStats,
+        deviceActivity: deviceActivityStats,
+        admission: admissionStats,
         timestamp: new Date().toISOString()
       };
 
@@ -240,6 +708,33 @@ class GpsProcessingService {
     }
   }
 
+  /**
+   * Lee estadísticas de Redis sin bloquear /health ni /stats
+   * Con Redis caído los comandos quedan en la cola offline del cliente: se omite la lectura
+   * @param {Function} read - Lectura a ejecutar
+   * @param {Object} fallback - Datos a devolver si no se pudo leer
+   * @returns {Promise<Object>} Estadísticas, o fallback con available: false
+   */
+  async readRedisStats(read, fallback = {}) {
+    if (!QueueManager.isConnected()) {
+      return { ...fallback, available: false, error: 'Redis unavailable' };
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Redis stats timeout')), config.health?.timeout || 5000);
+    });
+
+    try {
+      return await Promise.race([read(), timeout]);
+    } catch (error) {
+      logger.warn('Error reading stats from Redis', { error: error.message });
+      return { ...fallback, available: false, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
   /**
    * Realiza limpieza del sistema
    */
@@ -279,7 +774,12 @@ class GpsProcessingService {
       EventBus.emit('app.shutdown');
 
       // Cerrar componentes en orden
+      AdmissionController.stop();
       await BatchManager.shutdown();
+      await EventBridge.stop();
+      await GeofenceManager.shutdown();
+      await DeviceActivityMonitor.shutdown();
+      WebhookManager.shutdown();
       await QueueManager.shutdown();
 
       this.isInitialized = false;
@@ -302,16 +802,21 @@ class GpsProcessingService {
     try {
       const stats = await this.getSystemStats();
       
+      const overflow = stats.batches.overflow;
+
       const health = {
         status: 'healthy',
         initialized: this.isInitialized,
         uptime: stats.service.uptime,
         components: {
           processor: 'healthy',
-          batchManager: 'healthy',
+          // Con lotes en el overflow los datos están a salvo en disco pero Redis no los recibe
+          batchManager: overflow.batches > 0 ? 'degraded' : 'healthy',
           queueManager: stats.queues.initialized ? 'healthy' : 'unhealthy',
-          redisManager: 'healthy',
-          eventBus: 'healthy'
+          redisManager: stats.storage.available === false ? 'unhealthy' : 'healthy',
+          eventBus: 'healthy',
+          // Rechazando posiciones nuevas (503) por carga
+          admission: stats.admission.shedding ? 'degraded' : 'healthy'
         },
         metrics: {
           totalProcessed: this.stats.totalProcessed,
@@ -321,9 +826,22 @@ class GpsProcessingService {
             historical: stats.batches.historical.batchSize,
             latest: stats.batches.latest.deviceCount
           },
+          // null si no se pudieron leer (Redis caído)
           queueSizes: {
-            historicalWaiting: stats.queues.historical?.waiting || 0,
-            latestWaiting: stats.queues.latest?.waiting || 0
+            historicalWaiting: stats.queues.available === false ? null : stats.queues.historical?.waiting || 0,
+            latestWaiting: stats.queues.available === false ? null : stats.queues.latest?.waiting || 0
+          },
+          overflow: {
+            batches: overflow.batches,
+            positions: overflow.positions,
+            bytes: overflow.bytes,
+            droppedPositions: overflow.droppedPositions
+          },
+          admission: {
+            shedding: stats.admission.shedding,
+            reasons: stats.admission.reasons,
+            since: stats.admission.since,
+            rejected: stats.admission.rejected
           }
         },
         timestamp: new Date().toISOString()
@@ -331,7 +849,7 @@ class GpsProcessingService {
 
       // Determinar estado general
       const unhealthyComponents = Object.values(health.components)
-        .filter(status => status === 'unhealthy').length;
+        .filter(status => status !== 'healthy').length;
       
       if (unhealthyComponents > 0) {
         health.status = 'degraded';
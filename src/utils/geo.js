@@ -0,0 +1,138 @@
+const EARTH_RADIUS_KM = 6371.0088;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Distancia entre dos puntos por la fórmula de haversine
+ * @param {number} lat1 - Latitud del primer punto
+ * @param {number} lng1 - Longitud del primer punto
+ * @param {number} lat2 - Latitud del segundo punto
+ * @param {number} lng2 - Longitud del segundo punto
+ * @returns {number} Distancia en km
+ */
+export const haversineDistance = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Verifica si un punto está dentro de un bounding box
+ * @param {number} lng - Longitud
+ * @param {number} lat - Latitud
+ * @param {Array<number>} bbox - [minLng, minLat, maxLng, maxLat]
+ * @returns {boolean} True si está dentro (bordes incluidos)
+ */
+export const isPointInBbox = (lng, lat, [minLng, minLat, maxLng, maxLat]) =>
+  lng >= minLng && lng <= maxLng && lat >= minLat && lat <= maxLat;
+
+/**
+ * Ray casting sobre un anillo [[lng, lat], ...]
+ * @returns {boolean} True si el punto está dentro del anillo
+ */
+const isPointInRing = (lng, lat, ring) => {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+/**
+ * Verifica si un punto está dentro de un polígono GeoJSON (con huecos)
+ * @param {number} lng - Longitud
+ * @param {number} lat - Latitud
+ * @param {Array} polygons - Lista de polígonos; cada uno es [anilloExterior, ...huecos]
+ * @returns {boolean} True si está dentro de alguno de los polígonos
+ */
+export const isPointInPolygon = (lng, lat, polygons) => polygons.some(([outer, ...holes]) =>
+  isPointInRing(lng, lat, outer) && !holes.some(hole => isPointInRing(lng, lat, hole)));
+
+/**
+ * Valida una geometría GeoJSON Polygon/MultiPolygon (o un Feature que la contenga)
+ * y la convierte en una lista de polígonos
+ * @param {Object} geometry - Geometría o Feature
+ * @returns {Array} Polígonos [anilloExterior, ...huecos]
+ * @throws {Error} Si la geometría no es válida
+ */
+export const toPolygons = (geometry) => {
+  const source = geometry?.type === 'Feature' ? geometry.geometry : geometry;
+
+  let polygons;
+  if (source?.type === 'Polygon') {
+    polygons = [source.coordinates];
+  } else if (source?.type === 'MultiPolygon') {
+    polygons = source.coordinates;
+  } else {
+    throw new Error('Polygon must be a GeoJSON Polygon or MultiPolygon');
+  }
+
+  const isPosition = (position) => Array.isArray(position) &&
+    Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+    position[0] >= -180 && position[0] <= 180 && position[1] >= -90 && position[1] <= 90;
+
+  const valid = Array.isArray(polygons) && polygons.length > 0 && polygons.every(rings =>
+    Array.isArray(rings) && rings.length > 0 && rings.every(ring =>
+      Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition)));
+
+  if (!valid) {
+    throw new Error('Polygon rings must have at least 4 [lng, lat] positions within valid ranges');
+  }
+
+  return polygons;
+};
+
+/**
+ * Calcula el bounding box de una lista de polígonos (solo anillos exteriores)
+ * @param {Array} polygons - Polígonos de toPolygons
+ * @returns {Array<number>} [minLng, minLat, maxLng, maxLat]
+ */
+export const polygonsBbox = (polygons) => {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+
+  for (const [outer] of polygons) {
+    for (const [lng, lat] of outer) {
+      bbox[0] = Math.min(bbox[0], lng);
+      bbox[1] = Math.min(bbox[1], lat);
+      bbox[2] = Math.max(bbox[2], lng);
+      bbox[3] = Math.max(bbox[3], lat);
+    }
+  }
+
+  return bbox;
+};
+
+/**
+ * Convierte un bounding box en centro y dimensiones para GEOSEARCH BYBOX
+ * Las dimensiones se amplían para que la caja cubra todo el bbox; el filtro exacto se hace después
+ * @param {Array<number>} bbox - [minLng, minLat, maxLng, maxLat]
+ * @returns {Object} { lng, lat, widthKm, heightKm }
+ */
+export const bboxToSearchBox = ([minLng, minLat, maxLng, maxLat]) => {
+  const lat = (minLat + maxLat) / 2;
+  const lng = (minLng + maxLng) / 2;
+
+  // Redis compara la distancia al centro sobre el paralelo de cada punto:
+  // el caso más desfavorable es la latitud más cercana al ecuador
+  const widestLat = minLat <= 0 && maxLat >= 0 ? 0 : Math.min(Math.abs(minLat), Math.abs(maxLat));
+  const widthKm = 2 * haversineDistance(widestLat, lng, widestLat, maxLng);
+  const heightKm = haversineDistance(minLat, lng, maxLat, lng);
+
+  const margin = 1.01;
+  return {
+    lng,
+    lat,
+    widthKm: Math.max(widthKm * margin, 0.001),
+    heightKm: Math.max(heightKm * margin, 0.001)
+  };
+};
@@ -0,0 +1,55 @@
+import zlib from 'zlib';
+import { pipeline } from 'stream';
+import { AppError } from '../errors/AppError.js';
+
+/**
+ * Prepara el stream de entrada según Content-Encoding
+ * @param {Readable} stream - Stream de la petición
+ * @param {string} encoding - Valor de Content-Encoding
+ * @returns {Readable} Stream de texto plano
+ * @throws {AppError} Si la codificación no es soportada
+ */
+export const decodeStream = (stream, encoding = 'identity') => {
+  const normalized = encoding.toLowerCase();
+
+  if (normalized === 'identity') {
+    return stream;
+  }
+
+  if (normalized === 'gzip') {
+    // pipeline propaga los errores de la petición y de gunzip al stream resultante
+    return pipeline(stream, zlib.createGunzip(), () => {});
+  }
+
+  throw new AppError(`Unsupported Content-Encoding: ${encoding}`, 415);
+};
+
+/**
+ * Itera las líneas de un stream de texto sin cargarlo completo en memoria
+ * @param {Readable} stream - Stream de entrada
+ * @param {Object} options - Opciones
+ * @param {number} options.maxLineLength - Longitud máxima de una línea
+ * @returns {AsyncGenerator<string>} Líneas (sin el salto de línea)
+ */
+export async function* readLines(stream, { maxLineLength = 16384 } = {}) {
+  let buffer = '';
+  stream.setEncoding('utf8');
+
+  for await (const chunk of stream) {
+    buffer += chunk;
+
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      yield buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+    }
+
+    if (buffer.length > maxLineLength) {
+      throw new AppError(`Line exceeds maximum length of ${maxLineLength} characters`, 413);
+    }
+  }
+
+  if (buffer.length > 0) {
+    yield buffer.replace(/\r$/, '');
+  }
+}
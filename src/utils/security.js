@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import { lookup as dnsLookup } from 'dns';
+import net from 'net';
+
+/**
+ * Compara dos secretos en tiempo constante
+ * @param {string} provided - Valor recibido
+ * @param {string} expected - Valor esperado
+ * @returns {boolean} True si coinciden
+ */
+export const safeEqual = (provided, expected) => {
+  const a = crypto.createHash('sha256').update(String(provided)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Rangos a los que no se permite enviar peticiones salientes (loopback, link-local, privados, reservados)
+ */
+const blockedAddresses = new net.BlockList();
+blockedAddresses.addSubnet('0.0.0.0', 8, 'ipv4');
+blockedAddresses.addSubnet('10.0.0.0', 8, 'ipv4');
+blockedAddresses.addSubnet('100.64.0.0', 10, 'ipv4'); // CGNAT
+blockedAddresses.addSubnet('127.0.0.0', 8, 'ipv4');
+blockedAddresses.addSubnet('169.254.0.0', 16, 'ipv4'); // Incluye metadatos de instancias cloud
+blockedAddresses.addSubnet('172.16.0.0', 12, 'ipv4');
+blockedAddresses.addSubnet('192.168.0.0', 16, 'ipv4');
+blockedAddresses.addSubnet('224.0.0.0', 3, 'ipv4'); // Multicast y reservadas
+blockedAddresses.addAddress('::', 'ipv6');
+blockedAddresses.addAddress('::1', 'ipv6');
+blockedAddresses.addSubnet('fc00::', 7, 'ipv6'); // Unique local
+blockedAddresses.addSubnet('fe80::', 10, 'ipv6'); // Link-local
+blockedAddresses.addSubnet('ff00::', 8, 'ipv6');
+
+/**
+ * Indica si una IP es loopback, link-local, privada o reservada
+ * @param {string} address - Dirección IPv4 o IPv6
+ * @returns {boolean} True si no es una dirección pública
+ */
+export const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return blockedAddresses.check(mapped[1], 'ipv4');
+  }
+
+  const family = net.isIP(address);
+  return family === 0 || blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Verifica que una URL apunte solo a direcciones públicas (resuelve el hostname)
+ * @param {string} url - URL http(s)
+ * @returns {Promise<boolean>} True si todas las direcciones resueltas son públicas
+ */
+export const isPublicUrl = async (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+  if (net.isIP(hostname)) {
+    return !isPrivateAddress(hostname);
+  }
+
+  try {
+    const addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+    return addresses.length > 0 && addresses.every(({ address }) => !isPrivateAddress(address));
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * dns.lookup que solo devuelve direcciones públicas, para http.request({ lookup })
+ * La conexión usa la dirección comprobada aquí, así que un cambio de DNS entre la comprobación y la
+ * conexión (DNS rebinding) no puede llevarla a la red interna
+ * @param {string} hostname - Host a resolver
+ * @param {Object} options - Opciones de dns.lookup
+ * @param {Function} callback - (error, address, family) o (error, addresses) con options.all
+ */
+export const publicLookup = (hostname, options, callback) => {
+  dnsLookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      const privateError = new Error(`${hostname} resolves to a non-public address`);
+      privateError.code = 'EPRIVATEADDRESS';
+      return callback(privateError);
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
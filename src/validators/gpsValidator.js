@@ -45,9 +45,10 @@ const isValidDeviceId = (deviceId) => {
 /**
  * Valida un timestamp
  * @param {string|Date} timestamp - Timestamp
+ * @param {number} maxAge - Antigüedad máxima permitida en ms
  * @returns {boolean} True si es válido
  */
-const isValidTimestamp = (timestamp) => {
+const isValidTimestamp = (timestamp, maxAge = config.validation.timestamp.maxAge) => {
   if (!timestamp) {
     return true; // Timestamp es opcional, se usará la fecha actual
   }
@@ -64,7 +65,6 @@ const isValidTimestamp = (timestamp) => {
   }
   
   const now = new Date();
-  const maxAge = config.validation.timestamp.maxAge;
   const maxFuture = config.validation.timestamp.maxFuture;
   
   // Verificar que no sea muy antiguo
@@ -87,9 +87,11 @@ const isValidTimestamp = (timestamp) => {
  * @param {number} gpsData.lat - Latitud
  * @param {number} gpsData.lng - Longitud
  * @param {string|Date} gpsData.timestamp - Timestamp (opcional)
+ * @param {Object} options - Opciones
+ * @param {boolean} options.backfill - Usa la antigüedad máxima de importación (config.import.maxAge)
  * @returns {Object} Resultado de validación
  */
-export const validateGpsData = (gpsData) => {
+export const validateGpsData = (gpsData, options = {}) => {
   const errors = [];
   
   // Validar que los datos existan
@@ -124,7 +126,8 @@ export const validateGpsData = (gpsData) => {
   }
   
   // Validar timestamp (opcional)
-  if (timestamp && !isValidTimestamp(timestamp)) {
+  const maxAge = options.backfill ? config.import.maxAge : config.validation.timestamp.maxAge;
+  if (timestamp && !isValidTimestamp(timestamp, maxAge)) {
     errors.push('Invalid timestamp: must be a valid date within the allowed time range');
   }
   
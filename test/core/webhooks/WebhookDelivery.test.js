@@ -0,0 +1,192 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import { once } from 'node:events';
+import { UnrecoverableError } from 'bullmq';
+import WebhookDelivery, { WEBHOOK_KEYS } from '../../../src/core/webhooks/WebhookDelivery.js';
+import redisIOClient from '../../../src/config/redisIO.js';
+
+const SECRET = 'test-secret';
+
+/**
+ * Listas de Redis en memoria para los pipelines de WebhookDelivery (lpush + ltrim)
+ * @returns {Object} { lists, pipeline }
+ */
+const createListStore = () => {
+  const lists = new Map();
+
+  const pipeline = () => {
+    const commands = [];
+    const chain = {
+      lpush: (key, value) => {
+        commands.push(() => lists.set(key, [value, ...(lists.get(key) || [])]));
+        return chain;
+      },
+      ltrim: () => chain,
+      exec: async () => commands.map(command => [null, command()])
+    };
+    return chain;
+  };
+
+  return { lists, pipeline };
+};
+
+/**
+ * Trabajo de BullMQ mínimo
+ * @param {number} attemptsMade - Intentos ya hechos
+ * @param {number} attempts - Intentos configurados
+ * @returns {Object} Trabajo
+ */
+const createJob = (attemptsMade = 0, attempts = 3) => ({
+  data: {
+    deliveryId: 'delivery-1',
+    subscriptionId: 'sub-1',
+    event: 'geofence.enter',
+    data: { deviceId: 'DEV001', fenceId: 'fence-1' },
+    createdAt: '2026-01-01T00:00:00.000Z'
+  },
+  attemptsMade,
+  opts: { attempts }
+});
+
+describe('WebhookDelivery', () => {
+  let server;
+  let requests;
+  let respond;
+  let store;
+  let url;
+
+  before(async () => {
+    // Redis se sustituye en cada test
+    redisIOClient.disconnect();
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+        respond(req, res);
+      });
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    requests = [];
+    respond = (req, res) => {
+      res.statusCode = 204;
+      res.end();
+    };
+    store = createListStore();
+
+    // El stub escucha en loopback
+    WebhookDelivery.options = { ...WebhookDelivery.options, allowPrivateTargets: true, timeout: 1000 };
+    mock.method(redisIOClient, 'hget', async () => JSON.stringify({ id: 'sub-1', url, secret: SECRET, enabled: true }));
+    mock.method(redisIOClient, 'pipeline', store.pipeline);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const deadLetters = () => (store.lists.get(WEBHOOK_KEYS.deadLetter) || []).map(entry => JSON.parse(entry));
+  const attempts = () => (store.lists.get(`${WEBHOOK_KEYS.deliveries}sub-1`) || []).map(entry => JSON.parse(entry));
+
+  it('firma el cuerpo con HMAC-SHA256 del timestamp y el cuerpo', async () => {
+    const result = await WebhookDelivery.deliver(createJob());
+
+    assert.deepEqual(result, { deliveryId: 'delivery-1', statusCode: 204, attempt: 1 });
+    assert.equal(requests.length, 1);
+
+    const [request] = requests;
+    const timestamp = request.headers['x-webhook-timestamp'];
+    const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+
+    assert.equal(request.method, 'POST');
+    assert.equal(request.headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.equal(request.headers['x-webhook-id'], 'delivery-1');
+    assert.equal(request.headers['x-webhook-event'], 'geofence.enter');
+    assert.deepEqual(JSON.parse(request.body), {
+      id: 'delivery-1',
+      event: 'geofence.enter',
+      createdAt: '2026-01-01T00:00:00.000Z',
+      data: { deviceId: 'DEV001', fenceId: 'fence-1' }
+    });
+    assert.equal(attempts()[0].success, true);
+  });
+
+  it('falla con un error reintentable ante un 5xx', async () => {
+    respond = (req, res) => {
+      res.statusCode = 503;
+      res.end();
+    };
+
+    await assert.rejects(WebhookDelivery.deliver(createJob(0, 3)), (error) => {
+      assert.equal(error.message, 'HTTP 503');
+      assert.ok(!(error instanceof UnrecoverableError));
+      return true;
+    });
+
+    assert.equal(attempts()[0].statusCode, 503);
+    assert.equal(deadLetters().length, 0);
+  });
+
+  it('no reintenta un 4xx y lo mueve a dead-letter', async () => {
+    respond = (req, res) => {
+      res.statusCode = 410;
+      res.end();
+    };
+
+    await assert.rejects(WebhookDelivery.deliver(createJob(0, 3)), UnrecoverableError);
+    assert.equal(deadLetters().length, 1);
+  });
+
+  it('no sigue redirecciones', async () => {
+    respond = (req, res) => {
+      res.writeHead(302, { Location: '/elsewhere' });
+      res.end();
+    };
+
+    await assert.rejects(WebhookDelivery.deliver(createJob()), /HTTP 302/);
+    assert.deepEqual(requests.map(request => request.url), ['/hook']);
+  });
+
+  it('mueve la entrega a dead-letter tras el último intento', async () => {
+    respond = (req, res) => {
+      res.statusCode = 500;
+      res.end();
+    };
+
+    await assert.rejects(WebhookDelivery.deliver(createJob(2, 3)), /HTTP 500/);
+
+    const [entry] = deadLetters();
+    assert.equal(entry.deliveryId, 'delivery-1');
+    assert.equal(entry.subscriptionId, 'sub-1');
+    assert.equal(entry.attempts, 3);
+    assert.equal(entry.lastStatusCode, 500);
+    assert.equal(entry.lastError, 'HTTP 500');
+  });
+
+  it('no conecta con direcciones privadas salvo con allowPrivateTargets', async () => {
+    WebhookDelivery.options = { ...WebhookDelivery.options, allowPrivateTargets: false };
+
+    await assert.rejects(WebhookDelivery.deliver(createJob()), /not a public address/);
+    assert.equal(requests.length, 0);
+  });
+
+  it('omite las suscripciones eliminadas', async () => {
+    redisIOClient.hget.mock.mockImplementation(async () => null);
+
+    const result = await WebhookDelivery.deliver(createJob());
+
+    assert.deepEqual(result, { deliveryId: 'delivery-1', skipped: true });
+    assert.equal(requests.length, 0);
+  });
+});
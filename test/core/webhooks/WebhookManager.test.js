@@ -0,0 +1,68 @@
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import WebhookManager from '../../../src/core/webhooks/WebhookManager.js';
+import QueueManager from '../../../src/core/queues/QueueManager.js';
+import redisIOClient from '../../../src/config/redisIO.js';
+import { AppError } from '../../../src/errors/AppError.js';
+
+describe('WebhookManager', () => {
+  before(() => {
+    // Redis se sustituye en cada test
+    redisIOClient.disconnect();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('saveSubscription', () => {
+    let hset;
+
+    beforeEach(() => {
+      WebhookManager.options = { ...WebhookManager.options, allowPrivateTargets: false };
+      hset = mock.method(redisIOClient, 'hset', async () => 1);
+      mock.method(redisIOClient, 'hgetall', async () => ({}));
+    });
+
+    for (const url of ['http://127.0.0.1:8080/hook', 'http://169.254.169.254/latest', 'http://[::1]/hook', 'http://localhost/hook']) {
+      it(`rechaza ${url}`, async () => {
+        await assert.rejects(
+          WebhookManager.saveSubscription({ url, events: ['geofence.enter'] }),
+          (error) => error instanceof AppError && error.statusCode === 400
+        );
+        assert.equal(hset.mock.callCount(), 0);
+      });
+    }
+
+    it('acepta direcciones privadas con allowPrivateTargets', async () => {
+      WebhookManager.options = { ...WebhookManager.options, allowPrivateTargets: true };
+
+      const subscription = await WebhookManager.saveSubscription({ url: 'http://127.0.0.1:8080/hook', events: ['*'] });
+
+      assert.equal(hset.mock.callCount(), 1);
+      assert.ok(subscription.id);
+      assert.match(subscription.secret, /^[a-f0-9]{64}$/);
+    });
+  });
+
+  describe('dispatch', () => {
+    let addWebhookDelivery;
+
+    beforeEach(() => {
+      addWebhookDelivery = mock.method(QueueManager, 'addWebhookDelivery', async () => {});
+      WebhookManager.subscriptions = new Map([
+        ['all', { id: 'all', events: ['*'] }],
+        ['enter-dev1', { id: 'enter-dev1', events: ['geofence.enter'], deviceIds: ['DEV001'] }],
+        ['disabled', { id: 'disabled', events: ['*'], enabled: false }]
+      ]);
+    });
+
+    it('encola una entrega por cada suscripción que coincide', () => {
+      WebhookManager.dispatch('geofence.enter', { deviceId: 'DEV001' });
+      WebhookManager.dispatch('geofence.enter', { deviceId: 'DEV002' });
+
+      const queued = addWebhookDelivery.mock.calls.map(call => [call.arguments[0].subscriptionId, call.arguments[0].data.deviceId]);
+      assert.deepEqual(queued, [['all', 'DEV001'], ['enter-dev1', 'DEV001'], ['all', 'DEV002']]);
+    });
+  });
+});
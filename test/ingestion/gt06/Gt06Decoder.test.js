@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PROTOCOL,
+  crcItu,
+  extractFrames,
+  decodeFrame,
+  buildAck,
+  toRawPosition
+} from '../../../src/ingestion/gt06/Gt06Decoder.js';
+
+// Volcados de los ejemplos de la especificación GT06 (Concox)
+const LOGIN = '78780d01012345678901234500018cdd0d0a';
+const LOCATION = '78781f120b081d112e10cf027ac7eb0c46584900148f01cc00287d001fb8000380810d0a';
+const HEARTBEAT = '78780a134004040001000fdcee0d0a';
+
+const hex = (value) => Buffer.from(value, 'hex');
+
+describe('Gt06Decoder', () => {
+  describe('crcItu', () => {
+    it('calcula el CRC-ITU del paquete de login', () => {
+      const frame = hex(LOGIN);
+      assert.equal(crcItu(frame.subarray(2, frame.length - 4)), 0x8cdd);
+    });
+  });
+
+  describe('decodeFrame', () => {
+    it('decodifica el login con el IMEI en BCD', () => {
+      assert.deepEqual(decodeFrame(hex(LOGIN)), {
+        protocol: PROTOCOL.LOGIN,
+        serial: 1,
+        ackRequired: true,
+        type: 'login',
+        imei: '123456789012345'
+      });
+    });
+
+    it('decodifica la ubicación con GPS y celda LBS', () => {
+      const packet = decodeFrame(hex(LOCATION));
+
+      assert.equal(packet.type, 'location');
+      assert.equal(packet.serial, 3);
+      assert.equal(packet.ackRequired, false);
+      assert.equal(packet.gps.timestamp.toISOString(), '2011-08-29T17:46:16.000Z');
+      assert.equal(packet.gps.satellites, 15);
+      assert.ok(Math.abs(packet.gps.lat - 23.111668) < 1e-6);
+      assert.ok(Math.abs(packet.gps.lng - 114.409285) < 1e-6);
+      assert.equal(packet.gps.speed, 0);
+      assert.equal(packet.gps.heading, 143);
+      assert.equal(packet.gps.positioned, true);
+      assert.equal(packet.gps.realtime, true);
+      assert.deepEqual(packet.lbs, { mcc: 460, mnc: 0, lac: 0x287d, cellId: 0x1fb8 });
+    });
+
+    it('aplica el signo de los hemisferios sur y oeste', () => {
+      const frame = Buffer.from(hex(LOCATION));
+      // Course/status 0x188f: bit norte a 0 y bit oeste a 1
+      frame.writeUInt16BE(0x188f, 20);
+      frame.writeUInt16BE(crcItu(frame.subarray(2, frame.length - 4)), frame.length - 4);
+
+      const { gps } = decodeFrame(frame);
+      assert.ok(gps.lat < 0);
+      assert.ok(gps.lng < 0);
+    });
+
+    it('decodifica el heartbeat con el estado del terminal', () => {
+      const packet = decodeFrame(hex(HEARTBEAT));
+
+      assert.equal(packet.type, 'heartbeat');
+      assert.equal(packet.serial, 15);
+      assert.equal(packet.ackRequired, true);
+      assert.deepEqual(packet.status, {
+        defenseActive: false,
+        accOn: false,
+        charging: false,
+        alarmType: 0,
+        gpsTracking: true,
+        powerCut: false,
+        voltageLevel: 4,
+        gsmSignal: 4,
+        alarmLanguage: 1
+      });
+    });
+
+    it('rechaza un paquete con el CRC alterado', () => {
+      const frame = Buffer.from(hex(HEARTBEAT));
+      frame[frame.length - 3] ^= 0xff;
+
+      assert.throws(() => decodeFrame(frame), /Invalid GT06 CRC/);
+    });
+
+    it('rechaza un paquete con el contenido alterado', () => {
+      const frame = Buffer.from(hex(LOCATION));
+      frame[10] ^= 0x01;
+
+      assert.throws(() => decodeFrame(frame), /Invalid GT06 CRC/);
+    });
+  });
+
+  describe('extractFrames', () => {
+    it('separa paquetes concatenados y conserva el incompleto', () => {
+      const partial = hex(HEARTBEAT).subarray(0, 6);
+      const { frames, remainder } = extractFrames(Buffer.concat([hex(LOGIN), hex(LOCATION), partial]));
+
+      assert.deepEqual(frames.map(frame => frame.toString('hex')), [LOGIN, LOCATION]);
+      assert.deepEqual(remainder, partial);
+    });
+
+    it('descarta bytes basura antes del inicio de paquete', () => {
+      const { frames, remainder } = extractFrames(Buffer.concat([hex('00ff0d0a'), hex(HEARTBEAT)]));
+
+      assert.deepEqual(frames.map(frame => frame.toString('hex')), [HEARTBEAT]);
+      assert.equal(remainder.length, 0);
+    });
+  });
+
+  describe('buildAck', () => {
+    it('construye la respuesta al login de la especificación', () => {
+      assert.equal(buildAck(PROTOCOL.LOGIN, 1).toString('hex'), '787805010001d9dc0d0a');
+    });
+  });
+
+  describe('toRawPosition', () => {
+    it('convierte la ubicación en una posición para GpsProcessingService', () => {
+      const position = toRawPosition('123456789012345', decodeFrame(hex(LOCATION)));
+
+      assert.equal(position.id, '123456789012345');
+      assert.equal(position.heading, 143);
+      assert.equal(position.metadata.protocol, 'gt06');
+      assert.equal(position.metadata.packetType, 'location');
+      assert.equal(position.metadata.lbs.mcc, 460);
+    });
+  });
+});
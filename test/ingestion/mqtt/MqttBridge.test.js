@@ -0,0 +1,174 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import net from 'node:net';
+import { Aedes } from 'aedes';
+import mqtt from 'mqtt';
+import MqttBridge from '../../../src/ingestion/mqtt/MqttBridge.js';
+import GpsProcessingService from '../../../src/services/GpsProcessingService.js';
+import redisIOClient from '../../../src/config/redisIO.js';
+import { AppError } from '../../../src/errors/AppError.js';
+
+const CLIENT_ID = 'gps-receiver-test';
+
+/**
+ * Espera el ACK (PUBACK/PUBCOMP) que el puente envía al broker por un mensaje
+ * @param {Aedes} broker - Broker en proceso
+ * @param {number} timeout - Milisegundos de espera
+ * @returns {Promise<boolean>} True si el puente confirmó el mensaje antes del timeout
+ */
+const waitForAck = (broker, timeout = 500) => new Promise(resolve => {
+  const timer = setTimeout(() => {
+    broker.off('ack', onAck);
+    resolve(false);
+  }, timeout);
+
+  const onAck = (packet, client) => {
+    if (client?.id === CLIENT_ID) {
+      clearTimeout(timer);
+      broker.off('ack', onAck);
+      resolve(true);
+    }
+  };
+
+  broker.on('ack', onAck);
+});
+
+const position = (extra = {}) => ({
+  lat: 40.4168,
+  lng: -3.7038,
+  timestamp: new Date().toISOString(),
+  ...extra
+});
+
+describe('MqttBridge', () => {
+  let broker;
+  let server;
+  let publisher;
+
+  before(async () => {
+    // GpsProcessingService se sustituye en cada test: no hace falta Redis
+    redisIOClient.disconnect();
+
+    broker = await Aedes.createBroker();
+    server = net.createServer(broker.handle);
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const url = `mqtt://127.0.0.1:${server.address().port}`;
+
+    const subscribed = once(broker, 'subscribe');
+    await MqttBridge.start({
+      enabled: true,
+      url,
+      clientId: CLIENT_ID,
+      topics: ['fleet/+/position'],
+      qos: 1,
+      cleanSession: true,
+      reconnectPeriod: 100,
+      connectTimeout: 1000
+    });
+    await subscribed;
+
+    publisher = await mqtt.connectAsync(url, { clientId: 'publisher-test' });
+  });
+
+  after(async () => {
+    await publisher?.endAsync();
+    await MqttBridge.stop();
+    await new Promise(resolve => broker.close(resolve));
+    server.close();
+  });
+
+  let processPosition;
+  let processBatch;
+
+  beforeEach(() => {
+    processPosition = mock.method(GpsProcessingService, 'processPosition', async () => ({ success: true }));
+    processBatch = mock.method(GpsProcessingService, 'processBatch', async () => ({ success: true }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('tópico → deviceId', () => {
+    it('toma el ID del dispositivo del tópico', async () => {
+      const acked = waitForAck(broker);
+      await publisher.publishAsync('fleet/truck-42/position', JSON.stringify(position()), { qos: 1 });
+
+      assert.equal(await acked, true);
+      assert.equal(processPosition.mock.callCount(), 1);
+      const [processed] = processPosition.mock.calls[0].arguments;
+      assert.equal(processed.id, 'truck-42');
+      assert.equal(processed.metadata.protocol, 'mqtt');
+      assert.equal(processed.metadata.topic, 'fleet/truck-42/position');
+    });
+
+    it('descarta las posiciones cuyo id no coincide con el tópico', async () => {
+      const acked = waitForAck(broker);
+      const payload = { positions: [position({ id: 'truck-42' }), position({ id: 'truck-7' })] };
+      await publisher.publishAsync('fleet/truck-42/position', JSON.stringify(payload), { qos: 1 });
+
+      assert.equal(await acked, true);
+      assert.equal(processPosition.mock.callCount(), 1);
+      assert.equal(processPosition.mock.calls[0].arguments[0].id, 'truck-42');
+    });
+
+    it('envía los arrays como un lote', async () => {
+      const acked = waitForAck(broker);
+      await publisher.publishAsync('fleet/truck-42/position', JSON.stringify([position(), position()]), { qos: 1 });
+
+      assert.equal(await acked, true);
+      assert.equal(processBatch.mock.callCount(), 1);
+      assert.deepEqual(processBatch.mock.calls[0].arguments[0].map(({ id }) => id), ['truck-42', 'truck-42']);
+    });
+  });
+
+  describe('QoS 1', () => {
+    it('confirma el mensaje solo después de procesarlo', async () => {
+      let finished = false;
+      processPosition.mock.mockImplementation(async () => {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        finished = true;
+        return { success: true };
+      });
+
+      const acked = waitForAck(broker);
+      await publisher.publishAsync('fleet/truck-42/position', JSON.stringify(position()), { qos: 1 });
+
+      assert.equal(await acked, true);
+      assert.equal(finished, true);
+    });
+
+    it('confirma y descarta los mensajes inválidos', async () => {
+      const acked = waitForAck(broker);
+      await publisher.publishAsync('fleet/truck-42/position', 'not json', { qos: 1 });
+
+      assert.equal(await acked, true);
+      assert.equal(processPosition.mock.callCount(), 0);
+    });
+
+    it('confirma los mensajes rechazados por validación', async () => {
+      processPosition.mock.mockImplementation(async () => {
+        throw new AppError('Timestamp too old', 400);
+      });
+
+      const acked = waitForAck(broker);
+      await publisher.publishAsync('fleet/truck-42/position', JSON.stringify(position()), { qos: 1 });
+
+      assert.equal(await acked, true);
+    });
+
+    it('no confirma el mensaje si falla el procesamiento', async () => {
+      processPosition.mock.mockImplementation(async () => {
+        throw new AppError('Redis unavailable', 500);
+      });
+
+      const acked = waitForAck(broker, 300);
+      await publisher.publishAsync('fleet/truck-42/position', JSON.stringify(position()), { qos: 1 });
+
+      assert.equal(await acked, false);
+      assert.equal(processPosition.mock.callCount(), 1);
+    });
+  });
+});